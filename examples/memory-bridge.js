@@ -1,6 +1,8 @@
 /**
  * Example of using the in-memory transport bridge
  */
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
 import { createBridgeManager } from '../dist/bridge/manager.js';
 import { createServerRegistry } from '../dist/bridge/registry.js';
 import { createConnectionManager } from '../dist/bridge/connection.js';
@@ -19,40 +21,63 @@ async function main() {
   try {
     console.log('Creating in-memory server...');
     
+    // A server run from a command needs a transport of its own, so register the
+    // echo server on stdio as the backend of a virtual server answering in memory
+    const backendId = serverRegistry.registerServer({
+      name: 'Example Echo Server',
+      version: '1.0.0',
+      command: 'node',
+      args: ['examples/echo-server.js'],
+      transport: 'stdio'
+    }).id;
+    
     // Register an in-memory server
     const serverId = serverRegistry.registerServer({
       name: 'Example In-Memory Server',
       version: '1.0.0',
-      command: 'node',
-      args: ['examples/echo-server.js'],
+      backends: [backendId],
       transport: 'memory'
     }).id;
     
     console.log(`Server registered with ID: ${serverId}`);
     
-    // Start the server
+    // Start the server, which starts its backend too
     await bridgeManager.startServer(serverId);
     console.log('Server started');
     
+    // Create a pair of linked in-memory transports, one end for the client and one for the bridge
+    const [clientTransport, bridgeTransport] = InMemoryTransport.createLinkedPair();
+    
     // Connect to the server using in-memory transport
     const connectionId = await bridgeManager.connectToServer({
       name: 'Example In-Memory Connection',
       version: '1.0.0',
       serverId,
       transport: 'memory'
+    }, {
+      memoryTransport: bridgeTransport
     });
     
     console.log(`Connected to server with connection ID: ${connectionId}`);
     
-    // Wait for a moment
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    // Talk to the server through the bridge
+    const client = new Client({
+      name: 'Example In-Memory Client',
+      version: '1.0.0'
+    });
+    
+    await client.connect(clientTransport);
+    
+    const tools = await client.listTools();
+    console.log('Available tools:', tools.tools.map(t => t.name));
     
     // Disconnect
     await bridgeManager.disconnectConnection(connectionId);
     console.log('Disconnected from server');
     
-    // Stop the server
+    // Stop the server and its backend
     await bridgeManager.stopServer(serverId);
+    await bridgeManager.stopServer(backendId);
     console.log('Server stopped');
     
   } catch (error) {
@@ -0,0 +1,41 @@
+/**
+ * Initialize handshake tests
+ */
+import { InitializeResult } from "@modelcontextprotocol/sdk/types.js";
+import { getHandshakeIncompatibilities } from "../utils/handshake.js";
+
+describe("getHandshakeIncompatibilities", () => {
+  const negotiated: InitializeResult = {
+    protocolVersion: "2024-11-05",
+    capabilities: {
+      tools: { listChanged: true },
+      resources: { subscribe: true }
+    },
+    serverInfo: { name: "server", version: "1.0.0" }
+  };
+  
+  it("should accept a replacement offering the same or more", () => {
+    expect(getHandshakeIncompatibilities(negotiated, {
+      ...negotiated,
+      capabilities: {
+        ...negotiated.capabilities,
+        prompts: {}
+      },
+      serverInfo: { name: "server", version: "2.0.0" }
+    })).toEqual([]);
+  });
+  
+  it("should report a changed protocol version and missing capabilities", () => {
+    expect(getHandshakeIncompatibilities(negotiated, {
+      ...negotiated,
+      protocolVersion: "2025-03-26",
+      capabilities: {
+        tools: {}
+      }
+    })).toEqual([
+      "protocol version 2025-03-26 does not match negotiated 2024-11-05",
+      "capability tools.listChanged is no longer offered",
+      "capability resources is no longer offered"
+    ]);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Health probe and health route tests
+ */
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { InMemoryAdapter } from "../adapters/memory.js";
+import { ApiServer, createApiServer } from "../api/server.js";
+import { HealthProbe, createHealthProbe } from "../bridge/health.js";
+import { BridgeManager, createBridgeManager } from "../bridge/manager.js";
+import { createConnectionManager } from "../bridge/connection.js";
+import { createServerRegistry, ServerRegistry } from "../bridge/registry.js";
+import { HealthProbeResult, ServerConfig, ServerStatus } from "../bridge/types.js";
+
+// The SDK's OAuth support loads pkce-challenge with a dynamic import jest
+// cannot run, and nothing here authenticates
+jest.mock("pkce-challenge", () => ({ default: jest.fn() }));
+
+/**
+ * A stdio server with no tools, one that never answers if SILENT is set, or
+ * one that answers ping but nothing else if PING_ONLY is set
+ */
+const SERVER_SCRIPT = `
+  if (process.env.SILENT) {
+    setInterval(() => {}, 1000);
+  } else if (process.env.PING_ONLY) {
+    require("readline").createInterface({ input: process.stdin }).on("line", (line) => {
+      const { id, method } = JSON.parse(line);
+      const answer = method === "ping" ? { result: {} } : { error: { code: -32601, message: "Method not found" } };
+      if (id !== undefined) {
+        process.stdout.write(JSON.stringify({ jsonrpc: "2.0", id, ...answer }) + "\\n");
+      }
+    });
+  } else {
+    const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+    const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+    new McpServer({ name: "required", version: "1.0.0" }).connect(new StdioServerTransport());
+  }
+`;
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition: () => boolean, timeout = 5000): Promise<void> {
+  const deadline = Date.now() + timeout;
+  
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Create an adapter to an MCP server, or to a peer that never answers
+ */
+async function createServerAdapter(answering: boolean): Promise<InMemoryAdapter> {
+  const [peer, bridgeEnd] = InMemoryTransport.createLinkedPair();
+  
+  if (answering) {
+    await new McpServer({ name: "probed", version: "1.0.0" }).connect(peer);
+  } else {
+    await peer.start();
+  }
+  
+  return new InMemoryAdapter({ otherTransport: bridgeEnd });
+}
+
+describe("HealthProbe", () => {
+  let probe: HealthProbe;
+  
+  afterEach(async () => {
+    await probe.stop();
+  });
+  
+  /**
+   * Start probing over an adapter and wait for the first result
+   */
+  function firstProbe(adapter: InMemoryAdapter, initialize?: () => boolean): Promise<HealthProbeResult> {
+    return new Promise(resolve => {
+      probe = createHealthProbe({
+        name: "probed",
+        config: { interval: 20, timeout: 50 },
+        createAdapter: () => adapter,
+        initialize,
+        onprobe: resolve
+      });
+      probe.start();
+    });
+  }
+  
+  it("should record the latency of a server that answers ping", async () => {
+    const result = await firstProbe(await createServerAdapter(true));
+    
+    expect(result).toMatchObject({ healthy: true, latency: expect.any(Number) });
+  });
+  
+  it("should fail the probe of a server that does not answer", async () => {
+    const result = await firstProbe(await createServerAdapter(false));
+    
+    expect(result).toMatchObject({
+      healthy: false,
+      error: "No initialize response within 50ms"
+    });
+  });
+  
+  it("should only ping a server when told not to initialize it", async () => {
+    const [peer, bridgeEnd] = InMemoryTransport.createLinkedPair();
+    const received: JSONRPCMessage[] = [];
+    
+    peer.onmessage = (message) => {
+      received.push(message);
+      
+      if ("id" in message) {
+        peer.send({ jsonrpc: "2.0", id: message.id, result: {} });
+      }
+    };
+    await peer.start();
+    
+    const result = await firstProbe(new InMemoryAdapter({ otherTransport: bridgeEnd }), () => false);
+    
+    expect(result.healthy).toBe(true);
+    expect(received.map(message => "method" in message && message.method)).toEqual(["ping"]);
+  });
+});
+
+describe("ApiServer health routes", () => {
+  let registry: ServerRegistry;
+  let bridgeManager: BridgeManager;
+  let apiServer: ApiServer;
+  let serverIds: string[];
+  let baseUrl: string;
+  
+  beforeEach(async () => {
+    const connectionManager = createConnectionManager();
+    
+    registry = createServerRegistry();
+    bridgeManager = createBridgeManager({ serverRegistry: registry, connectionManager });
+    apiServer = createApiServer({ port: 0, host: "127.0.0.1", serverRegistry: registry, connectionManager, bridgeManager });
+    serverIds = [];
+    
+    await apiServer.start();
+    baseUrl = `http://127.0.0.1:${apiServer.getPort()}`;
+  });
+  
+  afterEach(async () => {
+    await apiServer.stop();
+    await Promise.all(serverIds.map(id => bridgeManager.stopServer(id)));
+  });
+  
+  /**
+   * Register a stdio server running the test script
+   */
+  function registerServer(required: boolean, config: Partial<ServerConfig> = {}): string {
+    const id = registry.registerServer({
+      name: required ? "required" : "optional",
+      version: "1.0.0",
+      transport: "stdio",
+      command: process.execPath,
+      args: ["-e", SERVER_SCRIPT],
+      cwd: process.cwd(),
+      required,
+      ...config
+    }).id;
+    
+    serverIds.push(id);
+    return id;
+  }
+  
+  /**
+   * Get the status code and status of /health and /ready, and the ready state
+   * /health reports for each server by name
+   */
+  async function getStatuses(): Promise<{
+    health: [number, string];
+    ready: [number, string];
+    servers: Record<string, boolean>;
+  }> {
+    const [health, ready] = await Promise.all([fetch(`${baseUrl}/health`), fetch(`${baseUrl}/ready`)]);
+    const body = await health.json();
+    
+    return {
+      health: [health.status, body.status],
+      ready: [ready.status, (await ready.json()).status],
+      servers: Object.fromEntries(body.servers.map((server: { name: string; ready: boolean }) => [server.name, server.ready]))
+    };
+  }
+  
+  it("should answer 503 from /ready until required servers have initialized, while /health answers 200", async () => {
+    const id = registerServer(true);
+    
+    // Servers that are not required do not hold the bridge back
+    registerServer(false);
+    
+    expect(await getStatuses()).toEqual({
+      health: [200, "ok"],
+      ready: [503, "not ready"],
+      servers: { required: false, optional: false }
+    });
+    
+    await bridgeManager.startServer(id);
+    await waitFor(() => registry.isServerReady(id));
+    
+    expect(await getStatuses()).toEqual({
+      health: [200, "ok"],
+      ready: [200, "ready"],
+      servers: { required: true, optional: false }
+    });
+    
+    await bridgeManager.stopServer(id);
+    
+    expect(await getStatuses()).toEqual({
+      health: [200, "ok"],
+      ready: [503, "not ready"],
+      servers: { required: false, optional: false }
+    });
+  });
+  
+  it("should answer 503 from /ready while a required server runs without answering initialize", async () => {
+    const id = registerServer(true, { env: { SILENT: "1" } });
+    
+    await bridgeManager.startServer(id);
+    
+    expect(registry.getServer(id).status).toBe(ServerStatus.RUNNING);
+    expect(await getStatuses()).toEqual({
+      health: [200, "ok"],
+      ready: [503, "not ready"],
+      servers: { required: false }
+    });
+    
+    const ready = await (await fetch(`${baseUrl}/ready`)).json();
+    
+    expect(ready.waitingFor).toEqual([{ id, name: "required", status: ServerStatus.RUNNING }]);
+  });
+  
+  it("should initialize a stdio server no client has initialized rather than only ping it", async () => {
+    const id = registerServer(true, { env: { PING_ONLY: "1" }, healthCheck: { interval: 20, timeout: 1000 } });
+    
+    await bridgeManager.startServer(id);
+    await waitFor(() => registry.getServer(id).health?.lastProbe !== undefined);
+    
+    expect(registry.getServer(id).health?.lastProbe).toMatchObject({
+      healthy: false,
+      error: expect.stringContaining("Server rejected initialize")
+    });
+    expect((await fetch(`${baseUrl}/ready`)).status).toBe(503);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Server inventory tests
+ */
+import { diffServerInventories, hasListChanges } from "../bridge/inventory.js";
+import { ServerInventory } from "../bridge/types.js";
+
+describe("diffServerInventories", () => {
+  const before: ServerInventory = {
+    capabilities: { tools: {}, prompts: {} },
+    tools: [
+      { name: "echo", inputSchema: { type: "object" } },
+      { name: "search", description: "Search", inputSchema: { type: "object" } }
+    ],
+    resources: [],
+    prompts: [{ name: "greet" }]
+  };
+  
+  it("should report added, removed and changed items", () => {
+    const changes = diffServerInventories(before, {
+      capabilities: { tools: {}, resources: {} },
+      tools: [
+        { name: "search", description: "Search the web", inputSchema: { type: "object" } },
+        { name: "fetch", inputSchema: { type: "object" } }
+      ],
+      resources: [{ uri: "file:///notes.txt", name: "notes" }],
+      prompts: []
+    });
+    
+    expect(changes.capabilities).toEqual({ added: ["resources"], removed: ["prompts"] });
+    expect(changes.tools).toEqual({ added: ["fetch"], removed: ["echo"], changed: ["search"] });
+    expect(changes.resources).toEqual({ added: ["file:///notes.txt"], removed: [], changed: [] });
+    expect(changes.prompts).toEqual({ added: [], removed: ["greet"], changed: [] });
+  });
+  
+  it("should report no changes for the same inventory", () => {
+    const changes = diffServerInventories(before, before);
+    
+    expect(hasListChanges(changes.tools)).toBe(false);
+    expect(hasListChanges(changes.resources)).toBe(false);
+    expect(hasListChanges(changes.prompts)).toBe(false);
+  });
+});
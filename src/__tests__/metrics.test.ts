@@ -0,0 +1,73 @@
+/**
+ * Metrics tests
+ */
+import { createMetricsRegistry } from "../utils/metrics.js";
+import { getProcessUsage } from "../utils/process.js";
+import { getMethodLabel } from "../bridge/metrics.js";
+
+describe("MetricsRegistry", () => {
+  it("should render counters and gauges in the Prometheus text format", () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter({ name: "test_total", help: "Test counter", labelNames: ["method"] as const });
+    const gauge = registry.gauge({ name: "test_open", help: "Test gauge" });
+    
+    counter.inc({ method: "tools/call" });
+    counter.inc({ method: "tools/call" }, 2);
+    counter.inc({ method: "say \"hi\"\n" });
+    gauge.set({}, 5);
+    
+    expect(registry.render()).toBe([
+      "# HELP test_total Test counter",
+      "# TYPE test_total counter",
+      "test_total{method=\"tools/call\"} 3",
+      "test_total{method=\"say \\\"hi\\\"\\n\"} 1",
+      "# HELP test_open Test gauge",
+      "# TYPE test_open gauge",
+      "test_open 5",
+      ""
+    ].join("\n"));
+  });
+  
+  it("should render histograms with cumulative buckets", () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram({ name: "test_seconds", help: "Test histogram", buckets: [0.1, 1] });
+    
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+    
+    expect(registry.render()).toContain([
+      "test_seconds_bucket{le=\"0.1\"} 1",
+      "test_seconds_bucket{le=\"1\"} 2",
+      "test_seconds_bucket{le=\"+Inf\"} 3",
+      "test_seconds_sum 3.55",
+      "test_seconds_count 3"
+    ].join("\n"));
+  });
+  
+  it("should refuse a metric name already registered", () => {
+    const registry = createMetricsRegistry();
+    registry.counter({ name: "test_total", help: "Test counter" });
+    
+    expect(() => registry.gauge({ name: "test_total", help: "Test gauge" })).toThrow("Metric already registered: test_total");
+  });
+});
+
+describe("Bridge metrics", () => {
+  it("should label methods MCP does not define as other", () => {
+    expect(getMethodLabel("tools/call")).toBe("tools/call");
+    expect(getMethodLabel("notifications/progress")).toBe("notifications/progress");
+    expect(getMethodLabel("tools/call-1234")).toBe("other");
+    expect(getMethodLabel("")).toBe("other");
+  });
+  
+  it("should read the resident memory and CPU time of a process", async () => {
+    const usage = await getProcessUsage(process.pid);
+    const rss = process.memoryUsage().rss;
+    const { user, system } = process.cpuUsage();
+    
+    expect(usage?.rss).toBeGreaterThan(rss / 2);
+    expect(usage?.rss).toBeLessThan(rss * 2);
+    expect(usage?.cpuSeconds).toBeCloseTo((user + system) / 1e6, 0);
+  });
+});
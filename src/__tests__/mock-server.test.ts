@@ -0,0 +1,124 @@
+/**
+ * Mock server tests
+ */
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { JSONRPCMessage, LATEST_PROTOCOL_VERSION } from "@modelcontextprotocol/sdk/types.js";
+import { createMockServerSession } from "../bridge/mock-server.js";
+import { Recording } from "../bridge/recording.js";
+import { MessageDirection, MockServerConfig, TrafficEvent } from "../bridge/types.js";
+
+/**
+ * Create a recorded message
+ */
+function recorded(direction: MessageDirection, message: JSONRPCMessage): TrafficEvent {
+  return {
+    time: new Date(),
+    connectionId: "connection-1",
+    serverId: "server-1",
+    direction,
+    type: "method" in message ? ("id" in message ? "request" : "notification") : "response",
+    message
+  };
+}
+
+/**
+ * Record a tool call and the text it returned
+ */
+function recordedCall(id: number, name: string, args: Record<string, unknown>, text: string): TrafficEvent[] {
+  return [
+    recorded("client-to-server", { jsonrpc: "2.0", id, method: "tools/call", params: { name, arguments: args } }),
+    recorded("server-to-client", { jsonrpc: "2.0", id, result: { content: [{ type: "text", text }] } })
+  ];
+}
+
+/**
+ * Create a recording of a session with a weather server
+ */
+function createRecording(): Recording {
+  return {
+    header: {
+      version: 1,
+      connectionId: "connection-1",
+      serverId: "server-1",
+      startTime: new Date(),
+      handshake: {
+        request: { jsonrpc: "2.0", id: 0, method: "initialize", params: {} },
+        result: {
+          protocolVersion: LATEST_PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: "weather", version: "2.1.0" }
+        }
+      }
+    },
+    events: [
+      recorded("client-to-server", { jsonrpc: "2.0", id: 1, method: "tools/list" }),
+      recorded("server-to-client", { jsonrpc: "2.0", id: 1, result: { tools: [{ name: "forecast", inputSchema: { type: "object" } }] } }),
+      ...recordedCall(2, "forecast", { city: "Oslo", days: 3, requestId: "a" }, "Snow"),
+      ...recordedCall(3, "forecast", { city: "Lima", days: 3, requestId: "b" }, "Sun"),
+      ...recordedCall(4, "forecast", { city: "Oslo", days: 3, requestId: "c" }, "Sleet")
+    ]
+  };
+}
+
+/**
+ * Connect a client to a mock server answering from a recording
+ */
+async function connectClient(mock: MockServerConfig): Promise<Client> {
+  const [clientEnd, mockEnd] = InMemoryTransport.createLinkedPair();
+  
+  createMockServerSession(mockEnd, {
+    config: { name: "Weather mock", version: "1.0.0", transport: "memory", mock },
+    recording: createRecording()
+  });
+  
+  const client = new Client({ name: "test-client", version: "1.0.0" });
+  await client.connect(clientEnd);
+  
+  return client;
+}
+
+/**
+ * Call the forecast tool and get the text it returned
+ */
+async function forecast(client: Client, args: Record<string, unknown>): Promise<string> {
+  const result = await client.callTool({ name: "forecast", arguments: args });
+  
+  return (result.content as { text: string }[])[0].text;
+}
+
+describe("MockServerSession", () => {
+  it("should answer as the recorded server did", async () => {
+    const client = await connectClient({ recording: "weather.jsonl" });
+    
+    expect(client.getServerVersion()).toEqual({ name: "weather", version: "2.1.0" });
+    expect((await client.listTools()).tools.map(tool => tool.name)).toEqual(["forecast"]);
+    expect(await forecast(client, { city: "Lima", days: 3, requestId: "b" })).toBe("Sun");
+    
+    await expect(forecast(client, { city: "Lima", days: 5, requestId: "b" }))
+      .rejects.toThrow("No recorded tools/call request matches");
+    await expect(client.listPrompts()).rejects.toThrow("Method not found");
+    
+    await client.close();
+  });
+  
+  it("should match arguments as configured and take turns among equal matches", async () => {
+    const client = await connectClient({ recording: "weather.jsonl", ignoreArguments: ["request*"] });
+    
+    expect(await forecast(client, { city: "Oslo", days: 3, requestId: "z" })).toBe("Snow");
+    expect(await forecast(client, { city: "Oslo", days: 3, requestId: "z" })).toBe("Sleet");
+    expect(await forecast(client, { city: "Oslo", days: 3, requestId: "z" })).toBe("Snow");
+    
+    const fuzzy = await connectClient({ recording: "weather.jsonl", matching: "fuzzy" });
+    
+    expect(await forecast(fuzzy, { city: "Lima", days: 7 })).toBe("Sun");
+    await expect(forecast(fuzzy, { city: "Rome", days: 3, requestId: "x" })).resolves.toBeDefined();
+    
+    const byName = await connectClient({ recording: "weather.jsonl", matching: "name" });
+    
+    expect(await forecast(byName, {})).toBe("Snow");
+    await expect(byName.callTool({ name: "alerts", arguments: {} })).rejects.toThrow("No recorded tools/call request matches");
+    
+    await Promise.all([client.close(), fuzzy.close(), byName.close()]);
+  });
+});
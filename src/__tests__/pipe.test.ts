@@ -0,0 +1,318 @@
+/**
+ * Pipe handler tests
+ */
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { InMemoryAdapter } from "../adapters/memory.js";
+import { PipeHandler } from "../handlers/pipe.js";
+import { ErrorCode } from "../utils/errors.js";
+
+/**
+ * Create an adapter for the bridge and the transport at the other end of it
+ */
+function createLinkedAdapter(): { adapter: InMemoryAdapter; peer: InMemoryTransport } {
+  const [peer, bridgeEnd] = InMemoryTransport.createLinkedPair();
+  return { adapter: new InMemoryAdapter({ otherTransport: bridgeEnd }), peer };
+}
+
+/**
+ * Collect the messages received by a transport
+ */
+async function collect(transport: InMemoryTransport): Promise<JSONRPCMessage[]> {
+  const messages: JSONRPCMessage[] = [];
+  transport.onmessage = (message) => {
+    messages.push(message);
+  };
+  await transport.start();
+  return messages;
+}
+
+/**
+ * Let queued message deliveries run
+ */
+function flush(): Promise<void> {
+  return wait(10);
+}
+
+/**
+ * Wait a while
+ */
+function wait(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe("PipeHandler", () => {
+  let pipe: PipeHandler;
+  
+  afterEach(async () => {
+    await pipe.stop();
+  });
+  
+  it("should retry idempotent requests and fail the rest when the server is swapped", async () => {
+    const client = createLinkedAdapter();
+    const server = createLinkedAdapter();
+    const replacement = createLinkedAdapter();
+    
+    pipe = new PipeHandler(client.adapter, server.adapter);
+    await pipe.start();
+    
+    const clientMessages = await collect(client.peer);
+    const serverMessages = await collect(server.peer);
+    const replacementMessages = await collect(replacement.peer);
+    
+    await client.peer.send({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name: "slow" } });
+    await client.peer.send({ jsonrpc: "2.0", id: 2, method: "tools/list" });
+    await flush();
+    
+    expect(serverMessages).toHaveLength(2);
+    
+    await pipe.pause({ retryIdempotent: true });
+    await pipe.resume(replacement.adapter);
+    await flush();
+    
+    expect(clientMessages).toEqual([{
+      jsonrpc: "2.0",
+      id: 1,
+      error: {
+        code: ErrorCode.ConnectionClosed,
+        message: "Server went away before responding to tools/call"
+      }
+    }]);
+    expect(replacementMessages).toEqual([{ jsonrpc: "2.0", id: 2, method: "tools/list" }]);
+  });
+  
+  it("should fail in-flight requests when the server closes", async () => {
+    const client = createLinkedAdapter();
+    const server = createLinkedAdapter();
+    
+    pipe = new PipeHandler(client.adapter, server.adapter);
+    await pipe.start();
+    
+    const clientMessages = await collect(client.peer);
+    await collect(server.peer);
+    
+    const closed = new Promise<string>(resolve => {
+      pipe.onclose = resolve;
+    });
+    
+    await client.peer.send({ jsonrpc: "2.0", id: 1, method: "resources/read", params: { uri: "r://x" } });
+    await flush();
+    await server.peer.close();
+    
+    expect(await closed).toBe("server");
+    expect(clientMessages).toEqual([{
+      jsonrpc: "2.0",
+      id: 1,
+      error: {
+        code: ErrorCode.ConnectionClosed,
+        message: "Server went away before responding to resources/read"
+      }
+    }]);
+  });
+  
+  it("should hold client messages for a new server when told the server closed", async () => {
+    const client = createLinkedAdapter();
+    const server = createLinkedAdapter();
+    const replacement = createLinkedAdapter();
+    
+    pipe = new PipeHandler(client.adapter, server.adapter);
+    await pipe.start();
+    
+    const clientMessages = await collect(client.peer);
+    await collect(server.peer);
+    const replacementMessages = await collect(replacement.peer);
+    
+    const serverClosed = new Promise<void>(resolve => {
+      pipe.onserverclosed = resolve;
+    });
+    
+    await server.peer.close();
+    await serverClosed;
+    
+    expect(pipe.isPaused()).toBe(true);
+    
+    await client.peer.send({ jsonrpc: "2.0", id: 1, method: "tools/list" });
+    await flush();
+    await pipe.resume(replacement.adapter);
+    await flush();
+    
+    expect(clientMessages).toEqual([]);
+    expect(replacementMessages).toEqual([{ jsonrpc: "2.0", id: 1, method: "tools/list" }]);
+  });
+  
+  it("should retry idempotent requests on the new server after the server crashed", async () => {
+    const client = createLinkedAdapter();
+    const server = createLinkedAdapter();
+    const replacement = createLinkedAdapter();
+    
+    pipe = new PipeHandler(client.adapter, server.adapter);
+    pipe.setRetryIdempotent(true);
+    await pipe.start();
+    
+    const clientMessages = await collect(client.peer);
+    await collect(server.peer);
+    const replacementMessages = await collect(replacement.peer);
+    
+    const serverClosed = new Promise<void>(resolve => {
+      pipe.onserverclosed = resolve;
+    });
+    
+    await client.peer.send({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name: "slow" } });
+    await client.peer.send({ jsonrpc: "2.0", id: 2, method: "resources/read", params: { uri: "r://x" } });
+    await flush();
+    await server.peer.close();
+    await serverClosed;
+    
+    await client.peer.send({ jsonrpc: "2.0", id: 3, method: "tools/list" });
+    await flush();
+    await pipe.resume(replacement.adapter);
+    await flush();
+    
+    expect(clientMessages).toEqual([{
+      jsonrpc: "2.0",
+      id: 1,
+      error: {
+        code: ErrorCode.ConnectionClosed,
+        message: "Server went away before responding to tools/call"
+      }
+    }]);
+    expect(replacementMessages).toEqual([
+      { jsonrpc: "2.0", id: 2, method: "resources/read", params: { uri: "r://x" } },
+      { jsonrpc: "2.0", id: 3, method: "tools/list" }
+    ]);
+  });
+  
+  it("should hide and refuse what the access rules do not allow", async () => {
+    const client = createLinkedAdapter();
+    const server = createLinkedAdapter();
+    
+    pipe = new PipeHandler(client.adapter, server.adapter);
+    pipe.setAccessRules({ allowTools: ["repo_*"], denyTools: ["repo_delete"] });
+    await pipe.start();
+    
+    const clientMessages = await collect(client.peer);
+    const serverMessages = await collect(server.peer);
+    
+    await client.peer.send({ jsonrpc: "2.0", id: 1, method: "tools/list" });
+    await client.peer.send({ jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "repo_delete" } });
+    await flush();
+    
+    expect(serverMessages).toEqual([{ jsonrpc: "2.0", id: 1, method: "tools/list" }]);
+    
+    await server.peer.send({
+      jsonrpc: "2.0",
+      id: 1,
+      result: { tools: [{ name: "repo_read" }, { name: "repo_delete" }, { name: "shell" }] }
+    });
+    await flush();
+    
+    expect(clientMessages).toEqual([
+      {
+        jsonrpc: "2.0",
+        id: 2,
+        error: {
+          code: ErrorCode.InvalidParams,
+          message: "Tool not allowed on this connection: repo_delete"
+        }
+      },
+      { jsonrpc: "2.0", id: 1, result: { tools: [{ name: "repo_read" }] } }
+    ]);
+  });
+  
+  it("should pass messages through middleware in both directions", async () => {
+    const client = createLinkedAdapter();
+    const server = createLinkedAdapter();
+    const seen: string[] = [];
+    
+    pipe = new PipeHandler(client.adapter, server.adapter);
+    pipe
+      .use((message, direction) => {
+        seen.push(`outer ${direction}`);
+      })
+      .use(async (message, direction, context) => {
+        seen.push(`inner ${direction}`);
+        
+        // Answer pings without the server
+        if ("method" in message && message.method === "ping" && "id" in message) {
+          await context.reply({ jsonrpc: "2.0", id: message.id, result: {} });
+          return null;
+        }
+        
+        if ("result" in message) {
+          return { ...message, result: { ...message.result, rewritten: true } };
+        }
+      });
+    await pipe.start();
+    
+    const clientMessages = await collect(client.peer);
+    const serverMessages = await collect(server.peer);
+    
+    await client.peer.send({ jsonrpc: "2.0", id: 1, method: "ping" });
+    await flush();
+    await client.peer.send({ jsonrpc: "2.0", id: 2, method: "tools/list" });
+    await flush();
+    await server.peer.send({ jsonrpc: "2.0", id: 2, result: { tools: [] } });
+    await flush();
+    
+    expect(serverMessages).toEqual([{ jsonrpc: "2.0", id: 2, method: "tools/list" }]);
+    expect(clientMessages).toEqual([
+      { jsonrpc: "2.0", id: 1, result: { rewritten: true } },
+      { jsonrpc: "2.0", id: 2, result: { tools: [], rewritten: true } }
+    ]);
+    expect(seen).toEqual([
+      "outer client-to-server",
+      "inner client-to-server",
+      "inner server-to-client",
+      "outer server-to-client",
+      "outer client-to-server",
+      "inner client-to-server",
+      "inner server-to-client",
+      "outer server-to-client"
+    ]);
+  });
+  
+  it("should time out requests, restarting the timer on progress", async () => {
+    const client = createLinkedAdapter();
+    const server = createLinkedAdapter();
+    
+    pipe = new PipeHandler(client.adapter, server.adapter);
+    pipe.setRequestTimeouts({ timeout: 50, methodTimeouts: { "tools/call": 200 } });
+    await pipe.start();
+    
+    const clientMessages = await collect(client.peer);
+    const serverMessages = await collect(server.peer);
+    
+    await client.peer.send({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "tools/call",
+      params: { name: "slow", _meta: { progressToken: "p1" } }
+    });
+    await wait(120);
+    await server.peer.send({
+      jsonrpc: "2.0",
+      method: "notifications/progress",
+      params: { progressToken: "p1", progress: 1 }
+    });
+    await wait(120);
+    
+    // Without the progress notification the request would have timed out by now
+    expect(clientMessages).toHaveLength(1);
+    
+    await wait(200);
+    
+    expect(clientMessages[1]).toEqual({
+      jsonrpc: "2.0",
+      id: 1,
+      error: {
+        code: ErrorCode.RequestTimeout,
+        message: "Server did not respond to tools/call within 200ms"
+      }
+    });
+    expect(serverMessages[1]).toEqual({
+      jsonrpc: "2.0",
+      method: "notifications/cancelled",
+      params: { requestId: 1, reason: "Server did not respond to tools/call within 200ms" }
+    });
+  });
+});
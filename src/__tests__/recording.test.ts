@@ -0,0 +1,213 @@
+/**
+ * Session recording and replay tests
+ */
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { InMemoryAdapter } from "../adapters/memory.js";
+import { createConnectionManager } from "../bridge/connection.js";
+import { BridgeManager, createBridgeManager } from "../bridge/manager.js";
+import { createSessionRecorder, readRecording, Recording } from "../bridge/recording.js";
+import { createServerRegistry, ServerRegistry } from "../bridge/registry.js";
+import { replayRecording } from "../bridge/replay.js";
+import { MessageDirection, TrafficEvent } from "../bridge/types.js";
+
+// The SDK's OAuth support loads pkce-challenge with a dynamic import jest
+// cannot run, and nothing here authenticates
+jest.mock("pkce-challenge", () => ({ default: jest.fn() }));
+
+/**
+ * A stdio server with a tool greeting with its GREETING
+ */
+const SERVER_SCRIPT = `
+  const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+  const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+  const server = new McpServer({ name: "greeter", version: "1.0.0" });
+  server.tool("greet", async () => ({ content: [{ type: "text", text: process.env.GREETING }] }));
+  server.connect(new StdioServerTransport());
+`;
+
+/**
+ * Create a recorded message
+ */
+function recorded(direction: MessageDirection, message: JSONRPCMessage, latency?: number): TrafficEvent {
+  return {
+    time: new Date(),
+    connectionId: "connection-1",
+    serverId: "server-1",
+    direction,
+    type: "method" in message ? ("id" in message ? "request" : "notification") : "response",
+    latency,
+    message
+  };
+}
+
+/**
+ * Create an adapter to a server greeting with the given text
+ */
+async function createServerAdapter(greeting: string): Promise<InMemoryAdapter> {
+  const [serverEnd, bridgeEnd] = InMemoryTransport.createLinkedPair();
+  const server = new McpServer({ name: "replayed", version: "1.0.0" });
+  
+  server.tool("greet", async () => ({ content: [{ type: "text", text: greeting }] }));
+  await server.connect(serverEnd);
+  
+  return new InMemoryAdapter({ otherTransport: bridgeEnd });
+}
+
+describe("Session recording", () => {
+  let directory: string;
+  
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), "recordings-"));
+  });
+  
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+  
+  it("should read back what was recorded", async () => {
+    const startTime = new Date();
+    const recorder = await createSessionRecorder(directory, {
+      version: 1,
+      connectionId: "connection-1",
+      serverId: "server-1",
+      startTime
+    });
+    
+    recorder.record(recorded("client-to-server", { jsonrpc: "2.0", id: 1, method: "ping" }));
+    recorder.record(recorded("server-to-client", { jsonrpc: "2.0", id: 1, result: {} }, 5));
+    await recorder.close();
+    
+    expect(path.dirname(recorder.recording.file)).toBe(directory);
+    expect(recorder.recording.messages).toBe(2);
+    
+    const recording = await readRecording(recorder.recording.file);
+    
+    expect(recording.header.startTime).toEqual(startTime);
+    expect(recording.events.map(event => [event.direction, event.latency])).toEqual([
+      ["client-to-server", undefined],
+      ["server-to-client", 5]
+    ]);
+    expect(recording.events[1].time).toBeInstanceOf(Date);
+  });
+  
+  it("should report how replayed responses differ from recorded ones", async () => {
+    const call = { jsonrpc: "2.0" as const, id: 2, method: "tools/call", params: { name: "greet", arguments: {} } };
+    const recording: Recording = {
+      header: { version: 1, connectionId: "connection-1", serverId: "server-1", startTime: new Date() },
+      events: [
+        recorded("client-to-server", { jsonrpc: "2.0", id: 1, method: "ping" }),
+        recorded("server-to-client", { jsonrpc: "2.0", id: 1, result: {} }, 1),
+        recorded("client-to-server", call),
+        recorded("server-to-client", { jsonrpc: "2.0", id: 2, result: { content: [{ type: "text", text: "hello" }] } }, 3),
+        recorded("client-to-server", { ...call, id: 3 })
+      ]
+    };
+    
+    const requests = await replayRecording(await createServerAdapter("hi"), recording, { timeout: 1000 });
+    
+    expect(requests.map(request => [request.id, request.method, request.status])).toEqual([
+      [1, "ping", "match"],
+      [2, "tools/call", "mismatch"],
+      [3, "tools/call", "unrecorded"]
+    ]);
+    expect(requests[1].differences).toEqual([
+      { path: "result.content[0].text", expected: "hello", actual: "hi" }
+    ]);
+    expect(requests[1].recordedLatency).toBe(3);
+    
+    const ignoring = await replayRecording(await createServerAdapter("hi"), recording, {
+      timeout: 1000,
+      ignorePaths: ["result.content[*].text"]
+    });
+    
+    expect(ignoring[1].status).toBe("match");
+  });
+});
+
+describe("BridgeManager replays", () => {
+  let directory: string;
+  let registry: ServerRegistry;
+  let manager: BridgeManager;
+  let serverIds: string[];
+  
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), "recordings-"));
+    registry = createServerRegistry();
+    manager = createBridgeManager({
+      serverRegistry: registry,
+      connectionManager: createConnectionManager(),
+      recordingsDir: directory
+    });
+    serverIds = [];
+  });
+  
+  afterEach(async () => {
+    await Promise.all(serverIds.map(id => manager.stopServer(id)));
+    await rm(directory, { recursive: true, force: true });
+  });
+  
+  /**
+   * Register and start a stdio server greeting with the given text
+   */
+  async function startServer(greeting: string): Promise<string> {
+    const id = registry.registerServer({
+      name: greeting,
+      version: "1.0.0",
+      transport: "stdio",
+      command: process.execPath,
+      args: ["-e", SERVER_SCRIPT],
+      cwd: process.cwd(),
+      env: { GREETING: greeting }
+    }).id;
+    
+    serverIds.push(id);
+    await manager.startServer(id);
+    
+    return id;
+  }
+  
+  it("should replay a recorded session's file against a server and report the responses that differ", async () => {
+    const helloId = await startServer("hello");
+    const hiId = await startServer("hi");
+    
+    // Record a session with the first server through the bridge
+    const [clientEnd, bridgeEnd] = InMemoryTransport.createLinkedPair();
+    const connectionId = await manager.connectToServer(
+      { serverId: helloId, transport: "memory", name: "client", version: "1.0.0" },
+      { memoryTransport: bridgeEnd }
+    );
+    const client = new Client({ name: "client", version: "1.0.0" });
+    
+    await client.connect(clientEnd);
+    await manager.startRecording(connectionId);
+    
+    await client.listTools();
+    await client.callTool({ name: "greet", arguments: {} });
+    
+    const recording = await manager.stopRecording(connectionId);
+    const name = path.basename(recording?.file ?? "");
+    
+    await client.close();
+    
+    const report = await manager.replayRecording(hiId, name, { timeout: 5000 });
+    
+    expect(report).toMatchObject({ recording: name, serverId: hiId, summary: { match: 1, mismatch: 1, unrecorded: 0, failed: 0 } });
+    expect(report.requests.map(request => [request.method, request.status])).toEqual([
+      ["tools/list", "match"],
+      ["tools/call", "mismatch"]
+    ]);
+    expect(report.requests[1].differences).toEqual([
+      { path: "result.content[0].text", expected: "hello", actual: "hi" }
+    ]);
+    
+    // The recorded server still answers as it did
+    expect((await manager.replayRecording(helloId, name, { timeout: 5000 })).summary)
+      .toEqual({ match: 2, mismatch: 0, unrecorded: 0, failed: 0 });
+  });
+});
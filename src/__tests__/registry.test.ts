@@ -0,0 +1,115 @@
+/**
+ * Server registry tests
+ */
+import { createServerRegistry, ServerRegistry } from "../bridge/registry.js";
+import { ServerConfig } from "../bridge/types.js";
+
+/**
+ * Register a stdio server with automatic restarts and the given policy
+ */
+function registerServer(registry: ServerRegistry, config: Partial<ServerConfig> = {}): string {
+  return registry.registerServer({
+    name: "flaky",
+    version: "1.0.0",
+    command: "node",
+    transport: "stdio",
+    autoRestart: true,
+    ...config
+  }).id;
+}
+
+/**
+ * Count restarts in a row until the registry gives up on the server
+ */
+function countRestarts(registry: ServerRegistry, id: string): number {
+  let restarts = 0;
+  
+  while (registry.shouldRestartServer(id) && restarts < 100) {
+    registry.incrementRestartCount(id);
+    restarts++;
+  }
+  
+  return restarts;
+}
+
+describe("ServerRegistry restart policy", () => {
+  let registry: ServerRegistry;
+  
+  beforeEach(() => {
+    registry = createServerRegistry();
+  });
+  
+  it("should double the restart delay up to the ceiling", () => {
+    const id = registerServer(registry, { restartDelay: 100, maxRestartDelay: 500 });
+    const delays: number[] = [];
+    
+    for (let restart = 0; restart < 5; restart++) {
+      registry.incrementRestartCount(id);
+      delays.push(registry.getServerRestartDelay(id));
+    }
+    
+    expect(delays).toEqual([100, 200, 400, 500, 500]);
+    
+    registry.resetRestartCount(id);
+    registry.incrementRestartCount(id);
+    
+    expect(registry.getServerRestartDelay(id)).toBe(100);
+  });
+  
+  it("should give up on a crash-looping server after its maximum number of restarts", () => {
+    expect(countRestarts(registry, registerServer(registry, { maxRestarts: 5 }))).toBe(5);
+    expect(countRestarts(registry, registerServer(registry, { maxRestarts: 2 }))).toBe(2);
+    expect(countRestarts(registry, registerServer(registry, { autoRestart: false }))).toBe(0);
+    
+    // Without a maximum, restarts go on for as long as the server crashes
+    expect(countRestarts(registry, registerServer(registry))).toBe(100);
+    
+    const id = registerServer(registry, { maxRestarts: 5 });
+    countRestarts(registry, id);
+    
+    // Staying up long enough resets the count, and with it another run of restarts
+    registry.resetRestartCount(id);
+    
+    expect(registry.shouldRestartServer(id)).toBe(true);
+  });
+});
+
+describe("ServerRegistry registration", () => {
+  it("should refuse servers run from a command on the memory transport", () => {
+    const registry = createServerRegistry();
+    
+    expect(() => registerServer(registry, { transport: "memory" }))
+      .toThrow("is run from a command and cannot use the memory transport");
+    expect(registry.getAllServers()).toHaveLength(0);
+    
+    // Servers the bridge runs in its own process are reached in memory
+    const backend = registerServer(registry);
+    
+    expect(() => registry.registerServer({
+      name: "virtual",
+      version: "1.0.0",
+      transport: "memory",
+      backends: [backend]
+    })).not.toThrow();
+  });
+  
+  it("should refuse virtual servers giving the same alias to two names of a kind", () => {
+    const registry = createServerRegistry();
+    const a = registerServer(registry);
+    const b = registerServer(registry);
+    const register = (aliases: NonNullable<ServerConfig["namespacing"]>["aliases"]) => registry.registerServer({
+      name: "virtual",
+      version: "1.0.0",
+      transport: "memory",
+      backends: [a, b],
+      namespacing: { aliases }
+    });
+    
+    expect(() => register({ [a]: { tools: { search: "find" } }, [b]: { tools: { lookup: "find" } } }))
+      .toThrow("More than one tools entry is aliased to find");
+      
+    // The same alias may name a tool, a prompt and a scheme
+    expect(() => register({ [a]: { tools: { file: "doc" }, prompts: { file: "doc" } }, [b]: { schemes: { file: "doc" } } }))
+      .not.toThrow();
+  });
+});
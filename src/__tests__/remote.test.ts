@@ -0,0 +1,267 @@
+/**
+ * Remote server tests
+ */
+import { createServer, IncomingHttpHeaders, Server } from "node:http";
+import { AddressInfo } from "node:net";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { WebSocketServer } from "ws";
+import { z } from "zod";
+import { WebSocketTransport } from "../adapters/websocket.js";
+import { BridgeManager, createBridgeManager } from "../bridge/manager.js";
+import { ConnectionManager, createConnectionManager } from "../bridge/connection.js";
+import { createServerRegistry, ServerRegistry } from "../bridge/registry.js";
+import { ConnectionStatus, ServerStatus } from "../bridge/types.js";
+
+// The SDK's OAuth support loads pkce-challenge with a dynamic import jest
+// cannot run, and nothing here authenticates
+jest.mock("pkce-challenge", () => ({ default: jest.fn() }));
+
+/**
+ * Start an HTTP server answering MCP over SSE with a tool echoing its text,
+ * keeping the headers of every request it gets
+ */
+async function startRemoteServer(requests: IncomingHttpHeaders[]): Promise<Server> {
+  const transports = new Map<string, SSEServerTransport>();
+  
+  const httpServer = createServer(async (req, res) => {
+    requests.push(req.headers);
+    
+    const url = new URL(req.url ?? "/", "http://localhost");
+    
+    if (req.method === "GET" && url.pathname === "/sse") {
+      const transport = new SSEServerTransport("/messages", res);
+      const server = createEchoServer();
+      
+      transports.set(transport.sessionId, transport);
+      res.on("close", () => transports.delete(transport.sessionId));
+      
+      await server.connect(transport);
+    } else if (req.method === "POST" && url.pathname === "/messages") {
+      const transport = transports.get(url.searchParams.get("sessionId") ?? "");
+      
+      if (transport) {
+        await transport.handlePostMessage(req, res);
+      } else {
+        res.writeHead(404).end();
+      }
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+  
+  await new Promise<void>(resolve => httpServer.listen(0, "127.0.0.1", resolve));
+  
+  return httpServer;
+}
+
+/**
+ * Create an MCP server with a tool echoing its text
+ */
+function createEchoServer(): McpServer {
+  const server = new McpServer({ name: "echo", version: "1.0.0" });
+  
+  server.tool("echo", { text: z.string() }, async ({ text }) => ({ content: [{ type: "text", text }] }));
+  
+  return server;
+}
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition: () => boolean, timeout = 5000): Promise<void> {
+  const deadline = Date.now() + timeout;
+  
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe("BridgeManager remote servers", () => {
+  let registry: ServerRegistry;
+  let manager: BridgeManager;
+  let httpServer: Server;
+  let requests: IncomingHttpHeaders[];
+  let baseUrl: string;
+  
+  beforeEach(async () => {
+    registry = createServerRegistry();
+    manager = createBridgeManager({ serverRegistry: registry, connectionManager: createConnectionManager() });
+    requests = [];
+    httpServer = await startRemoteServer(requests);
+    baseUrl = `http://127.0.0.1:${(httpServer.address() as AddressInfo).port}`;
+  });
+  
+  afterEach(async () => {
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+  
+  it("should check the server on start and bridge clients to it with the configured headers", async () => {
+    const serverId = registry.registerServer({
+      name: "echo",
+      version: "1.0.0",
+      transport: "sse",
+      url: `${baseUrl}/sse`,
+      headers: { Authorization: "Bearer secret" }
+    }).id;
+    
+    await manager.startServer(serverId);
+    
+    expect(registry.getServer(serverId).status).toBe(ServerStatus.RUNNING);
+    expect(registry.getServer(serverId).initializeTime).toBeDefined();
+    
+    const [clientEnd, bridgeEnd] = InMemoryTransport.createLinkedPair();
+    
+    await manager.connectToServer(
+      { serverId, transport: "memory", name: "client", version: "1.0.0" },
+      { memoryTransport: bridgeEnd }
+    );
+    
+    const client = new Client({ name: "client", version: "1.0.0" });
+    await client.connect(clientEnd);
+    
+    expect(await client.callTool({ name: "echo", arguments: { text: "hello" } })).toEqual({
+      content: [{ type: "text", text: "hello" }]
+    });
+    
+    // Both the streams and the posted messages carry the headers
+    expect(requests.length).toBeGreaterThan(2);
+    expect(requests.every(headers => headers.authorization === "Bearer secret")).toBe(true);
+    
+    await client.close();
+    await manager.stopServer(serverId);
+  });
+  
+  it("should mark a server it cannot reach as unreachable", async () => {
+    const serverId = registry.registerServer({
+      name: "echo",
+      version: "1.0.0",
+      transport: "sse",
+      url: `${baseUrl}/missing`
+    }).id;
+    
+    await expect(manager.startServer(serverId)).rejects.toThrow("Failed to start server");
+    
+    expect(registry.getServer(serverId).status).toBe(ServerStatus.UNREACHABLE);
+    expect(registry.getServer(serverId).initializeTime).toBeUndefined();
+  });
+});
+
+describe("BridgeManager reconnection to remote servers", () => {
+  let registry: ServerRegistry;
+  let connectionManager: ConnectionManager;
+  let manager: BridgeManager;
+  let webSocketServer: WebSocketServer;
+  let down: boolean;
+  let serverId: string;
+  let client: Client;
+  let connectionId: string;
+  
+  beforeEach(async () => {
+    down = false;
+    
+    // Refuse new sockets while the server is down
+    webSocketServer = new WebSocketServer({ port: 0, host: "127.0.0.1", verifyClient: () => !down });
+    webSocketServer.on("connection", socket => createEchoServer().connect(new WebSocketTransport(socket)));
+    await new Promise(resolve => webSocketServer.once("listening", resolve));
+    
+    registry = createServerRegistry();
+    connectionManager = createConnectionManager();
+    manager = createBridgeManager({ serverRegistry: registry, connectionManager });
+    serverId = registry.registerServer({
+      name: "echo",
+      version: "1.0.0",
+      transport: "websocket",
+      url: `ws://127.0.0.1:${(webSocketServer.address() as AddressInfo).port}`
+    }).id;
+    
+    await manager.startServer(serverId);
+  });
+  
+  afterEach(async () => {
+    await client.close();
+    await manager.stopServer(serverId);
+    await new Promise(resolve => webSocketServer.close(resolve));
+  });
+  
+  /**
+   * Connect a client to the server through the bridge, reconnecting as given
+   */
+  async function connectClient(options: { maxReconnects?: number }): Promise<void> {
+    const [clientEnd, bridgeEnd] = InMemoryTransport.createLinkedPair();
+    
+    connectionId = await manager.connectToServer(
+      { serverId, transport: "memory", name: "client", version: "1.0.0", reconnect: true, reconnectDelay: 100, ...options },
+      { memoryTransport: bridgeEnd }
+    );
+    
+    client = new Client({ name: "client", version: "1.0.0" });
+    await client.connect(clientEnd);
+  }
+  
+  /**
+   * Take the server down, closing the sockets it has open
+   */
+  function takeDown(): void {
+    down = true;
+    
+    for (const socket of webSocketServer.clients) {
+      socket.close();
+    }
+  }
+  
+  it("should retry with backoff while the server is down and reattach the client once it is back", async () => {
+    const delays = jest.spyOn(connectionManager, "getReconnectDelay");
+    
+    await connectClient({});
+    takeDown();
+    
+    await waitFor(() => connectionManager.getConnection(connectionId).reconnectCount >= 3);
+    
+    expect(connectionManager.getConnection(connectionId).status).toBe(ConnectionStatus.RECONNECTING);
+    expect(registry.getServer(serverId).status).toBe(ServerStatus.UNREACHABLE);
+    
+    // Each delay is between half of and the full doubled delay
+    delays.mock.results.slice(0, 3).forEach(({ value }, attempt) => {
+      expect(value).toBeGreaterThanOrEqual(100 * 2 ** attempt / 2);
+      expect(value).toBeLessThanOrEqual(100 * 2 ** attempt);
+    });
+    
+    down = false;
+    
+    await waitFor(() => connectionManager.getConnection(connectionId).status === ConnectionStatus.CONNECTED);
+    
+    expect(connectionManager.getConnection(connectionId).reconnectCount).toBe(0);
+    expect(registry.getServer(serverId).status).toBe(ServerStatus.RUNNING);
+    expect(await client.callTool({ name: "echo", arguments: { text: "back" } })).toEqual({
+      content: [{ type: "text", text: "back" }]
+    });
+  });
+  
+  it("should give up and disconnect the client after the maximum number of attempts", async () => {
+    await connectClient({ maxReconnects: 2 });
+    
+    let closed = false;
+    client.onclose = () => {
+      closed = true;
+    };
+    
+    takeDown();
+    
+    await waitFor(() => connectionManager.getConnection(connectionId).status === ConnectionStatus.ERROR);
+    
+    expect(connectionManager.getConnection(connectionId)).toMatchObject({
+      reconnectCount: 2,
+      error: expect.objectContaining({ message: expect.stringContaining("Gave up reconnecting after 2 attempt(s)") })
+    });
+    
+    await waitFor(() => closed);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * SSE endpoint tests
+ */
+import { get } from "node:http";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { ApiServer, createApiServer } from "../api/server.js";
+import { BridgeManager, createBridgeManager } from "../bridge/manager.js";
+import { ConnectionManager, createConnectionManager } from "../bridge/connection.js";
+import { createServerRegistry } from "../bridge/registry.js";
+
+// The SDK's OAuth support loads pkce-challenge with a dynamic import jest
+// cannot run, and nothing here authenticates
+jest.mock("pkce-challenge", () => ({ default: jest.fn() }));
+
+/**
+ * A stdio server with a tool echoing its text
+ */
+const SERVER_SCRIPT = `
+  const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+  const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+  const { z } = require("zod");
+  const server = new McpServer({ name: "echo", version: "1.0.0" });
+  server.tool("echo", { text: z.string() }, async ({ text }) => ({ content: [{ type: "text", text }] }));
+  server.connect(new StdioServerTransport());
+`;
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition: () => boolean, timeout = 5000): Promise<void> {
+  const deadline = Date.now() + timeout;
+  
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe("ApiServer SSE endpoints", () => {
+  let connectionManager: ConnectionManager;
+  let bridgeManager: BridgeManager;
+  let apiServer: ApiServer;
+  let serverId: string;
+  let baseUrl: string;
+  
+  beforeEach(async () => {
+    const serverRegistry = createServerRegistry();
+    
+    connectionManager = createConnectionManager();
+    bridgeManager = createBridgeManager({ serverRegistry, connectionManager });
+    apiServer = createApiServer({ port: 0, host: "127.0.0.1", serverRegistry, connectionManager, bridgeManager });
+    
+    serverId = serverRegistry.registerServer({
+      name: "echo",
+      version: "1.0.0",
+      transport: "stdio",
+      command: process.execPath,
+      args: ["-e", SERVER_SCRIPT],
+      cwd: process.cwd()
+    }).id;
+    
+    await apiServer.start();
+    baseUrl = `http://127.0.0.1:${apiServer.getPort()}`;
+  });
+  
+  afterEach(async () => {
+    await apiServer.stop();
+    await bridgeManager.stopServer(serverId);
+  });
+  
+  it("should stream responses to messages posted for the session and remove the connection when it closes", async () => {
+    const client = new Client({ name: "client", version: "1.0.0" });
+    
+    await client.connect(new SSEClientTransport(new URL(`${baseUrl}/mcp/${serverId}/sse`)));
+    
+    expect(client.getServerVersion()).toEqual({ name: "echo", version: "1.0.0" });
+    expect(await client.callTool({ name: "echo", arguments: { text: "hello" } })).toEqual({
+      content: [{ type: "text", text: "hello" }]
+    });
+    expect(connectionManager.getAllConnections()).toHaveLength(1);
+    
+    await client.close();
+    await waitFor(() => connectionManager.getAllConnections().length === 0);
+  });
+  
+  it("should refuse messages without a known session", async () => {
+    const post = (query: string) => fetch(`${baseUrl}/mcp/${serverId}/messages${query}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" })
+    });
+    
+    expect((await post("")).status).toBe(400);
+    expect((await post("?sessionId=unknown")).status).toBe(404);
+  });
+  
+  it("should remove the connection of a client that goes away while it is being set up", async () => {
+    const connect = bridgeManager.connectToServer.bind(bridgeManager);
+    let requested = false;
+    
+    // Hold the connection back until the bridge has seen the client go away
+    const connected = new Promise<string>(resolve => {
+      jest.spyOn(bridgeManager, "connectToServer").mockImplementation(async (config, options) => {
+        requested = true;
+        await new Promise(closed => options?.res?.once("close", closed));
+        
+        const connectionId = await connect(config, options);
+        resolve(connectionId);
+        return connectionId;
+      });
+    });
+    
+    const request = get(`${baseUrl}/mcp/${serverId}/sse`);
+    request.on("error", () => {});
+    
+    await waitFor(() => requested);
+    request.destroy();
+    
+    const connectionId = await connected;
+    
+    await waitFor(() => !connectionManager.getAllConnections().some(connection => connection.id === connectionId));
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Child process transport tests
+ */
+import { spawn, ChildProcess } from "node:child_process";
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { ChildProcessTransport, getChildProcessMultiplexer } from "../adapters/stdio.js";
+
+/**
+ * Spawn a node process running the given script with piped stdio
+ */
+function spawnScript(script: string): ChildProcess {
+  return spawn(process.execPath, ["-e", script], {
+    stdio: ["pipe", "pipe", "pipe"]
+  });
+}
+
+describe("ChildProcessTransport", () => {
+  let child: ChildProcess;
+  
+  afterEach(() => {
+    child.kill();
+  });
+  
+  it("should reassemble messages split across chunks and ignore stderr", async () => {
+    child = spawnScript(`
+      process.stderr.write("not json\\n");
+      process.stdout.write('{"jsonrpc":"2.0","id":1,');
+      setTimeout(() => process.stdout.write('"result":{}}\\n{"jsonrpc":"2.0","method":"ping"}\\n'), 50);
+      setTimeout(() => {}, 1000);
+    `);
+    
+    const transport = new ChildProcessTransport(child);
+    const received: JSONRPCMessage[] = [];
+    const errors: Error[] = [];
+    
+    const done = new Promise<void>(resolve => {
+      transport.onmessage = (message) => {
+        received.push(message);
+        if (received.length === 2) {
+          resolve();
+        }
+      };
+    });
+    
+    transport.onerror = (error) => errors.push(error);
+    
+    await transport.start();
+    await done;
+    
+    expect(received).toEqual([
+      { jsonrpc: "2.0", id: 1, result: {} },
+      { jsonrpc: "2.0", method: "ping" }
+    ]);
+    expect(errors).toEqual([]);
+    expect(transport.getStderrTail()).toEqual(["not json"]);
+    
+    await transport.close();
+  });
+  
+  it("should write messages to stdin and report exit with the stderr tail", async () => {
+    child = spawnScript(`
+      process.stdin.once("data", (data) => {
+        process.stderr.write("received " + data.toString().trim() + "\\n");
+        process.exit(3);
+      });
+    `);
+    
+    const transport = new ChildProcessTransport(child);
+    const errors: Error[] = [];
+    const closed = new Promise<void>(resolve => {
+      transport.onclose = resolve;
+    });
+    
+    transport.onerror = (error) => errors.push(error);
+    
+    await transport.start();
+    await transport.send({ jsonrpc: "2.0", method: "ping" });
+    await closed;
+    
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain("exited with code 3");
+    expect(errors[0].message).toContain('received {"jsonrpc":"2.0","method":"ping"}');
+  });
+});
+
+describe("ChildProcessMultiplexer", () => {
+  let child: ChildProcess;
+  
+  afterEach(() => {
+    child.kill();
+  });
+  
+  it("should give each channel the responses to its own requests", async () => {
+    // Answers each request with its params once the next one arrives, and
+    // reports progress on tokens it is given
+    child = spawnScript(`
+      const readline = require("node:readline");
+      let held;
+      readline.createInterface({ input: process.stdin }).on("line", (line) => {
+        const message = JSON.parse(line);
+        if (!("id" in message)) return;
+        const token = message.params._meta && message.params._meta.progressToken;
+        if (token !== undefined) {
+          console.log(JSON.stringify({ jsonrpc: "2.0", method: "notifications/progress", params: { progressToken: token, progress: 1 } }));
+        }
+        if (held) {
+          console.log(JSON.stringify({ jsonrpc: "2.0", id: held.id, result: held.params }));
+          console.log(JSON.stringify({ jsonrpc: "2.0", id: message.id, result: message.params }));
+          console.log(JSON.stringify({ jsonrpc: "2.0", method: "notifications/tools/list_changed" }));
+          held = undefined;
+        } else {
+          held = message;
+        }
+      });
+    `);
+    
+    const multiplexer = getChildProcessMultiplexer(child);
+    const channels = [multiplexer.openChannel(), multiplexer.openChannel()];
+    const received: JSONRPCMessage[][] = [[], []];
+    const expected = [3, 2];
+    const done = Promise.all(channels.map((channel, index) => new Promise<void>(resolve => {
+      channel.onmessage = (message) => {
+        received[index].push(message);
+        if (received[index].length === expected[index]) {
+          resolve();
+        }
+      };
+    })));
+    
+    for (const channel of channels) {
+      await channel.start();
+    }
+    
+    expect(getChildProcessMultiplexer(child)).toBe(multiplexer);
+    
+    await channels[0].send({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name: "a", _meta: { progressToken: 1 } } });
+    await channels[1].send({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name: "b" } });
+    await done;
+    
+    expect(received[0]).toEqual([
+      { jsonrpc: "2.0", method: "notifications/progress", params: { progressToken: 1, progress: 1 } },
+      { jsonrpc: "2.0", id: 1, result: { name: "a", _meta: { progressToken: "c1:1" } } },
+      { jsonrpc: "2.0", method: "notifications/tools/list_changed" }
+    ]);
+    expect(received[1]).toEqual([
+      { jsonrpc: "2.0", id: 1, result: { name: "b" } },
+      { jsonrpc: "2.0", method: "notifications/tools/list_changed" }
+    ]);
+    
+    await multiplexer.close();
+  });
+});
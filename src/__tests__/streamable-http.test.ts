@@ -0,0 +1,88 @@
+/**
+ * Streamable HTTP transport tests
+ */
+import { createServer, Server } from "node:http";
+import { AddressInfo } from "node:net";
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import {
+  StreamableHTTPClientTransport,
+  StreamableHTTPServerTransport
+} from "../adapters/streamable-http.js";
+
+describe("Streamable HTTP transport", () => {
+  let httpServer: Server;
+  let serverTransport: StreamableHTTPServerTransport;
+  let clientTransport: StreamableHTTPClientTransport;
+  
+  beforeEach(async () => {
+    serverTransport = new StreamableHTTPServerTransport({ sessionId: "test-session" });
+    await serverTransport.start();
+    
+    // Echo every request back as a response
+    serverTransport.onmessage = (message) => {
+      if ("method" in message && "id" in message) {
+        serverTransport.send({
+          jsonrpc: "2.0",
+          id: message.id,
+          result: { method: message.method }
+        });
+      }
+    };
+    
+    httpServer = createServer((req, res) => {
+      serverTransport.handleRequest(req, res);
+    });
+    
+    await new Promise<void>(resolve => httpServer.listen(0, "127.0.0.1", resolve));
+    
+    const { port } = httpServer.address() as AddressInfo;
+    clientTransport = new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${port}/mcp`));
+    await clientTransport.start();
+  });
+  
+  afterEach(async () => {
+    await clientTransport.close();
+    await serverTransport.close();
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+  
+  it("should assign a session ID on initialize and route responses back", async () => {
+    const received: JSONRPCMessage[] = [];
+    const responded = new Promise<void>(resolve => {
+      clientTransport.onmessage = (message) => {
+        received.push(message);
+        if (received.length === 2) {
+          resolve();
+        }
+      };
+    });
+    
+    await clientTransport.send({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: {
+        protocolVersion: "2024-11-05",
+        capabilities: {},
+        clientInfo: { name: "test", version: "1.0.0" }
+      }
+    });
+    
+    expect(clientTransport.sessionId).toBe("test-session");
+    
+    await clientTransport.send({ jsonrpc: "2.0", id: 2, method: "tools/list" });
+    await responded;
+    
+    expect(received).toEqual([
+      { jsonrpc: "2.0", id: 1, result: { method: "initialize" } },
+      { jsonrpc: "2.0", id: 2, result: { method: "tools/list" } }
+    ]);
+  });
+  
+  it("should reject requests before the session is initialized", async () => {
+    await expect(
+      clientTransport.send({ jsonrpc: "2.0", id: 1, method: "tools/list" })
+    ).rejects.toThrow("HTTP 400");
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Hot and blue/green swap tests
+ */
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { BridgeManager, createBridgeManager } from "../bridge/manager.js";
+import { createServerRegistry, ServerRegistry } from "../bridge/registry.js";
+import { ConnectionStatus } from "../bridge/types.js";
+import { ConnectionManager, createConnectionManager } from "../bridge/connection.js";
+
+// The SDK's OAuth support loads pkce-challenge with a dynamic import jest
+// cannot run, and nothing here authenticates
+jest.mock("pkce-challenge", () => ({ default: jest.fn() }));
+
+/**
+ * A stdio server with a tool answering its COLOR, no tools at all if it is
+ * "none", answering nothing but ping if it is "ping-only", and exiting right
+ * away if it is "crash"
+ */
+const SERVER_SCRIPT = `
+  if (process.env.COLOR === "crash") {
+    process.exit(1);
+  } else if (process.env.COLOR === "ping-only") {
+    require("readline").createInterface({ input: process.stdin }).on("line", (line) => {
+      const { id, method } = JSON.parse(line);
+      const answer = method === "ping" ? { result: {} } : { error: { code: -32601, message: "Method not found" } };
+      if (id !== undefined) {
+        process.stdout.write(JSON.stringify({ jsonrpc: "2.0", id, ...answer }) + "\\n");
+      }
+    });
+  } else {
+    const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+    const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+    const server = new McpServer({ name: "colors", version: "1.0.0" });
+    if (process.env.COLOR !== "none") {
+      server.tool("color", async () => ({ content: [{ type: "text", text: process.env.COLOR }] }));
+    }
+    server.connect(new StdioServerTransport());
+  }
+`;
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition: () => boolean, timeout = 5000): Promise<void> {
+  const deadline = Date.now() + timeout;
+  
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Call the color tool and get the color the server answered with
+ */
+async function getColor(client: Client): Promise<string> {
+  const result = await client.callTool({ name: "color", arguments: {} });
+  
+  return (result.content as { text: string }[])[0].text;
+}
+
+describe("BridgeManager swaps", () => {
+  let registry: ServerRegistry;
+  let connectionManager: ConnectionManager;
+  let manager: BridgeManager;
+  let serverId: string;
+  let client: Client;
+  
+  beforeEach(async () => {
+    registry = createServerRegistry();
+    connectionManager = createConnectionManager();
+    manager = createBridgeManager({ serverRegistry: registry, connectionManager });
+    serverId = registry.registerServer({
+      name: "colors",
+      version: "1.0.0",
+      transport: "stdio",
+      command: process.execPath,
+      args: ["-e", SERVER_SCRIPT],
+      cwd: process.cwd(),
+      env: { COLOR: "blue" },
+      swapMode: "blue-green"
+    }).id;
+    
+    const [clientEnd, bridgeEnd] = InMemoryTransport.createLinkedPair();
+    
+    await manager.connectToServer(
+      { serverId, transport: "memory", name: "client", version: "1.0.0" },
+      { memoryTransport: bridgeEnd }
+    );
+    
+    client = new Client({ name: "client", version: "1.0.0" });
+    await client.connect(clientEnd);
+  });
+  
+  afterEach(async () => {
+    await client.close();
+    await manager.stopServer(serverId);
+  });
+  
+  it("should hold requests sent during a hot swap and deliver them to the new process", async () => {
+    const stopServer = manager.stopServer.bind(manager);
+    let held: Promise<string> | undefined;
+    
+    expect(await getColor(client)).toBe("blue");
+    
+    // Connections are paused by the time the old server is stopped
+    jest.spyOn(manager, "stopServer").mockImplementationOnce(async (id) => {
+      held = getColor(client);
+      await stopServer(id);
+    });
+    
+    await manager.updateServerEnvironment(serverId, { COLOR: "green" }, { mode: "restart" });
+    
+    expect(held).toBeDefined();
+    expect(await held).toBe("green");
+    expect(await getColor(client)).toBe("green");
+  });
+  
+  it("should fail requests held during a hot swap whose new process does not come up", async () => {
+    const stopServer = manager.stopServer.bind(manager);
+    let held: Promise<string> | undefined;
+    
+    jest.spyOn(manager, "stopServer").mockImplementationOnce(async (id) => {
+      held = getColor(client);
+      await stopServer(id);
+    });
+    
+    await manager.updateServerEnvironment(serverId, { COLOR: "crash" }, { mode: "restart" }).catch(() => {});
+    
+    expect(held).toBeDefined();
+    await expect(held).rejects.toThrow("Connection closed");
+  });
+  
+  it("should move connections to the replacement and stop the old server", async () => {
+    const blue = registry.getServer(serverId).process;
+    
+    expect(await getColor(client)).toBe("blue");
+    
+    await manager.updateServerEnvironment(serverId, { COLOR: "green" });
+    
+    expect(await getColor(client)).toBe("green");
+    expect(registry.getServer(serverId).process).not.toBe(blue);
+    expect(blue?.exitCode !== null || blue?.signalCode !== null).toBe(true);
+  });
+  
+  it("should keep the old server when the replacement is incompatible with a connection", async () => {
+    const blue = registry.getServer(serverId).process;
+    
+    expect(await getColor(client)).toBe("blue");
+    
+    // Without tools, the replacement is incompatible with the client's session
+    await expect(manager.updateServerEnvironment(serverId, { COLOR: "none" }))
+      .rejects.toThrow("failed to start, kept the running server");
+      
+    expect(registry.getServer(serverId).process).toBe(blue);
+    expect(registry.getServer(serverId).config.env).toEqual({ COLOR: "blue" });
+    expect(await getColor(client)).toBe("blue");
+  });
+  
+  it("should keep the old server without connections when the replacement fails or changes initialize", async () => {
+    const blue = registry.getServer(serverId).process;
+    
+    await client.close();
+    await waitFor(() => connectionManager.getConnectionsForServer(serverId)
+      .every(connection => connection.status === ConnectionStatus.DISCONNECTED));
+      
+    // A replacement that answers ping is not swapped in unless it also answers initialize
+    await expect(manager.updateServerEnvironment(serverId, { COLOR: "ping-only" }))
+      .rejects.toThrow("failed to start, kept the running server");
+      
+    expect(registry.getServer(serverId).process).toBe(blue);
+    
+    // Nor is one answering with less than the running server offers
+    await expect(manager.updateServerEnvironment(serverId, { COLOR: "none" }))
+      .rejects.toThrow("failed to start, kept the running server");
+      
+    expect(registry.getServer(serverId).process).toBe(blue);
+    expect(registry.getServer(serverId).config.env).toEqual({ COLOR: "blue" });
+  });
+});
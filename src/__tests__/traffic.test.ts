@@ -0,0 +1,64 @@
+/**
+ * Traffic inspector tests
+ */
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { createTrafficInspector } from "../bridge/traffic.js";
+import { MessageDirection, MiddlewareContext, TrafficEvent } from "../bridge/types.js";
+
+const context: MiddlewareContext = {
+  handler: "Pipe",
+  connectionId: "connection-1",
+  serverId: "server-1",
+  reply: async () => {}
+};
+
+describe("TrafficInspector", () => {
+  it("should pair responses with the requests they answer", async () => {
+    const inspector = createTrafficInspector();
+    const middleware = inspector.asMiddleware();
+    const events: TrafficEvent[] = [];
+    
+    inspector.watch({ connectionId: "connection-1" }, event => events.push(event));
+    
+    const send = (message: JSONRPCMessage, direction: MessageDirection) => middleware(message, direction, context);
+    
+    expect(await send({ jsonrpc: "2.0", id: 1, method: "tools/list" }, "client-to-server")).toBeUndefined();
+    await send({ jsonrpc: "2.0", method: "notifications/tools/list_changed" }, "server-to-client");
+    await send({ jsonrpc: "2.0", id: 1, result: { tools: [] } }, "server-to-client");
+    
+    expect(events.map(event => [event.type, event.method, event.direction])).toEqual([
+      ["request", "tools/list", "client-to-server"],
+      ["notification", "notifications/tools/list_changed", "server-to-client"],
+      ["response", "tools/list", "server-to-client"]
+    ]);
+    expect(events[2].id).toBe(1);
+    expect(events[2].latency).toBeGreaterThanOrEqual(0);
+    expect(events[0].latency).toBeUndefined();
+  });
+  
+  it("should only show watchers the traffic their filter matches", async () => {
+    const inspector = createTrafficInspector();
+    const middleware = inspector.asMiddleware();
+    const toolEvents: TrafficEvent[] = [];
+    const otherServerEvents: TrafficEvent[] = [];
+    
+    inspector.watch({ serverId: "server-1", methods: ["tools/*"] }, event => toolEvents.push(event));
+    const unwatch = inspector.watch({ serverId: "server-2" }, event => otherServerEvents.push(event));
+    
+    await middleware({ jsonrpc: "2.0", id: "a", method: "tools/call", params: { name: "x" } }, "client-to-server", context);
+    await middleware({ jsonrpc: "2.0", id: "b", method: "ping" }, "client-to-server", context);
+    await middleware({ jsonrpc: "2.0", id: "b", result: {} }, "server-to-client", context);
+    await middleware({ jsonrpc: "2.0", id: "a", error: { code: -32603, message: "failed" } }, "server-to-client", context);
+    
+    expect(toolEvents.map(event => [event.type, event.id])).toEqual([["request", "a"], ["error", "a"]]);
+    expect(otherServerEvents).toEqual([]);
+    
+    unwatch();
+    
+    let ended = false;
+    inspector.watch({}, () => {}, () => { ended = true; });
+    inspector.close();
+    
+    expect(ended).toBe(true);
+  });
+});
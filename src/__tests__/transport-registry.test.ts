@@ -0,0 +1,70 @@
+/**
+ * Transport registry tests
+ */
+import { z } from "zod";
+import { InMemoryAdapter } from "../adapters/memory.js";
+import {
+  registerTransport,
+  unregisterTransport,
+  getTransportDefinition,
+  getRegisteredTransports,
+  isTransportRegistered,
+  validateTransportOptions
+} from "../adapters/transport-registry.js";
+import { TransportError } from "../utils/errors.js";
+
+describe("Transport registry", () => {
+  const clientAdapter = new InMemoryAdapter();
+  const serverAdapter = new InMemoryAdapter();
+  
+  beforeEach(() => {
+    registerTransport("queue", {
+      createClient: () => clientAdapter,
+      createServer: () => serverAdapter,
+      optionsSchema: z.object({ topic: z.string() })
+    });
+  });
+  
+  afterEach(() => {
+    unregisterTransport("queue");
+  });
+  
+  it("should create adapters for a registered transport", () => {
+    const config = { name: "Queue Server", version: "1.0.0", command: "node", transport: "queue" };
+    const definition = getTransportDefinition("queue");
+    
+    expect(isTransportRegistered("queue")).toBe(true);
+    expect(getRegisteredTransports()).toEqual([
+      "stdio", "sse", "memory", "streamable-http", "websocket", "queue"
+    ]);
+    expect(definition?.createClient({ config })).toBe(clientAdapter);
+    expect(definition?.createServer({ config })).toBe(serverAdapter);
+  });
+  
+  it("should reject duplicate and built-in transport names", () => {
+    expect(() => registerTransport("queue", {
+      createClient: () => clientAdapter,
+      createServer: () => serverAdapter
+    })).toThrow(TransportError);
+    
+    expect(() => registerTransport("stdio", {
+      createClient: () => clientAdapter,
+      createServer: () => serverAdapter
+    })).toThrow("Built-in transport cannot be replaced: stdio");
+  });
+  
+  it("should validate options against the transport's schema", () => {
+    expect(validateTransportOptions("queue", { topic: "mcp" })).toEqual([]);
+    expect(validateTransportOptions("queue", { topic: 1 })).toEqual([
+      "topic: Expected string, received number"
+    ]);
+    expect(validateTransportOptions("stdio", { anything: true })).toEqual([]);
+  });
+  
+  it("should forget unregistered transports", () => {
+    unregisterTransport("queue");
+    
+    expect(isTransportRegistered("queue")).toBe(false);
+    expect(getTransportDefinition("queue")).toBeUndefined();
+  });
+});
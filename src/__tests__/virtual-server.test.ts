@@ -0,0 +1,202 @@
+/**
+ * Virtual server tests
+ */
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { InMemoryAdapter } from "../adapters/memory.js";
+import { createVirtualServerSession } from "../bridge/virtual-server.js";
+import { NamespacingConfig } from "../bridge/types.js";
+import { ErrorCode } from "../utils/errors.js";
+
+/**
+ * Create a backend server offering a tool that says which backend answered
+ */
+function createBackend(name: string, tools: string[]): McpServer {
+  const server = new McpServer({ name, version: "1.0.0" });
+  
+  for (const tool of tools) {
+    server.tool(tool, async () => ({ content: [{ type: "text", text: `${tool} from ${name}` }] }));
+  }
+  
+  return server;
+}
+
+/**
+ * Connect a client to a virtual server over backends a and b
+ */
+async function connectClient(
+  backends: Record<string, McpServer>,
+  namespacing?: NamespacingConfig
+): Promise<Client> {
+  const [clientEnd, virtualEnd] = InMemoryTransport.createLinkedPair();
+  
+  createVirtualServerSession(virtualEnd, {
+    config: { name: "gateway", version: "1.0.0", transport: "memory", backends: ["a", "b"], namespacing },
+    createBackendAdapter: (id) => {
+      const [backendEnd, bridgeEnd] = InMemoryTransport.createLinkedPair();
+      backends[id].connect(backendEnd);
+      return new InMemoryAdapter({ otherTransport: bridgeEnd });
+    },
+    getBackendName: (id) => `server ${id}`
+  });
+  
+  const client = new Client({ name: "client", version: "1.0.0" });
+  await client.connect(clientEnd);
+  
+  return client;
+}
+
+describe("VirtualServerSession", () => {
+  const backends: Record<string, McpServer> = {};
+  let client: Client;
+  
+  beforeEach(async () => {
+    backends.a = createBackend("a", ["echo", "search"]);
+    backends.b = createBackend("b", ["echo", "fetch"]);
+    
+    client = await connectClient(backends);
+  });
+  
+  afterEach(async () => {
+    await client.close();
+  });
+  
+  it("should present itself with the union of the backends' capabilities", () => {
+    expect(client.getServerVersion()).toEqual({ name: "gateway", version: "1.0.0" });
+    expect(client.getServerCapabilities()).toEqual({ tools: { listChanged: true } });
+  });
+  
+  it("should merge tools and route calls to the owning backend", async () => {
+    const { tools } = await client.listTools();
+    
+    expect(tools.map(tool => tool.name)).toEqual(["echo", "search", "fetch"]);
+    expect(await client.callTool({ name: "echo", arguments: {} })).toEqual({
+      content: [{ type: "text", text: "echo from a" }]
+    });
+    expect(await client.callTool({ name: "fetch", arguments: {} })).toEqual({
+      content: [{ type: "text", text: "fetch from b" }]
+    });
+  });
+  
+  it("should reject tools no backend offers", async () => {
+    await expect(client.callTool({ name: "missing", arguments: {} })).rejects.toThrow("Unknown tool: missing");
+  });
+  
+  it("should cancel the forwarded request when the client cancels", async () => {
+    const waitingBackend = createBackend("b", []);
+    const cancelled = new Promise<string>(resolve => {
+      waitingBackend.tool("wait", async (extra) => {
+        extra.signal.addEventListener("abort", () => resolve(String(extra.signal.reason)));
+        return new Promise(() => {});
+      });
+    });
+    
+    const waiting = await connectClient({ a: createBackend("a", ["echo"]), b: waitingBackend });
+    const controller = new AbortController();
+    const call = waiting.callTool({ name: "wait", arguments: {} }, undefined, { signal: controller.signal });
+    
+    await new Promise(resolve => setTimeout(resolve, 50));
+    controller.abort("Not needed");
+    
+    await expect(call).rejects.toBe("Not needed");
+    expect(await cancelled).toContain("Not needed");
+    
+    await waiting.close();
+  });
+});
+
+describe("VirtualServerSession namespacing", () => {
+  const backends: Record<string, McpServer> = {};
+  let client: Client | undefined;
+  
+  beforeEach(() => {
+    backends.a = createBackend("a", ["echo", "search"]);
+    backends.b = createBackend("b", ["echo", "fetch"]);
+    
+    backends.a.resource("notes", "notes://today", async (uri) => ({
+      contents: [{ uri: uri.href, text: "notes from a" }]
+    }));
+    backends.b.resource("notes", "notes://today", async (uri) => ({
+      contents: [{ uri: uri.href, text: "notes from b" }]
+    }));
+  });
+  
+  afterEach(async () => {
+    await client?.close();
+  });
+  
+  it("should prefix every name with its backend's name", async () => {
+    client = await connectClient(backends, { prefix: true });
+    
+    const { tools } = await client.listTools();
+    
+    expect(tools.map(tool => tool.name)).toEqual(["server_a__echo", "server_a__search", "server_b__echo", "server_b__fetch"]);
+    expect(await client.callTool({ name: "server_b__echo", arguments: {} })).toEqual({
+      content: [{ type: "text", text: "echo from b" }]
+    });
+    
+    const { resources } = await client.listResources();
+    
+    expect(resources.map(resource => resource.uri)).toEqual(["server-a+notes://today", "server-b+notes://today"]);
+    expect(await client.readResource({ uri: "server-b+notes://today" })).toEqual({
+      contents: [{ uri: "server-b+notes://today", text: "notes from b" }]
+    });
+  });
+  
+  it("should prefix only conflicting names and apply aliases", async () => {
+    client = await connectClient(backends, {
+      collisions: "prefix-on-conflict",
+      separator: ".",
+      aliases: { b: { tools: { fetch: "download" }, schemes: { notes: "memo" } } }
+    });
+    
+    const { tools } = await client.listTools();
+    
+    expect(tools.map(tool => tool.name)).toEqual(["server_a.echo", "search", "server_b.echo", "download"]);
+    expect(await client.callTool({ name: "download", arguments: {} })).toEqual({
+      content: [{ type: "text", text: "fetch from b" }]
+    });
+    
+    const { resources } = await client.listResources();
+    
+    expect(resources.map(resource => resource.uri)).toEqual(["notes://today", "memo://today"]);
+    expect(await client.readResource({ uri: "memo://today" })).toEqual({
+      contents: [{ uri: "memo://today", text: "notes from b" }]
+    });
+  });
+  
+  it("should apply aliases only to names of their own kind", async () => {
+    backends.b.tool("notes", async () => ({ content: [{ type: "text", text: "notes tool from b" }] }));
+    
+    client = await connectClient(backends, { aliases: { b: { tools: { notes: "take_note" } } } });
+    
+    const { tools } = await client.listTools();
+    
+    expect(tools.map(tool => tool.name)).toEqual(["echo", "search", "fetch", "take_note"]);
+    
+    // The scheme of b's notes resource keeps its name and so clashes with a's
+    const { resources } = await client.listResources();
+    
+    expect(resources.map(resource => resource.uri)).toEqual(["notes://today"]);
+    expect(await client.readResource({ uri: "notes://today" })).toEqual({
+      contents: [{ uri: "notes://today", text: "notes from a" }]
+    });
+  });
+  
+  it("should refuse conflicting names under the error policy", async () => {
+    client = await connectClient(backends, { collisions: "error" });
+    
+    await expect(client.listTools()).rejects.toMatchObject({
+      code: ErrorCode.InternalError,
+      message: expect.stringContaining("offer the same names: echo")
+    });
+    await expect(client.callTool({ name: "echo", arguments: {} })).rejects.toMatchObject({
+      code: ErrorCode.InvalidParams,
+      message: expect.stringContaining("offers tool echo")
+    });
+    expect(await client.callTool({ name: "fetch", arguments: {} })).toEqual({
+      content: [{ type: "text", text: "fetch from b" }]
+    });
+  });
+});
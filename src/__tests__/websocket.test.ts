@@ -0,0 +1,198 @@
+/**
+ * WebSocket transport and upgrade tests
+ */
+import { AddressInfo } from "node:net";
+import WebSocket, { WebSocketServer } from "ws";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { WEBSOCKET_SUBPROTOCOL, WebSocketClientTransport, WebSocketTransport } from "../adapters/websocket.js";
+import { ApiServer, createApiServer } from "../api/server.js";
+import { BridgeManager, createBridgeManager } from "../bridge/manager.js";
+import { ConnectionManager, createConnectionManager } from "../bridge/connection.js";
+import { createServerRegistry, ServerRegistry } from "../bridge/registry.js";
+
+// The SDK's OAuth support loads pkce-challenge with a dynamic import jest
+// cannot run, and nothing here authenticates
+jest.mock("pkce-challenge", () => ({ default: jest.fn() }));
+
+/**
+ * A stdio server with a tool echoing its text
+ */
+const SERVER_SCRIPT = `
+  const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+  const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+  const { z } = require("zod");
+  const server = new McpServer({ name: "echo", version: "1.0.0" });
+  server.tool("echo", { text: z.string() }, async ({ text }) => ({ content: [{ type: "text", text }] }));
+  server.connect(new StdioServerTransport());
+`;
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition: () => boolean, timeout = 5000): Promise<void> {
+  const deadline = Date.now() + timeout;
+  
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe("WebSocket transport", () => {
+  let webSocketServer: WebSocketServer;
+  let clientTransport: WebSocketClientTransport;
+  
+  beforeEach(async () => {
+    webSocketServer = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+    
+    // Echo every request back as a response
+    webSocketServer.on("connection", (socket) => {
+      const serverTransport = new WebSocketTransport(socket);
+      
+      serverTransport.onmessage = (message) => {
+        if ("method" in message && "id" in message) {
+          serverTransport.send({ jsonrpc: "2.0", id: message.id, result: { method: message.method } });
+        }
+      };
+      
+      serverTransport.start();
+    });
+    
+    await new Promise(resolve => webSocketServer.once("listening", resolve));
+    
+    const { port } = webSocketServer.address() as AddressInfo;
+    clientTransport = new WebSocketClientTransport(new URL(`ws://127.0.0.1:${port}`));
+  });
+  
+  afterEach(async () => {
+    await clientTransport.close();
+    await new Promise(resolve => webSocketServer.close(resolve));
+  });
+  
+  it("should send one message per frame and report frames that are not JSON-RPC", async () => {
+    const received: JSONRPCMessage[] = [];
+    const errors: Error[] = [];
+    const responded = new Promise<void>(resolve => {
+      clientTransport.onmessage = (message) => {
+        received.push(message);
+        resolve();
+      };
+    });
+    
+    await clientTransport.start();
+    clientTransport.onerror = (error) => errors.push(error);
+    
+    await clientTransport.send({ jsonrpc: "2.0", id: 1, method: "tools/list" });
+    await responded;
+    
+    expect(received).toEqual([{ jsonrpc: "2.0", id: 1, result: { method: "tools/list" } }]);
+    
+    // Frames that are not JSON-RPC messages are reported instead of passed on
+    const [socket] = webSocketServer.clients;
+    socket.send("not json");
+    
+    await waitFor(() => errors.length > 0);
+  });
+});
+
+describe("ApiServer WebSocket upgrades", () => {
+  let serverRegistry: ServerRegistry;
+  let connectionManager: ConnectionManager;
+  let bridgeManager: BridgeManager;
+  let apiServer: ApiServer;
+  let serverId: string;
+  let baseUrl: string;
+  
+  beforeEach(async () => {
+    serverRegistry = createServerRegistry();
+    connectionManager = createConnectionManager();
+    bridgeManager = createBridgeManager({ serverRegistry, connectionManager });
+    apiServer = createApiServer({ port: 0, host: "127.0.0.1", serverRegistry, connectionManager, bridgeManager });
+    
+    serverId = serverRegistry.registerServer({
+      name: "echo",
+      version: "1.0.0",
+      transport: "stdio",
+      command: process.execPath,
+      args: ["-e", SERVER_SCRIPT],
+      cwd: process.cwd()
+    }).id;
+    
+    await apiServer.start();
+    baseUrl = `ws://127.0.0.1:${apiServer.getPort()}`;
+  });
+  
+  afterEach(async () => {
+    await apiServer.stop();
+    await bridgeManager.stopServer(serverId);
+  });
+  
+  it("should bridge a WebSocket client to the server and remove the connection when it closes", async () => {
+    const client = new Client({ name: "client", version: "1.0.0" });
+    
+    await client.connect(new WebSocketClientTransport(new URL(`${baseUrl}/mcp/${serverId}/ws`)));
+    
+    expect(client.getServerVersion()).toEqual({ name: "echo", version: "1.0.0" });
+    expect(await client.callTool({ name: "echo", arguments: { text: "hello" } })).toEqual({
+      content: [{ type: "text", text: "hello" }]
+    });
+    expect(connectionManager.getAllConnections()).toHaveLength(1);
+    
+    await client.close();
+    await waitFor(() => connectionManager.getAllConnections().length === 0);
+  });
+  
+  it("should remove the connection of a client that goes away while it is being set up", async () => {
+    const connect = bridgeManager.connectToServer.bind(bridgeManager);
+    
+    // Hold the connection back until the bridge has seen the client go away
+    const connected = new Promise<string>(resolve => {
+      jest.spyOn(bridgeManager, "connectToServer").mockImplementation(async (config, options) => {
+        await waitFor(() => options?.socket?.readyState === WebSocket.CLOSED);
+        
+        const connectionId = await connect(config, options);
+        resolve(connectionId);
+        return connectionId;
+      });
+    });
+    
+    const socket = new WebSocket(`${baseUrl}/mcp/${serverId}/ws`, WEBSOCKET_SUBPROTOCOL);
+    
+    await new Promise(resolve => socket.once("open", resolve));
+    socket.terminate();
+    
+    const connectionId = await connected;
+    
+    await waitFor(() => !connectionManager.getAllConnections().some(connection => connection.id === connectionId));
+  });
+  
+  it("should refuse upgrades on other paths", async () => {
+    const transport = new WebSocketClientTransport(new URL(`${baseUrl}/mcp/${serverId}/other`));
+    
+    await expect(transport.start()).rejects.toThrow();
+  });
+  
+  it("should refuse upgrades and MCP requests over the rate limit", async () => {
+    const limited = createApiServer({ port: 0, host: "127.0.0.1", serverRegistry, connectionManager, bridgeManager, mcpRateLimit: 1 });
+    await limited.start();
+    
+    try {
+      const url = `127.0.0.1:${limited.getPort()}/mcp/${serverId}`;
+      const client = new Client({ name: "client", version: "1.0.0" });
+      
+      await client.connect(new WebSocketClientTransport(new URL(`ws://${url}/ws`)));
+      
+      // Upgrades count against the same limit as HTTP requests
+      await expect(new WebSocketClientTransport(new URL(`ws://${url}/ws`)).start()).rejects.toThrow("429");
+      expect((await fetch(`http://${url}`, { method: "POST" })).status).toBe(429);
+      
+      await client.close();
+    } finally {
+      await limited.stop();
+    }
+  });
+});
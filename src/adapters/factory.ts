@@ -3,28 +3,54 @@
  */
 import { IncomingMessage, ServerResponse } from "node:http";
 import { ChildProcess } from "node:child_process";
+import WebSocket from "ws";
 import { createLogger } from "../utils/logging.js";
 import { ErrorCode, TransportError } from "../utils/errors.js";
 import { ServerConfig, TransportType } from "../bridge/types.js";
 import { TransportAdapter } from "../bridge/types.js";
-import { StdioClientAdapter, StdioServerAdapter } from "./stdio.js";
+import { ProcessStdioAdapter, StdioClientAdapter, StdioServerAdapter } from "./stdio.js";
 import { SSEClientAdapter, SSEServerAdapter } from "./sse.js";
 import { InMemoryAdapter, InMemoryAdapterOptions } from "./memory.js";
+import { StreamableHTTPClientAdapter, StreamableHTTPServerAdapter } from "./streamable-http.js";
+import { WebSocketClientAdapter, WebSocketServerAdapter } from "./websocket.js";
 import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { getTransportDefinition } from "./transport-registry.js";
 
 const logger = createLogger({ prefix: "AdapterFactory" });
 
+/**
+ * Client adapter options
+ */
+export interface ClientAdapterOptions {
+  config?: ServerConfig;
+  serverProcess?: ChildProcess;
+  url?: URL;
+  headers?: Record<string, string>;
+  otherTransport?: InMemoryTransport;
+  sessionId?: string;
+  transportOptions?: Record<string, unknown>;
+}
+
+/**
+ * Server adapter options
+ */
+export interface ServerAdapterOptions {
+  config: ServerConfig;
+  endpoint?: string;
+  res?: ServerResponse;
+  socket?: WebSocket;
+  otherTransport?: InMemoryTransport;
+  sessionId?: string;
+  processStdio?: boolean;
+  transportOptions?: Record<string, unknown>;
+}
+
 /**
  * Create a client adapter
  */
 export function createClientAdapter(
   transportType: TransportType,
-  options: {
-    serverProcess?: ChildProcess;
-    url?: URL;
-    otherTransport?: InMemoryTransport;
-    sessionId?: string;
-  }
+  options: ClientAdapterOptions
 ): TransportAdapter {
   logger.debug(`Creating client adapter for transport type: ${transportType}`);
   
@@ -52,7 +78,8 @@ export function createClientAdapter(
       }
       
       return new SSEClientAdapter({
-        url: options.url
+        url: options.url,
+        headers: options.headers
       });
       
     case "memory":
@@ -61,12 +88,49 @@ export function createClientAdapter(
         sessionId: options.sessionId
       });
       
-    default:
+    case "streamable-http":
+      if (!options.url) {
+        throw new TransportError(
+          ErrorCode.INVALID_CONFIGURATION,
+          "URL is required for streamable HTTP client adapter",
+          "streamable-http"
+        );
+      }
+      
+      return new StreamableHTTPClientAdapter({
+        url: options.url,
+        headers: options.headers,
+        sessionId: options.sessionId
+      });
+      
+    case "websocket":
+      if (!options.url) {
+        throw new TransportError(
+          ErrorCode.INVALID_CONFIGURATION,
+          "URL is required for WebSocket client adapter",
+          "websocket"
+        );
+      }
+      
+      return new WebSocketClientAdapter({
+        url: options.url,
+        headers: options.headers
+      });
+
+    default: {
+      // Transports added at runtime with registerTransport
+      const definition = getTransportDefinition(transportType);
+      
+      if (definition) {
+        return definition.createClient(options);
+      }
+      
       throw new TransportError(
         ErrorCode.TRANSPORT_NOT_SUPPORTED,
         `Transport type not supported: ${transportType}`,
         transportType
       );
+    }
   }
 }
 
@@ -75,18 +139,19 @@ export function createClientAdapter(
  */
 export function createServerAdapter(
   transportType: TransportType,
-  options: {
-    config: ServerConfig;
-    endpoint?: string;
-    res?: ServerResponse;
-    otherTransport?: InMemoryTransport;
-    sessionId?: string;
-  }
+  options: ServerAdapterOptions
 ): TransportAdapter {
   logger.debug(`Creating server adapter for transport type: ${transportType}`);
   
   switch (transportType) {
     case "stdio":
+      // Serve on the bridge's own stdio instead of spawning the server process
+      if (options.processStdio) {
+        return new ProcessStdioAdapter({
+          config: options.config
+        });
+      }
+      
       return new StdioServerAdapter({
         config: options.config
       });
@@ -113,12 +178,41 @@ export function createServerAdapter(
         sessionId: options.sessionId
       });
       
-    default:
+    case "streamable-http":
+      return new StreamableHTTPServerAdapter({
+        config: options.config,
+        sessionId: options.sessionId
+      });
+      
+    case "websocket":
+      if (!options.socket) {
+        throw new TransportError(
+          ErrorCode.INVALID_CONFIGURATION,
+          "Socket is required for WebSocket server adapter",
+          "websocket"
+        );
+      }
+      
+      return new WebSocketServerAdapter({
+        config: options.config,
+        socket: options.socket,
+        sessionId: options.sessionId
+      });
+
+    default: {
+      // Transports added at runtime with registerTransport
+      const definition = getTransportDefinition(transportType);
+      
+      if (definition) {
+        return definition.createServer(options);
+      }
+      
       throw new TransportError(
         ErrorCode.TRANSPORT_NOT_SUPPORTED,
         `Transport type not supported: ${transportType}`,
         transportType
       );
+    }
   }
 }
 
@@ -141,6 +235,18 @@ export function getSSESessionId(adapter: SSEServerAdapter): string | undefined {
   return adapter.getSessionId();
 }
 
+/**
+ * Handle an HTTP request for a streamable HTTP server adapter
+ */
+export async function handleStreamableHTTPRequest(
+  adapter: StreamableHTTPServerAdapter,
+  req: IncomingMessage,
+  res: ServerResponse,
+  parsedBody?: unknown
+): Promise<void> {
+  await adapter.handleRequest(req, res, parsedBody);
+}
+
 /**
  * Get the process for a stdio server adapter
  */
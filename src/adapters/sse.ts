@@ -16,6 +16,7 @@ const logger = createLogger({ prefix: "SSEAdapter" });
  */
 export interface SSEClientAdapterOptions {
   url: URL;
+  headers?: Record<string, string>;
 }
 
 /**
@@ -23,6 +24,7 @@ export interface SSEClientAdapterOptions {
  */
 export class SSEClientAdapter extends BaseTransportAdapter {
   private url: URL;
+  private headers?: Record<string, string>;
   
   /**
    * Constructor
@@ -30,6 +32,7 @@ export class SSEClientAdapter extends BaseTransportAdapter {
   constructor(options: SSEClientAdapterOptions) {
     super("SSEClient");
     this.url = options.url;
+    this.headers = options.headers;
   }
   
   /**
@@ -43,8 +46,23 @@ export class SSEClientAdapter extends BaseTransportAdapter {
     logger.debug(`Starting SSE client transport for URL: ${this.url.href}`);
     
     try {
-      // Create an SSE client transport
-      const clientTransport = new SSEClientTransport(this.url);
+      // Create an SSE client transport, sending the headers on both the stream and the POSTs
+      const headers = this.headers;
+      const clientTransport = new SSEClientTransport(this.url, headers && {
+        eventSourceInit: {
+          fetch: (url, init) => {
+            // The stream's own headers may come as a Headers instance or pairs
+            const merged = new Headers(init?.headers);
+            
+            for (const [name, value] of Object.entries(headers)) {
+              merged.set(name, value);
+            }
+            
+            return fetch(url, { ...init, headers: merged });
+          }
+        },
+        requestInit: { headers }
+      });
       
       this.transport = clientTransport;
       this.setupTransportHandlers();
@@ -2,16 +2,549 @@
  * Stdio transport adapter
  */
 import { ChildProcess } from "node:child_process";
-import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StringDecoder } from "node:string_decoder";
+import {
+  JSONRPCMessage,
+  JSONRPCMessageSchema,
+  JSONRPCRequest,
+  RequestId
+} from "@modelcontextprotocol/sdk/types.js";
+import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { createLogger } from "../utils/logging.js";
 import { ErrorCode, TransportError } from "../utils/errors.js";
+import {
+  isCancelledNotification,
+  isErrorResponse,
+  isProgressNotification,
+  isRequest,
+  isResponse
+} from "../utils/jsonrpc.js";
 import { spawnProcess } from "../utils/process.js";
 import { BaseTransportAdapter } from "./base.js";
 import { ServerConfig } from "../bridge/types.js";
 
 const logger = createLogger({ prefix: "StdioAdapter" });
 
+/**
+ * Number of stderr lines kept for error reporting
+ */
+const STDERR_TAIL_LINES = 20;
+
+/**
+ * Transport over the stdio pipes of a child process
+ * 
+ * Reads newline-delimited JSON-RPC messages from the process's stdout and
+ * writes them to its stdin. Stderr is never parsed as protocol traffic; its
+ * tail is kept and reported if the process exits with an error. Closing the
+ * transport detaches from the pipes but leaves the process running, since the
+ * server registry owns its lifetime.
+ */
+export class ChildProcessTransport implements Transport {
+  private stdoutDecoder = new StringDecoder("utf8");
+  private stderrDecoder = new StringDecoder("utf8");
+  private stdoutBuffer = "";
+  private stderrBuffer = "";
+  private stderrTail: string[] = [];
+  private started = false;
+  onclose?: () => void;
+  onerror?: (error: Error) => void;
+  onmessage?: (message: JSONRPCMessage) => void;
+  
+  /**
+   * Constructor
+   */
+  constructor(private readonly process: ChildProcess) {}
+  
+  /**
+   * Start reading from the process
+   */
+  async start(): Promise<void> {
+    if (this.started) {
+      throw new Error("ChildProcessTransport already started");
+    }
+    
+    if (!this.process.stdin || !this.process.stdout) {
+      throw new Error("Process was not spawned with piped stdio");
+    }
+    
+    if (this.process.exitCode !== null || this.process.signalCode !== null) {
+      throw new Error(`Process has already exited (PID: ${this.process.pid})`);
+    }
+    
+    this.started = true;
+    
+    this.process.stdout.on("data", this.handleStdout);
+    this.process.stdout.on("error", this.handleStreamError);
+    this.process.stdin.on("error", this.handleStreamError);
+    this.process.stderr?.on("data", this.handleStderr);
+    this.process.on("exit", this.handleExit);
+    this.process.on("error", this.handleStreamError);
+  }
+  
+  /**
+   * Stop reading from the process
+   */
+  async close(): Promise<void> {
+    if (!this.started) {
+      return;
+    }
+    
+    this.detach();
+    this.onclose?.();
+  }
+  
+  /**
+   * Write a message to the process's stdin
+   */
+  async send(message: JSONRPCMessage): Promise<void> {
+    const stdin = this.process.stdin;
+    
+    if (!this.started || !stdin || !stdin.writable) {
+      throw new Error("Not connected");
+    }
+    
+    // Respect backpressure so large bursts do not buffer without bound
+    if (!stdin.write(JSON.stringify(message) + "\n")) {
+      await new Promise<void>(resolve => stdin.once("drain", resolve));
+    }
+  }
+  
+  /**
+   * Get the most recent stderr output of the process
+   */
+  getStderrTail(): string[] {
+    return [...this.stderrTail];
+  }
+  
+  /**
+   * Handle a chunk of stdout, dispatching every complete line
+   */
+  private handleStdout = (chunk: Buffer): void => {
+    this.stdoutBuffer += this.stdoutDecoder.write(chunk);
+    
+    let index: number;
+    
+    while ((index = this.stdoutBuffer.indexOf("\n")) !== -1) {
+      const line = this.stdoutBuffer.slice(0, index).replace(/\r$/, "");
+      this.stdoutBuffer = this.stdoutBuffer.slice(index + 1);
+      
+      if (line.trim()) {
+        this.handleLine(line);
+      }
+    }
+  };
+  
+  /**
+   * Parse a line of stdout as a JSON-RPC message
+   */
+  private handleLine(line: string): void {
+    let message: JSONRPCMessage;
+    
+    try {
+      message = JSONRPCMessageSchema.parse(JSON.parse(line));
+    } catch (error) {
+      this.onerror?.(new Error(`Invalid JSON-RPC message from process (PID: ${this.process.pid}): ${line}`));
+      return;
+    }
+    
+    this.onmessage?.(message);
+  }
+  
+  /**
+   * Handle a chunk of stderr, keeping it apart from protocol traffic
+   */
+  private handleStderr = (chunk: Buffer): void => {
+    this.stderrBuffer += this.stderrDecoder.write(chunk);
+    
+    const lines = this.stderrBuffer.split(/\r?\n/);
+    this.stderrBuffer = lines.pop() ?? "";
+    
+    for (const line of lines) {
+      this.stderrTail.push(line);
+      
+      if (this.stderrTail.length > STDERR_TAIL_LINES) {
+        this.stderrTail.shift();
+      }
+    }
+  };
+  
+  /**
+   * Handle a pipe or process error
+   */
+  private handleStreamError = (error: Error): void => {
+    this.onerror?.(error);
+  };
+  
+  /**
+   * Handle the process exiting
+   */
+  private handleExit = (code: number | null, signal: NodeJS.Signals | null): void => {
+    // Flush a final line that was not newline-terminated
+    const rest = (this.stdoutBuffer + this.stdoutDecoder.end()).trim();
+    
+    if (rest) {
+      this.handleLine(rest);
+    }
+    
+    if (code !== 0 && signal === null) {
+      const stderr = this.stderrTail.length > 0 ? `: ${this.stderrTail.join("\n")}` : "";
+      this.onerror?.(new Error(`Process exited with code ${code} (PID: ${this.process.pid})${stderr}`));
+    }
+    
+    this.detach();
+    this.onclose?.();
+  };
+  
+  /**
+   * Remove all listeners from the process and its pipes
+   */
+  private detach(): void {
+    this.started = false;
+    this.stdoutBuffer = "";
+    this.stderrBuffer = "";
+    
+    this.process.stdout?.off("data", this.handleStdout);
+    this.process.stdout?.off("error", this.handleStreamError);
+    this.process.stdin?.off("error", this.handleStreamError);
+    this.process.stderr?.off("data", this.handleStderr);
+    this.process.off("exit", this.handleExit);
+    this.process.off("error", this.handleStreamError);
+  }
+}
+
+/**
+ * A session's share of a child process
+ */
+interface ProcessChannel {
+  prefix: string;              // Put in front of the ids of the session's requests
+  transport: Transport;        // The session's end
+  inFlight: Set<string>;       // Prefixed ids of requests awaiting a response
+  lastRequest: number;         // Sequence number of the latest request sent
+}
+
+/**
+ * Multiplexers by the process they read
+ */
+const multiplexers = new WeakMap<ChildProcess, ChildProcessMultiplexer>();
+
+/**
+ * Shares one child process among several sessions
+ *
+ * A process's stdout can only be read once, so a single ChildProcessTransport
+ * reads it and each session gets a channel of its own from openChannel().
+ * Requests sent through a channel carry their ids and progress tokens with
+ * the channel's prefix at the process, so sessions counting from the same id
+ * cannot take each other's responses, and the prefix is removed again on the
+ * way back. Progress and cancellation notifications go to the channel they
+ * are about, requests from the server go to the channel that sent a request
+ * most recently and is still waiting, or else the oldest one, and other
+ * notifications go to every channel. Messages for no channel are passed to
+ * onmessage.
+ */
+export class ChildProcessMultiplexer implements Transport {
+  private transport: ChildProcessTransport;
+  private channels = new Map<string, ProcessChannel>();
+  private serverRequests = new Map<RequestId, ProcessChannel>();
+  private nextChannel = 1;
+  private sequence = 0;
+  private started = false;
+  private closed = false;
+  onclose?: () => void;
+  onerror?: (error: Error) => void;
+  onmessage?: (message: JSONRPCMessage) => void;
+  
+  /**
+   * Constructor
+   */
+  constructor(private readonly process: ChildProcess) {
+    this.transport = new ChildProcessTransport(process);
+    this.transport.onmessage = (message) => this.dispatch(message);
+    this.transport.onerror = (error) => {
+      this.onerror?.(error);
+      
+      for (const channel of this.channels.values()) {
+        channel.transport.onerror?.(error);
+      }
+    };
+    this.transport.onclose = () => this.handleClosed();
+  }
+  
+  /**
+   * Start reading from the process, if not already reading
+   */
+  async start(): Promise<void> {
+    if (this.closed) {
+      throw new Error(`Process is no longer read (PID: ${this.process.pid})`);
+    }
+    
+    if (!this.started) {
+      this.started = true;
+      await this.transport.start();
+    }
+  }
+  
+  /**
+   * Stop reading from the process, closing every channel
+   */
+  async close(): Promise<void> {
+    await this.transport.close();
+    this.handleClosed();
+  }
+  
+  /**
+   * Write a message to the process as it is
+   */
+  async send(message: JSONRPCMessage): Promise<void> {
+    await this.transport.send(message);
+  }
+  
+  /**
+   * Get the most recent stderr output of the process
+   */
+  getStderrTail(): string[] {
+    return this.transport.getStderrTail();
+  }
+  
+  /**
+   * Open a channel for one session, reading the process once started
+   */
+  openChannel(): Transport {
+    const channel = {
+      prefix: `c${this.nextChannel++}:`,
+      inFlight: new Set<string>(),
+      lastRequest: 0
+    } as ProcessChannel;
+    
+    channel.transport = {
+      start: async () => {
+        await this.start();
+        this.channels.set(channel.prefix, channel);
+      },
+      close: async () => {
+        if (this.channels.has(channel.prefix)) {
+          await this.closeChannel(channel);
+          channel.transport.onclose?.();
+        }
+      },
+      send: async (message) => {
+        if (!this.channels.has(channel.prefix)) {
+          throw new Error("Not connected");
+        }
+        
+        await this.transport.send(this.toProcess(channel, message));
+      }
+    };
+    
+    return channel.transport;
+  }
+  
+  /**
+   * Give a message from a channel the ids it has at the process
+   */
+  private toProcess(channel: ProcessChannel, message: JSONRPCMessage): JSONRPCMessage {
+    if (isRequest(message)) {
+      const id = channel.prefix + JSON.stringify(message.id);
+      const progressToken = message.params?._meta?.progressToken;
+      
+      channel.inFlight.add(id);
+      channel.lastRequest = ++this.sequence;
+      
+      return {
+        ...message,
+        id,
+        ...(progressToken === undefined ? {} : {
+          params: {
+            ...message.params,
+            _meta: { ...message.params?._meta, progressToken: channel.prefix + JSON.stringify(progressToken) }
+          }
+        })
+      };
+    }
+    
+    if (isResponse(message) || isErrorResponse(message)) {
+      this.serverRequests.delete(message.id);
+      return message;
+    }
+    
+    // Only the channel's own requests can be cancelled under their prefixed id
+    if (isCancelledNotification(message)) {
+      const id = channel.prefix + JSON.stringify(message.params?.requestId);
+      
+      if (channel.inFlight.delete(id)) {
+        return { ...message, params: { ...message.params, requestId: id } };
+      }
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Pass a message from the process to the channel it is for
+   */
+  private dispatch(message: JSONRPCMessage): void {
+    if (isResponse(message) || isErrorResponse(message)) {
+      const [channel, id] = this.fromProcessId(message.id);
+      
+      if (channel) {
+        channel.inFlight.delete(String(message.id));
+        channel.transport.onmessage?.({ ...message, id: id as RequestId });
+      } else {
+        this.onmessage?.(message);
+      }
+      
+      return;
+    }
+    
+    if (isRequest(message)) {
+      this.dispatchServerRequest(message);
+      return;
+    }
+    
+    if (isProgressNotification(message)) {
+      const [channel, progressToken] = this.fromProcessId(message.params?.progressToken);
+      
+      if (channel) {
+        channel.transport.onmessage?.({ ...message, params: { ...message.params, progressToken } });
+        return;
+      }
+    }
+    
+    if (isCancelledNotification(message)) {
+      const requestId = message.params?.requestId as RequestId;
+      const channel = this.serverRequests.get(requestId);
+      
+      if (channel) {
+        this.serverRequests.delete(requestId);
+        channel.transport.onmessage?.(message);
+        return;
+      }
+    }
+    
+    if (this.channels.size === 0) {
+      this.onmessage?.(message);
+    }
+    
+    for (const channel of this.channels.values()) {
+      channel.transport.onmessage?.(message);
+    }
+  }
+  
+  /**
+   * Pass a request from the server to the channel most likely waiting on it
+   */
+  private dispatchServerRequest(request: JSONRPCRequest): void {
+    const channels = [...this.channels.values()];
+    const waiting = channels
+      .filter(channel => channel.inFlight.size > 0)
+      .sort((a, b) => b.lastRequest - a.lastRequest);
+    const channel = waiting[0] ?? channels[0];
+    
+    if (!channel) {
+      this.onmessage?.(request);
+      return;
+    }
+    
+    this.serverRequests.set(request.id, channel);
+    channel.transport.onmessage?.(request);
+  }
+  
+  /**
+   * Find the channel a prefixed id belongs to, and the id without its prefix
+   */
+  private fromProcessId(value: unknown): [ProcessChannel | undefined, unknown] {
+    const match = typeof value === "string" ? /^(c\d+:)(.*)$/s.exec(value) : null;
+    const channel = match ? this.channels.get(match[1]) : undefined;
+    
+    if (!match || !channel) {
+      return [undefined, value];
+    }
+    
+    try {
+      return [channel, JSON.parse(match[2])];
+    } catch {
+      return [undefined, value];
+    }
+  }
+  
+  /**
+   * Forget a channel, cancelling its requests at the process and answering
+   * the server's requests it will not answer
+   */
+  private async closeChannel(channel: ProcessChannel): Promise<void> {
+    this.channels.delete(channel.prefix);
+    
+    if (this.closed) {
+      return;
+    }
+    
+    const messages: JSONRPCMessage[] = [...channel.inFlight].map(requestId => ({
+      jsonrpc: "2.0",
+      method: "notifications/cancelled",
+      params: { requestId, reason: "The client went away" }
+    }));
+    
+    for (const [id, owner] of this.serverRequests) {
+      if (owner === channel) {
+        this.serverRequests.delete(id);
+        messages.push({
+          jsonrpc: "2.0",
+          id,
+          error: { code: ErrorCode.ConnectionClosed, message: "The client went away" }
+        });
+      }
+    }
+    
+    channel.inFlight.clear();
+    
+    for (const message of messages) {
+      await this.transport.send(message).catch((error) => {
+        logger.debug(`Failed to tell process ${this.process.pid} a client went away`, error);
+      });
+    }
+  }
+  
+  /**
+   * Close every channel once the process is no longer read
+   */
+  private handleClosed(): void {
+    if (this.closed) {
+      return;
+    }
+    
+    this.closed = true;
+    
+    if (multiplexers.get(this.process) === this) {
+      multiplexers.delete(this.process);
+    }
+    
+    const channels = [...this.channels.values()];
+    
+    this.channels.clear();
+    this.serverRequests.clear();
+    
+    for (const channel of channels) {
+      channel.transport.onclose?.();
+    }
+    
+    this.onclose?.();
+  }
+}
+
+/**
+ * Get the multiplexer that reads a process, creating it if there is none yet
+ */
+export function getChildProcessMultiplexer(process: ChildProcess): ChildProcessMultiplexer {
+  let multiplexer = multiplexers.get(process);
+  
+  if (!multiplexer) {
+    multiplexer = new ChildProcessMultiplexer(process);
+    multiplexers.set(process, multiplexer);
+  }
+  
+  return multiplexer;
+}
+
 /**
  * Stdio client adapter options
  */
@@ -44,18 +577,8 @@ export class StdioClientAdapter extends BaseTransportAdapter {
     logger.debug("Starting stdio client transport");
     
     try {
-      // Create a stdio client transport that connects to the server process
-      const clientTransport = new StdioClientTransport({
-        command: "dummy", // Not used since we're providing the process directly
-        args: [],
-      });
-      
-      // Hack: Replace the _process property with our server process
-      // This is a workaround since StdioClientTransport doesn't have a constructor
-      // that accepts an existing process
-      (clientTransport as any)._process = this.serverProcess;
-      
-      this.transport = clientTransport;
+      // The process is shared by every session with the server, each on a channel of its own
+      this.transport = getChildProcessMultiplexer(this.serverProcess).openChannel();
       this.setupTransportHandlers();
       
       // Start the transport
@@ -107,6 +630,10 @@ export class StdioServerAdapter extends BaseTransportAdapter {
     logger.debug(`Starting stdio server transport for: ${this.config.command}`);
     
     try {
+      if (!this.config.command) {
+        throw new Error("Stdio servers require a command");
+      }
+      
       // Spawn the server process
       this.process = spawnProcess({
         command: this.config.command,
@@ -115,13 +642,9 @@ export class StdioServerAdapter extends BaseTransportAdapter {
         env: this.config.env,
       });
       
-      // Create a stdio server transport
-      const serverTransport = new StdioServerTransport();
-      
-      // Note: The StdioServerTransport by default uses process.stdin and process.stdout
-      // We don't need to pass them explicitly
-      
-      this.transport = serverTransport;
+      // Read the spawned process's pipes for as long as the server runs;
+      // sessions with it open channels on the same reader
+      this.transport = getChildProcessMultiplexer(this.process);
       this.setupTransportHandlers();
       
       // Start the transport
@@ -158,3 +681,62 @@ export class StdioServerAdapter extends BaseTransportAdapter {
     return this.process;
   }
 }
+
+/**
+ * Process stdio adapter options
+ */
+export interface ProcessStdioAdapterOptions {
+  config: ServerConfig;
+}
+
+/**
+ * Process stdio adapter
+ *
+ * Accepts an MCP client on the bridge's own stdin and stdout, for when the
+ * bridge itself is launched as a stdio server by the client. Only one such
+ * connection can be open at a time, and the bridge must not log to stdout
+ * while it is.
+ */
+export class ProcessStdioAdapter extends BaseTransportAdapter {
+  private config: ServerConfig;
+  
+  /**
+   * Constructor
+   */
+  constructor(options: ProcessStdioAdapterOptions) {
+    super("ProcessStdio");
+    this.config = options.config;
+  }
+  
+  /**
+   * Start the transport
+   */
+  async start(): Promise<void> {
+    if (this.transport) {
+      return;
+    }
+    
+    logger.debug(`Starting process stdio transport for: ${this.config.name}`);
+    
+    try {
+      // Create a transport over this process's stdin and stdout
+      const serverTransport = new StdioServerTransport();
+      
+      this.transport = serverTransport;
+      this.setupTransportHandlers();
+      
+      // Start the transport
+      await this.transport.start();
+      
+      logger.info(`Process stdio transport started for: ${this.config.name}`);
+    } catch (error) {
+      logger.error(`Failed to start process stdio transport for: ${this.config.name}`, error);
+      throw new TransportError(
+        ErrorCode.TRANSPORT_ERROR,
+        `Failed to start process stdio transport for: ${this.config.name}`,
+        "stdio",
+        error
+      );
+    }
+  }
+}
@@ -0,0 +1,723 @@
+/**
+ * Streamable HTTP transport adapter
+ */
+import { randomUUID } from "node:crypto";
+import { IncomingMessage, ServerResponse } from "node:http";
+import getRawBody from "raw-body";
+import contentType from "content-type";
+import { JSONRPCMessage, JSONRPCMessageSchema, RequestId } from "@modelcontextprotocol/sdk/types.js";
+import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { createLogger } from "../utils/logging.js";
+import { ErrorCode, TransportError } from "../utils/errors.js";
+import { isErrorResponse, isInitializeRequest, isRequest, isResponse } from "../utils/jsonrpc.js";
+import { BaseTransportAdapter } from "./base.js";
+import { ServerConfig } from "../bridge/types.js";
+
+const logger = createLogger({ prefix: "StreamableHTTPAdapter" });
+
+const MAXIMUM_MESSAGE_SIZE = "4mb";
+const SESSION_HEADER = "mcp-session-id";
+
+/**
+ * Parse the messages contained in a block of SSE text
+ * Returns the parsed messages and any incomplete trailing text
+ */
+function parseEventStream(text: string): { messages: JSONRPCMessage[]; rest: string } {
+  const events = text.split(/\r?\n\r?\n/);
+  const rest = events.pop() ?? "";
+  const messages: JSONRPCMessage[] = [];
+  
+  for (const event of events) {
+    let type = "message";
+    const data: string[] = [];
+    
+    for (const line of event.split(/\r?\n/)) {
+      if (line.startsWith("event:")) {
+        type = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        data.push(line.slice(5).replace(/^ /, ""));
+      }
+    }
+    
+    if (type === "message" && data.length > 0) {
+      messages.push(JSONRPCMessageSchema.parse(JSON.parse(data.join("\n"))));
+    }
+  }
+  
+  return { messages, rest };
+}
+
+/**
+ * Streamable HTTP client transport options
+ */
+export interface StreamableHTTPClientTransportOptions {
+  sessionId?: string;
+  headers?: Record<string, string>;
+}
+
+/**
+ * Client transport for the Streamable HTTP protocol
+ *
+ * Every outgoing message is POSTed to the server URL. Responses arrive either as
+ * a JSON body or as an SSE stream on the POST response, and server-initiated
+ * messages arrive on an optional standalone GET stream.
+ */
+export class StreamableHTTPClientTransport implements Transport {
+  private url: URL;
+  private headers: Record<string, string>;
+  private abortController?: AbortController;
+  private eventStreamOpen = false;
+  private initialization?: Promise<void>;
+  sessionId?: string;
+  onclose?: () => void;
+  onerror?: (error: Error) => void;
+  onmessage?: (message: JSONRPCMessage) => void;
+  
+  /**
+   * Constructor
+   */
+  constructor(url: URL, options?: StreamableHTTPClientTransportOptions) {
+    this.url = url;
+    this.headers = options?.headers ?? {};
+    this.sessionId = options?.sessionId;
+  }
+  
+  /**
+   * Start the transport
+   */
+  async start(): Promise<void> {
+    if (this.abortController) {
+      throw new Error("StreamableHTTPClientTransport already started");
+    }
+    
+    this.abortController = new AbortController();
+  }
+  
+  /**
+   * Close the transport, terminating the session on the server if there is one
+   */
+  async close(): Promise<void> {
+    if (this.sessionId) {
+      try {
+        await fetch(this.url, {
+          method: "DELETE",
+          headers: this.buildHeaders()
+        });
+      } catch (error) {
+        logger.debug(`Failed to terminate session ${this.sessionId}`, error);
+      }
+    }
+    
+    this.abortController?.abort();
+    this.abortController = undefined;
+    this.onclose?.();
+  }
+  
+  /**
+   * Send a message to the server
+   */
+  async send(message: JSONRPCMessage): Promise<void> {
+    if (isInitializeRequest(message)) {
+      this.initialization = this.post(message);
+      return this.initialization;
+    }
+    
+    // Later messages need the session ID assigned by the initialize response
+    await this.initialization?.catch(() => undefined);
+    await this.post(message);
+  }
+  
+  /**
+   * POST a message to the server and dispatch whatever it answers with
+   */
+  private async post(message: JSONRPCMessage): Promise<void> {
+    if (!this.abortController) {
+      throw new Error("Not connected");
+    }
+    
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: {
+        ...this.buildHeaders(),
+        "content-type": "application/json",
+        accept: "application/json, text/event-stream"
+      },
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+    
+    const sessionId = response.headers.get(SESSION_HEADER);
+    
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+    
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      throw new Error(`Error POSTing to endpoint (HTTP ${response.status}): ${text}`);
+    }
+    
+    // Once the session is initialized, listen for server-initiated messages
+    if (isInitializeRequest(message) && !this.eventStreamOpen) {
+      this.openEventStream().catch((error) => this.onerror?.(error));
+    }
+    
+    if (response.status === 202 || !response.body) {
+      return;
+    }
+    
+    const type = response.headers.get("content-type") ?? "";
+    
+    if (type.includes("text/event-stream")) {
+      // Read the stream in the background so responses can be interleaved
+      this.readEventStream(response.body).catch((error) => this.onerror?.(error));
+    } else if (type.includes("application/json")) {
+      const data = await response.json();
+      const messages = Array.isArray(data) ? data : [data];
+      
+      for (const item of messages) {
+        this.onmessage?.(JSONRPCMessageSchema.parse(item));
+      }
+    }
+  }
+  
+  /**
+   * Build the headers common to every request
+   */
+  private buildHeaders(): Record<string, string> {
+    const headers: Record<string, string> = { ...this.headers };
+    
+    if (this.sessionId) {
+      headers[SESSION_HEADER] = this.sessionId;
+    }
+    
+    return headers;
+  }
+  
+  /**
+   * Open the standalone GET stream for server-initiated messages
+   */
+  private async openEventStream(): Promise<void> {
+    if (!this.abortController) {
+      return;
+    }
+    
+    const response = await fetch(this.url, {
+      method: "GET",
+      headers: {
+        ...this.buildHeaders(),
+        accept: "text/event-stream"
+      },
+      signal: this.abortController.signal
+    });
+    
+    // Servers are not required to offer a standalone stream
+    if (response.status === 405 || !response.ok || !response.body) {
+      logger.debug(`Server did not open an event stream (HTTP ${response.status})`);
+      return;
+    }
+    
+    this.eventStreamOpen = true;
+    
+    try {
+      await this.readEventStream(response.body);
+    } finally {
+      this.eventStreamOpen = false;
+    }
+  }
+  
+  /**
+   * Read messages from an SSE response body
+   */
+  private async readEventStream(body: ReadableStream<Uint8Array>): Promise<void> {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        
+        if (done) {
+          break;
+        }
+        
+        const { messages, rest } = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+        buffer = rest;
+        
+        for (const message of messages) {
+          this.onmessage?.(message);
+        }
+      }
+    } catch (error) {
+      // Aborting the controller on close ends every open stream
+      if (this.abortController && !this.abortController.signal.aborted) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Response stream opened by a POST or GET request
+ */
+interface ResponseStream {
+  res: ServerResponse;
+  mode: "sse" | "json";
+  pending: Set<RequestId>;
+  buffered: JSONRPCMessage[];
+}
+
+/**
+ * Streamable HTTP server transport options
+ */
+export interface StreamableHTTPServerTransportOptions {
+  sessionId?: string;
+}
+
+/**
+ * Server transport for the Streamable HTTP protocol
+ *
+ * Incoming requests are passed to handleRequest() by the HTTP server. Responses
+ * are written to the POST that carried the request, either as JSON or as an SSE
+ * stream depending on what the client accepts.
+ */
+export class StreamableHTTPServerTransport implements Transport {
+  private started = false;
+  private initialized = false;
+  private streams: Set<ResponseStream> = new Set();
+  private requestStreams: Map<RequestId, ResponseStream> = new Map();
+  private standaloneStream?: ResponseStream;
+  readonly sessionId: string;
+  onclose?: () => void;
+  onerror?: (error: Error) => void;
+  onmessage?: (message: JSONRPCMessage) => void;
+  
+  /**
+   * Constructor
+   */
+  constructor(options?: StreamableHTTPServerTransportOptions) {
+    this.sessionId = options?.sessionId ?? randomUUID();
+  }
+  
+  /**
+   * Start the transport
+   */
+  async start(): Promise<void> {
+    if (this.started) {
+      throw new Error("StreamableHTTPServerTransport already started");
+    }
+    
+    this.started = true;
+  }
+  
+  /**
+   * Handle an HTTP request for this session
+   */
+  async handleRequest(req: IncomingMessage, res: ServerResponse, parsedBody?: unknown): Promise<void> {
+    switch (req.method) {
+      case "POST":
+        await this.handlePost(req, res, parsedBody);
+        break;
+      case "GET":
+        this.handleGet(req, res);
+        break;
+      case "DELETE":
+        if (this.validateSession(req, res)) {
+          await this.close();
+          res.writeHead(200).end();
+        }
+        break;
+      default:
+        res.writeHead(405, { Allow: "GET, POST, DELETE" }).end("Method not allowed");
+    }
+  }
+  
+  /**
+   * Close the transport
+   */
+  async close(): Promise<void> {
+    for (const stream of this.streams) {
+      stream.res.end();
+    }
+    
+    this.streams.clear();
+    this.requestStreams.clear();
+    this.standaloneStream = undefined;
+    this.onclose?.();
+  }
+  
+  /**
+   * Send a message to the client
+   */
+  async send(message: JSONRPCMessage): Promise<void> {
+    if (isResponse(message) || isErrorResponse(message)) {
+      const stream = this.requestStreams.get(message.id);
+      
+      if (!stream) {
+        throw new Error(`No open request for response ID: ${message.id}`);
+      }
+      
+      this.requestStreams.delete(message.id);
+      stream.pending.delete(message.id);
+      
+      if (stream.mode === "sse") {
+        this.writeEvent(stream, message);
+      } else {
+        stream.buffered.push(message);
+      }
+      
+      if (stream.pending.size === 0) {
+        this.endStream(stream);
+      }
+      
+      return;
+    }
+    
+    // Server-initiated messages go to the standalone stream, or failing that
+    // to the most recently opened SSE response
+    const stream = this.standaloneStream ??
+      Array.from(this.streams).reverse().find(candidate => candidate.mode === "sse");
+      
+    if (!stream) {
+      throw new Error("No open stream to deliver server message");
+    }
+    
+    this.writeEvent(stream, message);
+  }
+  
+  /**
+   * Handle a POST carrying one or more JSON-RPC messages
+   */
+  private async handlePost(req: IncomingMessage, res: ServerResponse, parsedBody?: unknown): Promise<void> {
+    let messages: JSONRPCMessage[];
+    
+    try {
+      let body = parsedBody;
+      
+      if (body === undefined) {
+        const ct = contentType.parse(req.headers["content-type"] ?? "");
+        
+        if (ct.type !== "application/json") {
+          throw new Error(`Unsupported content-type: ${ct.type}`);
+        }
+        
+        body = JSON.parse(await getRawBody(req, {
+          limit: MAXIMUM_MESSAGE_SIZE,
+          encoding: ct.parameters.charset ?? "utf-8"
+        }));
+      }
+      
+      messages = (Array.isArray(body) ? body : [body]).map(item => JSONRPCMessageSchema.parse(item));
+    } catch (error) {
+      this.writeJSONRPCError(res, 400, ErrorCode.ParseError, `Invalid message: ${String(error)}`);
+      this.onerror?.(error as Error);
+      return;
+    }
+    
+    if (messages.some(isInitializeRequest)) {
+      if (this.initialized) {
+        this.writeJSONRPCError(res, 400, ErrorCode.InvalidRequest, "Session already initialized");
+        return;
+      }
+      
+      this.initialized = true;
+    } else if (!this.validateSession(req, res)) {
+      return;
+    }
+    
+    const requests = messages.filter(isRequest);
+    
+    if (requests.length === 0) {
+      res.writeHead(202, { [SESSION_HEADER]: this.sessionId }).end();
+    } else {
+      const accept = req.headers.accept ?? "";
+      const stream: ResponseStream = {
+        res,
+        mode: accept.includes("text/event-stream") ? "sse" : "json",
+        pending: new Set(requests.map(request => request.id)),
+        buffered: []
+      };
+      
+      if (stream.mode === "sse") {
+        res.writeHead(200, {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+          [SESSION_HEADER]: this.sessionId
+        });
+      }
+      
+      this.streams.add(stream);
+      
+      for (const request of requests) {
+        this.requestStreams.set(request.id, stream);
+      }
+      
+      res.on("close", () => this.forgetStream(stream));
+    }
+    
+    for (const message of messages) {
+      this.onmessage?.(message);
+    }
+  }
+  
+  /**
+   * Handle a GET opening the standalone stream for server-initiated messages
+   */
+  private handleGet(req: IncomingMessage, res: ServerResponse): void {
+    if (!(req.headers.accept ?? "").includes("text/event-stream")) {
+      res.writeHead(406).end("Client must accept text/event-stream");
+      return;
+    }
+    
+    if (!this.validateSession(req, res)) {
+      return;
+    }
+    
+    if (this.standaloneStream) {
+      res.writeHead(409).end("Only one event stream is allowed per session");
+      return;
+    }
+    
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      [SESSION_HEADER]: this.sessionId
+    });
+    
+    const stream: ResponseStream = { res, mode: "sse", pending: new Set(), buffered: [] };
+    this.standaloneStream = stream;
+    this.streams.add(stream);
+    
+    res.on("close", () => this.forgetStream(stream));
+  }
+  
+  /**
+   * Check the session header of a request, answering it if it is invalid
+   */
+  private validateSession(req: IncomingMessage, res: ServerResponse): boolean {
+    if (!this.initialized) {
+      this.writeJSONRPCError(res, 400, ErrorCode.InvalidRequest, "Session not initialized");
+      return false;
+    }
+    
+    const sessionId = req.headers[SESSION_HEADER];
+    
+    if (!sessionId) {
+      this.writeJSONRPCError(res, 400, ErrorCode.InvalidRequest, "Missing session ID");
+      return false;
+    }
+    
+    if (sessionId !== this.sessionId) {
+      this.writeJSONRPCError(res, 404, ErrorCode.InvalidRequest, "Session not found");
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Write a message as an SSE event
+   */
+  private writeEvent(stream: ResponseStream, message: JSONRPCMessage): void {
+    stream.res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+  
+  /**
+   * Finish a response stream once all of its requests have been answered
+   */
+  private endStream(stream: ResponseStream): void {
+    if (stream.mode === "json") {
+      const body = stream.buffered.length === 1 ? stream.buffered[0] : stream.buffered;
+      
+      stream.res.writeHead(200, {
+        "Content-Type": "application/json",
+        [SESSION_HEADER]: this.sessionId
+      }).end(JSON.stringify(body));
+    } else {
+      stream.res.end();
+    }
+    
+    this.forgetStream(stream);
+  }
+  
+  /**
+   * Forget a stream that has ended or whose client went away
+   */
+  private forgetStream(stream: ResponseStream): void {
+    this.streams.delete(stream);
+    
+    for (const id of stream.pending) {
+      this.requestStreams.delete(id);
+    }
+    
+    if (this.standaloneStream === stream) {
+      this.standaloneStream = undefined;
+    }
+  }
+  
+  /**
+   * Answer an HTTP request with a JSON-RPC error body
+   */
+  private writeJSONRPCError(res: ServerResponse, status: number, code: number, message: string): void {
+    res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify({
+      jsonrpc: "2.0",
+      error: { code, message },
+      id: null
+    }));
+  }
+}
+
+/**
+ * Streamable HTTP client adapter options
+ */
+export interface StreamableHTTPClientAdapterOptions {
+  url: URL;
+  sessionId?: string;
+  headers?: Record<string, string>;
+}
+
+/**
+ * Streamable HTTP client adapter
+ */
+export class StreamableHTTPClientAdapter extends BaseTransportAdapter {
+  private url: URL;
+  private headers?: Record<string, string>;
+  public sessionId?: string;
+  
+  /**
+   * Constructor
+   */
+  constructor(options: StreamableHTTPClientAdapterOptions) {
+    super("StreamableHTTPClient");
+    this.url = options.url;
+    this.sessionId = options.sessionId;
+    this.headers = options.headers;
+  }
+  
+  /**
+   * Start the transport
+   */
+  async start(): Promise<void> {
+    if (this.transport) {
+      return;
+    }
+    
+    logger.debug(`Starting streamable HTTP client transport for URL: ${this.url.href}`);
+    
+    try {
+      // Create a streamable HTTP client transport
+      const clientTransport = new StreamableHTTPClientTransport(this.url, {
+        sessionId: this.sessionId,
+        headers: this.headers
+      });
+      
+      this.transport = clientTransport;
+      this.setupTransportHandlers();
+      
+      // Start the transport
+      await this.transport.start();
+      
+      logger.info(`Streamable HTTP client transport started for URL: ${this.url.href}`);
+    } catch (error) {
+      logger.error(`Failed to start streamable HTTP client transport for URL: ${this.url.href}`, error);
+      throw new TransportError(
+        ErrorCode.TRANSPORT_ERROR,
+        `Failed to start streamable HTTP client transport for URL: ${this.url.href}`,
+        "streamable-http",
+        error
+      );
+    }
+  }
+  
+  /**
+   * Get the session ID assigned by the server
+   */
+  getSessionId(): string | undefined {
+    return this.transport?.sessionId ?? this.sessionId;
+  }
+}
+
+/**
+ * Streamable HTTP server adapter options
+ */
+export interface StreamableHTTPServerAdapterOptions {
+  config: ServerConfig;
+  sessionId?: string;
+}
+
+/**
+ * Streamable HTTP server adapter
+ */
+export class StreamableHTTPServerAdapter extends BaseTransportAdapter {
+  private config: ServerConfig;
+  public sessionId?: string;
+  
+  /**
+   * Constructor
+   */
+  constructor(options: StreamableHTTPServerAdapterOptions) {
+    super("StreamableHTTPServer");
+    this.config = options.config;
+    this.sessionId = options.sessionId;
+  }
+  
+  /**
+   * Start the transport
+   */
+  async start(): Promise<void> {
+    if (this.transport) {
+      return;
+    }
+    
+    logger.debug(`Starting streamable HTTP server transport for: ${this.config.name}`);
+    
+    try {
+      // Create a streamable HTTP server transport
+      const serverTransport = new StreamableHTTPServerTransport({
+        sessionId: this.sessionId
+      });
+      
+      this.transport = serverTransport;
+      this.setupTransportHandlers();
+      
+      // Start the transport
+      await this.transport.start();
+      
+      // Store the session ID
+      this.sessionId = serverTransport.sessionId;
+      
+      logger.info(`Streamable HTTP server transport started for: ${this.config.name}`);
+      logger.debug(`Streamable HTTP session ID: ${this.sessionId}`);
+    } catch (error) {
+      logger.error(`Failed to start streamable HTTP server transport for: ${this.config.name}`, error);
+      throw new TransportError(
+        ErrorCode.TRANSPORT_ERROR,
+        `Failed to start streamable HTTP server transport for: ${this.config.name}`,
+        "streamable-http",
+        error
+      );
+    }
+  }
+  
+  /**
+   * Handle an HTTP request for this session
+   */
+  async handleRequest(req: IncomingMessage, res: ServerResponse, parsedBody?: unknown): Promise<void> {
+    if (!this.transport) {
+      throw new Error("Transport not started");
+    }
+    
+    const httpTransport = this.transport as StreamableHTTPServerTransport;
+    await httpTransport.handleRequest(req, res, parsedBody);
+  }
+  
+  /**
+   * Get the session ID
+   */
+  getSessionId(): string | undefined {
+    return this.sessionId;
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Transport registry
+ *
+ * Holds the transports added at runtime with registerTransport, so that
+ * third-party modules can ship their own adapters without editing the factory.
+ */
+import { z } from "zod";
+import { createLogger } from "../utils/logging.js";
+import { ErrorCode, TransportError } from "../utils/errors.js";
+import { BUILTIN_TRANSPORTS, TransportAdapter } from "../bridge/types.js";
+import { ClientAdapterOptions, ServerAdapterOptions } from "./factory.js";
+
+const logger = createLogger({ prefix: "TransportRegistry" });
+
+/**
+ * Transport definition
+ */
+export interface TransportDefinition {
+  /**
+   * Create an adapter that connects the bridge to a server over this transport
+   */
+  createClient(options: ClientAdapterOptions): TransportAdapter;
+  
+  /**
+   * Create an adapter that accepts a client over this transport
+   */
+  createServer(options: ServerAdapterOptions): TransportAdapter;
+  
+  /**
+   * Schema for the transportOptions of servers and connections using this transport
+   */
+  optionsSchema?: z.ZodTypeAny;
+}
+
+/**
+ * Registered third-party transports
+ */
+const transports = new Map<string, TransportDefinition>();
+
+/**
+ * Check if a transport is built in
+ */
+function isBuiltinTransport(name: string): boolean {
+  return (BUILTIN_TRANSPORTS as readonly string[]).includes(name);
+}
+
+/**
+ * Register a transport
+ */
+export function registerTransport(name: string, definition: TransportDefinition): void {
+  if (!name) {
+    throw new TransportError(
+      ErrorCode.INVALID_CONFIGURATION,
+      "Transport name is required",
+      name
+    );
+  }
+  
+  if (isBuiltinTransport(name)) {
+    throw new TransportError(
+      ErrorCode.INVALID_CONFIGURATION,
+      `Built-in transport cannot be replaced: ${name}`,
+      name
+    );
+  }
+  
+  if (transports.has(name)) {
+    throw new TransportError(
+      ErrorCode.INVALID_CONFIGURATION,
+      `Transport already registered: ${name}`,
+      name
+    );
+  }
+  
+  transports.set(name, definition);
+  
+  logger.info(`Registered transport: ${name}`);
+}
+
+/**
+ * Unregister a transport
+ */
+export function unregisterTransport(name: string): boolean {
+  const removed = transports.delete(name);
+  
+  if (removed) {
+    logger.info(`Unregistered transport: ${name}`);
+  }
+  
+  return removed;
+}
+
+/**
+ * Get a registered transport definition
+ */
+export function getTransportDefinition(name: string): TransportDefinition | undefined {
+  return transports.get(name);
+}
+
+/**
+ * Check if a transport is built in or registered
+ */
+export function isTransportRegistered(name: string): boolean {
+  return isBuiltinTransport(name) || transports.has(name);
+}
+
+/**
+ * Get the names of all built-in and registered transports
+ */
+export function getRegisteredTransports(): string[] {
+  return [...BUILTIN_TRANSPORTS, ...transports.keys()];
+}
+
+/**
+ * Validate transport options against the schema of a registered transport
+ * Returns the validation error messages, if any
+ */
+export function validateTransportOptions(name: string, options: unknown): string[] {
+  const schema = transports.get(name)?.optionsSchema;
+  
+  if (!schema) {
+    return [];
+  }
+  
+  const result = schema.safeParse(options);
+  
+  if (result.success) {
+    return [];
+  }
+  
+  return result.error.errors.map(error =>
+    error.path.length > 0 ? `${error.path.join(".")}: ${error.message}` : error.message
+  );
+}
@@ -0,0 +1,259 @@
+/**
+ * WebSocket transport adapter
+ */
+import { randomUUID } from "node:crypto";
+import WebSocket from "ws";
+import { JSONRPCMessage, JSONRPCMessageSchema } from "@modelcontextprotocol/sdk/types.js";
+import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { createLogger } from "../utils/logging.js";
+import { ErrorCode, TransportError } from "../utils/errors.js";
+import { BaseTransportAdapter } from "./base.js";
+import { ServerConfig } from "../bridge/types.js";
+
+const logger = createLogger({ prefix: "WebSocketAdapter" });
+
+/**
+ * WebSocket subprotocol used by MCP
+ */
+export const WEBSOCKET_SUBPROTOCOL = "mcp";
+
+/**
+ * Transport over an open WebSocket, one JSON-RPC message per text frame
+ */
+export class WebSocketTransport implements Transport {
+  protected socket?: WebSocket;
+  sessionId?: string;
+  onclose?: () => void;
+  onerror?: (error: Error) => void;
+  onmessage?: (message: JSONRPCMessage) => void;
+  
+  /**
+   * Constructor
+   */
+  constructor(socket?: WebSocket, sessionId?: string) {
+    this.socket = socket;
+    this.sessionId = sessionId;
+  }
+  
+  /**
+   * Start the transport
+   */
+  async start(): Promise<void> {
+    if (!this.socket) {
+      throw new Error("WebSocket not connected");
+    }
+    
+    this.attach(this.socket);
+  }
+  
+  /**
+   * Close the transport
+   */
+  async close(): Promise<void> {
+    // The close event on the socket invokes onclose
+    this.socket?.close();
+  }
+  
+  /**
+   * Send a message over the socket
+   */
+  async send(message: JSONRPCMessage): Promise<void> {
+    const socket = this.socket;
+    
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      throw new Error("Not connected");
+    }
+    
+    await new Promise<void>((resolve, reject) => {
+      socket.send(JSON.stringify(message), (error) => error ? reject(error) : resolve());
+    });
+  }
+  
+  /**
+   * Attach the transport callbacks to a socket
+   */
+  protected attach(socket: WebSocket): void {
+    socket.on("message", (data) => {
+      let message: JSONRPCMessage;
+      
+      try {
+        message = JSONRPCMessageSchema.parse(JSON.parse(data.toString()));
+      } catch (error) {
+        this.onerror?.(error as Error);
+        return;
+      }
+      
+      this.onmessage?.(message);
+    });
+    
+    socket.on("error", (error) => {
+      this.onerror?.(error);
+    });
+    
+    socket.on("close", () => {
+      this.socket = undefined;
+      this.onclose?.();
+    });
+    
+    // Sockets accepted by the API server are paused until a transport is attached
+    socket.resume();
+  }
+}
+
+/**
+ * Client transport that opens a WebSocket to an MCP server
+ */
+export class WebSocketClientTransport extends WebSocketTransport {
+  private url: URL;
+  private headers?: Record<string, string>;
+  
+  /**
+   * Constructor
+   */
+  constructor(url: URL, headers?: Record<string, string>) {
+    super();
+    this.url = url;
+    this.headers = headers;
+  }
+  
+  /**
+   * Open the socket and start the transport
+   */
+  async start(): Promise<void> {
+    if (this.socket) {
+      throw new Error("WebSocketClientTransport already started");
+    }
+    
+    const socket = new WebSocket(this.url, WEBSOCKET_SUBPROTOCOL, {
+      headers: this.headers
+    });
+    
+    await new Promise<void>((resolve, reject) => {
+      socket.once("open", resolve);
+      socket.once("error", reject);
+    });
+    
+    this.socket = socket;
+    this.attach(socket);
+  }
+}
+
+/**
+ * WebSocket client adapter options
+ */
+export interface WebSocketClientAdapterOptions {
+  url: URL;
+  headers?: Record<string, string>;
+}
+
+/**
+ * WebSocket client adapter
+ */
+export class WebSocketClientAdapter extends BaseTransportAdapter {
+  private url: URL;
+  private headers?: Record<string, string>;
+  
+  /**
+   * Constructor
+   */
+  constructor(options: WebSocketClientAdapterOptions) {
+    super("WebSocketClient");
+    this.url = options.url;
+    this.headers = options.headers;
+  }
+  
+  /**
+   * Start the transport
+   */
+  async start(): Promise<void> {
+    if (this.transport) {
+      return;
+    }
+    
+    logger.debug(`Starting WebSocket client transport for URL: ${this.url.href}`);
+    
+    try {
+      // Create a WebSocket client transport
+      const clientTransport = new WebSocketClientTransport(this.url, this.headers);
+      
+      this.transport = clientTransport;
+      this.setupTransportHandlers();
+      
+      // Start the transport
+      await this.transport.start();
+      
+      logger.info(`WebSocket client transport started for URL: ${this.url.href}`);
+    } catch (error) {
+      logger.error(`Failed to start WebSocket client transport for URL: ${this.url.href}`, error);
+      throw new TransportError(
+        ErrorCode.TRANSPORT_ERROR,
+        `Failed to start WebSocket client transport for URL: ${this.url.href}`,
+        "websocket",
+        error
+      );
+    }
+  }
+}
+
+/**
+ * WebSocket server adapter options
+ */
+export interface WebSocketServerAdapterOptions {
+  config: ServerConfig;
+  socket: WebSocket;
+  sessionId?: string;
+}
+
+/**
+ * WebSocket server adapter
+ *
+ * Wraps a socket accepted by the API server's upgrade handler.
+ */
+export class WebSocketServerAdapter extends BaseTransportAdapter {
+  private config: ServerConfig;
+  private socket: WebSocket;
+  public sessionId?: string;
+  
+  /**
+   * Constructor
+   */
+  constructor(options: WebSocketServerAdapterOptions) {
+    super("WebSocketServer");
+    this.config = options.config;
+    this.socket = options.socket;
+    this.sessionId = options.sessionId ?? randomUUID();
+  }
+  
+  /**
+   * Start the transport
+   */
+  async start(): Promise<void> {
+    if (this.transport) {
+      return;
+    }
+    
+    logger.debug(`Starting WebSocket server transport for: ${this.config.name}`);
+    
+    try {
+      // Create a WebSocket server transport around the accepted socket
+      const serverTransport = new WebSocketTransport(this.socket, this.sessionId);
+      
+      this.transport = serverTransport;
+      this.setupTransportHandlers();
+      
+      // Start the transport
+      await this.transport.start();
+      
+      logger.info(`WebSocket server transport started for: ${this.config.name}`);
+      logger.debug(`WebSocket session ID: ${this.sessionId}`);
+    } catch (error) {
+      logger.error(`Failed to start WebSocket server transport for: ${this.config.name}`, error);
+      throw new TransportError(
+        ErrorCode.TRANSPORT_ERROR,
+        `Failed to start WebSocket server transport for: ${this.config.name}`,
+        "websocket",
+        error
+      );
+    }
+  }
+}
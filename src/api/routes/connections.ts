@@ -4,13 +4,32 @@
 import { Router, Request, Response, NextFunction } from "express";
 import { z } from "zod";
 import { createLogger } from "../../utils/logging.js";
-import { ValidationError } from "../../utils/errors.js";
+import { ApiError, ErrorCode, ValidationError } from "../../utils/errors.js";
 import { ConnectionManager } from "../../bridge/connection.js";
 import { BridgeManager } from "../../bridge/manager.js";
 import { ConnectionConfig, ConnectionStatus } from "../../bridge/types.js";
+import { getAccessRules } from "../../bridge/access.js";
+import { streamTraffic } from "./traffic.js";
+import {
+  getRegisteredTransports,
+  isTransportRegistered,
+  validateTransportOptions
+} from "../../adapters/transport-registry.js";
 
 const logger = createLogger({ prefix: "ConnectionsRoutes" });
 
+/**
+ * Access rules schema, as glob patterns
+ */
+const AccessRulesSchema = z.object({
+  allowTools: z.array(z.string().min(1)).optional(),
+  denyTools: z.array(z.string().min(1)).optional(),
+  allowResources: z.array(z.string().min(1)).optional(),
+  denyResources: z.array(z.string().min(1)).optional(),
+  allowPrompts: z.array(z.string().min(1)).optional(),
+  denyPrompts: z.array(z.string().min(1)).optional()
+});
+
 /**
  * Connection creation schema
  */
@@ -18,11 +37,24 @@ const ConnectionCreateSchema = z.object({
   name: z.string().min(1).max(100).default("Connection"), // Required by Implementation interface
   version: z.string().default("1.0.0"), // Required by Implementation interface
   serverId: z.string().uuid(),
-  transport: z.enum(["stdio", "sse", "memory"]),
+  // Checked against the transports registered at the time of the request
+  transport: z.string().refine(isTransportRegistered, transport => ({
+    message: `Unknown transport: ${transport}. Expected one of: ${getRegisteredTransports().join(", ")}`
+  })),
+  transportOptions: z.record(z.unknown()).optional(),
   timeout: z.number().int().positive().optional(),
+  methodTimeouts: z.record(z.number().int().positive()).optional(),
   reconnect: z.boolean().optional(),
   maxReconnects: z.number().int().nonnegative().optional(),
   reconnectDelay: z.number().int().nonnegative().optional()
+}).merge(AccessRulesSchema).superRefine((value, ctx) => {
+  for (const message of validateTransportOptions(value.transport, value.transportOptions)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["transportOptions"],
+      message
+    });
+  }
 });
 
 /**
@@ -70,6 +102,11 @@ export function connectionsRoutes(
         config: connection.config,
         status: connection.status,
         connectTime: connection.connectTime,
+        protocolVersion: connection.handshake?.result?.protocolVersion,
+        serverCapabilities: connection.handshake?.result?.capabilities,
+        reconnectAttempts: connection.reconnectCount,
+        nextReconnectTime: connection.nextReconnectTime,
+        recording: connection.recording ?? null,
         error: connection.error?.message
       });
     } catch (error) {
@@ -77,6 +114,85 @@ export function connectionsRoutes(
     }
   });
   
+  /**
+   * Stream the messages passing through a connection as server-sent events
+   * Filtered by the method and direction query parameters
+   */
+  router.get("/:id/traffic", (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { id } = req.params;
+      
+      // Check the connection exists
+      connectionManager.getConnection(id);
+      
+      streamTraffic(req, res, bridgeManager, { connectionId: id });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Start recording a connection's traffic to a JSONL file
+   */
+  router.post("/:id/recording", async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { id } = req.params;
+      const connection = connectionManager.getConnection(id);
+      
+      if (connection.recording) {
+        throw new ApiError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Connection ${id} is already being recorded`,
+          409
+        );
+      }
+      
+      if (connection.status === ConnectionStatus.DISCONNECTED || connection.status === ConnectionStatus.ERROR) {
+        throw new ApiError(
+          ErrorCode.CONNECTION_FAILED,
+          `Connection ${id} is not connected`,
+          409
+        );
+      }
+      
+      const recording = await bridgeManager.startRecording(id);
+      
+      res.status(201).json({
+        id,
+        recording
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Stop recording a connection's traffic
+   */
+  router.delete("/:id/recording", async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { id } = req.params;
+      const connection = connectionManager.getConnection(id);
+      
+      if (!connection.recording) {
+        throw new ApiError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Connection ${id} is not being recorded`,
+          409
+        );
+      }
+      
+      const recording = await bridgeManager.stopRecording(id);
+      
+      res.status(200).json({
+        id,
+        recording
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
   /**
    * Create a new connection
    */
@@ -119,6 +235,43 @@ export function connectionsRoutes(
     }
   });
   
+  /**
+   * Replace what a connection's client may see and use
+   */
+  router.put("/:id/access", async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { id } = req.params;
+      
+      // Validate request body
+      const validationResult = AccessRulesSchema.safeParse(req.body);
+      
+      if (!validationResult.success) {
+        const errors: Record<string, string[]> = {};
+        
+        validationResult.error.errors.forEach(error => {
+          const path = error.path.join(".");
+          if (!errors[path]) {
+            errors[path] = [];
+          }
+          errors[path].push(error.message);
+        });
+        
+        throw new ValidationError("Invalid access rules", errors);
+      }
+      
+      await bridgeManager.updateConnectionAccess(id, validationResult.data);
+      
+      const connection = connectionManager.getConnection(id);
+      
+      res.status(200).json({
+        id: connection.id,
+        access: getAccessRules(connection.config)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
   /**
    * Delete a connection
    */
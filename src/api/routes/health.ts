@@ -0,0 +1,104 @@
+/**
+ * Health and readiness routes for the MCP Transport Bridge
+ */
+import { Router, Request, Response, NextFunction } from "express";
+import { ServerRegistry } from "../../bridge/registry.js";
+import { ConnectionManager } from "../../bridge/connection.js";
+import { ConnectionStatus, ServerStatus } from "../../bridge/types.js";
+
+/**
+ * Server states that need attention
+ */
+const FAILED_SERVER_STATUSES = [
+  ServerStatus.ERROR,
+  ServerStatus.UNREACHABLE,
+  ServerStatus.CRASH_LOOP,
+  ServerStatus.UNHEALTHY
+];
+
+/**
+ * Time since a start, while it lasts (ms)
+ */
+function getUptime(startTime: Date | undefined, up: boolean): number | null {
+  return up && startTime ? Date.now() - startTime.getTime() : null;
+}
+
+/**
+ * Create health and readiness routes
+ * These are mounted outside /api so supervisors are not rate limited
+ */
+export function healthRoutes(
+  serverRegistry: ServerRegistry,
+  connectionManager: ConnectionManager
+): Router {
+  const router = Router();
+  
+  /**
+   * Report the state of every server and connection
+   * Answers 200 whenever the bridge itself is up; status is "degraded" if a
+   * server or connection has failed
+   */
+  router.get("/health", (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const servers = serverRegistry.getAllServers();
+      const connections = connectionManager.getAllConnections();
+      
+      const degraded = servers.some(server => FAILED_SERVER_STATUSES.includes(server.status))
+        || connections.some(connection => connection.status === ConnectionStatus.ERROR);
+        
+      res.status(200).json({
+        status: degraded ? "degraded" : "ok",
+        uptime: Math.round(process.uptime() * 1000),
+        servers: servers.map(server => ({
+          id: server.id,
+          name: server.config.name,
+          status: server.status,
+          required: server.config.required ?? false,
+          ready: serverRegistry.isServerReady(server.id),
+          uptime: getUptime(
+            server.startTime,
+            server.status === ServerStatus.RUNNING || server.status === ServerStatus.UNHEALTHY
+          ),
+          restartCount: server.restartCount,
+          error: server.error?.message
+        })),
+        connections: connections.map(connection => ({
+          id: connection.id,
+          name: connection.config.name,
+          serverId: connection.config.serverId,
+          status: connection.status,
+          uptime: getUptime(connection.connectTime, connection.status === ConnectionStatus.CONNECTED),
+          reconnectAttempts: connection.reconnectCount,
+          error: connection.error?.message
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Answer 200 once every required server is running and has answered
+   * initialize, and 503 with the servers still waited for until then
+   */
+  router.get("/ready", (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const waiting = serverRegistry.getAllServers()
+        .filter(server => server.config.required && !serverRegistry.isServerReady(server.id));
+        
+      res.status(waiting.length === 0 ? 200 : 503).json({
+        status: waiting.length === 0 ? "ready" : "not ready",
+        waitingFor: waiting.map(server => ({
+          id: server.id,
+          name: server.config.name,
+          status: server.status,
+          error: server.error?.message
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  return router;
+}
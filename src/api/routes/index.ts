@@ -1,13 +1,23 @@
 /**
  * API routes index
  */
-import { Router } from "express";
+import { Router, Request, Response, NextFunction } from "express";
 import { serversRoutes } from "./servers.js";
 import { connectionsRoutes } from "./connections.js";
 import { ServerRegistry } from "../../bridge/registry.js";
 import { ConnectionManager } from "../../bridge/connection.js";
 import { BridgeManager } from "../../bridge/manager.js";
 
+/**
+ * Remember where the router a request is entering is mounted
+ * Express forgets the mount path once an error leaves the router, and metrics
+ * still need it to tell which route answered
+ */
+export function rememberMountPath(req: Request, res: Response, next: NextFunction): void {
+  res.locals.mountPath = req.baseUrl;
+  next();
+}
+
 /**
  * Create API routes
  */
@@ -19,8 +29,8 @@ export function createRoutes(
   const router = Router();
   
   // Mount routes
-  router.use("/servers", serversRoutes(serverRegistry, bridgeManager));
-  router.use("/connections", connectionsRoutes(connectionManager, bridgeManager));
+  router.use("/servers", rememberMountPath, serversRoutes(serverRegistry, bridgeManager));
+  router.use("/connections", rememberMountPath, connectionsRoutes(connectionManager, bridgeManager));
   
   return router;
 }
@@ -0,0 +1,217 @@
+/**
+ * MCP endpoint routes for the MCP Transport Bridge
+ *
+ * These routes speak MCP itself rather than the management API, so that stock
+ * MCP clients can be pointed directly at the bridge.
+ */
+import { Router, Request, Response, NextFunction } from "express";
+import { createLogger } from "../../utils/logging.js";
+import { ApiError, ErrorCode } from "../../utils/errors.js";
+import { ConnectionManager } from "../../bridge/connection.js";
+import { BridgeManager } from "../../bridge/manager.js";
+import { ConnectionConfig, ConnectionStatus } from "../../bridge/types.js";
+import { SSEServerAdapter } from "../../adapters/sse.js";
+import { getSSESessionId } from "../../adapters/factory.js";
+
+const logger = createLogger({ prefix: "McpRoutes" });
+
+/**
+ * Check if a request body contains an initialize request
+ */
+function containsInitializeRequest(body: unknown): boolean {
+  const messages = Array.isArray(body) ? body : [body];
+  return messages.some(message => message?.method === "initialize");
+}
+
+/**
+ * Tear down an SSE connection whose client went away
+ */
+async function closeSSEConnection(
+  connectionManager: ConnectionManager,
+  bridgeManager: BridgeManager,
+  serverId: string,
+  connectionId: string
+): Promise<void> {
+  try {
+    const connection = connectionManager.getConnection(connectionId);
+    
+    if (connection.status !== ConnectionStatus.DISCONNECTED) {
+      await bridgeManager.disconnectConnection(connectionId);
+    }
+    
+    connectionManager.removeConnection(connectionId);
+    
+    logger.info(`Closed SSE connection ${connectionId} for server ${serverId}`);
+  } catch (error) {
+    logger.error(`Failed to clean up SSE connection ${connectionId}`, error);
+  }
+}
+
+/**
+ * Create MCP endpoint routes
+ */
+export function mcpRoutes(
+  connectionManager: ConnectionManager,
+  bridgeManager: BridgeManager
+): Router {
+  const router = Router();
+  
+  /**
+   * Streamable HTTP endpoint
+   */
+  router.all("/:serverId", async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { serverId } = req.params;
+      const sessionId = req.header("mcp-session-id");
+      let connectionId: string;
+      
+      if (sessionId) {
+        const connection = connectionManager.getAllConnections().find(
+          candidate => candidate.id === sessionId && candidate.config.serverId === serverId
+        );
+        
+        if (!connection || connection.config.transport !== "streamable-http") {
+          throw new ApiError(
+            ErrorCode.CONNECTION_NOT_FOUND,
+            `Session not found: ${sessionId}`,
+            404
+          );
+        }
+        
+        connectionId = connection.id;
+      } else {
+        // A new session can only be opened by an initialize request
+        if (req.method !== "POST" || !containsInitializeRequest(req.body)) {
+          throw new ApiError(
+            ErrorCode.VALIDATION_ERROR,
+            "Missing session ID",
+            400
+          );
+        }
+        
+        const config: ConnectionConfig = {
+          name: "Streamable HTTP Connection",
+          version: "1.0.0",
+          serverId,
+          transport: "streamable-http"
+        };
+        
+        connectionId = await bridgeManager.connectToServer(config);
+        
+        logger.info(`Opened streamable HTTP session ${connectionId} for server ${serverId}`);
+      }
+      
+      await bridgeManager.handleStreamableHTTPRequest(connectionId, req, res, req.body);
+      
+      // Terminating the session also tears down its connection
+      if (req.method === "DELETE") {
+        const connection = connectionManager.getConnection(connectionId);
+        
+        if (connection.status !== ConnectionStatus.DISCONNECTED) {
+          await bridgeManager.disconnectConnection(connectionId);
+        }
+        
+        connectionManager.removeConnection(connectionId);
+        
+        logger.info(`Closed streamable HTTP session ${connectionId} for server ${serverId}`);
+      }
+    } catch (error) {
+      // The transport may already have answered the request
+      if (res.headersSent) {
+        logger.error("Error handling streamable HTTP request", error);
+        return;
+      }
+      
+      next(error);
+    }
+  });
+  
+  /**
+   * SSE stream endpoint
+   * Opens a new connection whose messages are streamed back on this response
+   */
+  router.get("/:serverId/sse", async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { serverId } = req.params;
+      
+      const config: ConnectionConfig = {
+        name: "SSE Connection",
+        version: "1.0.0",
+        serverId,
+        transport: "sse"
+      };
+      
+      const connecting = bridgeManager.connectToServer(config, {
+        endpoint: `${req.baseUrl}/${encodeURIComponent(serverId)}/messages`,
+        res
+      });
+      
+      // Tear down the connection when the client goes away, which may be
+      // before the connection has been set up
+      res.on("close", () => {
+        connecting
+          .then(connectionId => closeSSEConnection(connectionManager, bridgeManager, serverId, connectionId))
+          .catch(() => {
+            // A connection that failed to open was already removed
+          });
+      });
+      
+      const connectionId = await connecting;
+      
+      logger.info(`Opened SSE connection ${connectionId} for server ${serverId}`);
+    } catch (error) {
+      // The stream may already have been opened
+      if (res.headersSent) {
+        logger.error("Error opening SSE connection", error);
+        res.end();
+        return;
+      }
+      
+      next(error);
+    }
+  });
+  
+  /**
+   * SSE message endpoint
+   * Routes a client message to the connection identified by the sessionId query parameter
+   */
+  router.post("/:serverId/messages", async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { serverId } = req.params;
+      const sessionId = req.query.sessionId;
+      
+      if (typeof sessionId !== "string") {
+        throw new ApiError(
+          ErrorCode.VALIDATION_ERROR,
+          "Missing sessionId query parameter",
+          400
+        );
+      }
+      
+      const connection = connectionManager.getConnectionsForServer(serverId).find(
+        candidate => candidate.transport instanceof SSEServerAdapter &&
+          getSSESessionId(candidate.transport) === sessionId
+      );
+      
+      if (!connection) {
+        throw new ApiError(
+          ErrorCode.CONNECTION_NOT_FOUND,
+          `Session not found: ${sessionId}`,
+          404
+        );
+      }
+      
+      await bridgeManager.handleSSEPostMessage(connection.id, req, res, req.body);
+    } catch (error) {
+      // The transport may already have answered the request
+      if (res.headersSent) {
+        logger.error("Error handling SSE message", error);
+        return;
+      }
+      
+      next(error);
+    }
+  });
+  
+  return router;
+}
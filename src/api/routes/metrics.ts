@@ -0,0 +1,34 @@
+/**
+ * Metrics route for the MCP Transport Bridge
+ */
+import { Router, Request, Response, NextFunction } from "express";
+import { METRICS_CONTENT_TYPE } from "../../utils/metrics.js";
+import { ServerRegistry } from "../../bridge/registry.js";
+import { ConnectionManager } from "../../bridge/connection.js";
+import { metricsRegistry, updateStateMetrics } from "../../bridge/metrics.js";
+
+/**
+ * Create the metrics route
+ * It is mounted outside /api so scrapers are not rate limited
+ */
+export function metricsRoutes(
+  serverRegistry: ServerRegistry,
+  connectionManager: ConnectionManager
+): Router {
+  const router = Router();
+  
+  /**
+   * Report the bridge's metrics in the Prometheus text format
+   */
+  router.get("/metrics", async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      await updateStateMetrics(serverRegistry, connectionManager);
+      
+      res.status(200).type(METRICS_CONTENT_TYPE).send(metricsRegistry.render());
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  return router;
+}
@@ -8,27 +8,198 @@ import { ApiError, ErrorCode, ValidationError } from "../../utils/errors.js";
 import { ServerRegistry } from "../../bridge/registry.js";
 import { BridgeManager } from "../../bridge/manager.js";
 import { ServerConfig, ServerStatus } from "../../bridge/types.js";
+import { findDuplicateAliases } from "../../bridge/namespacing.js";
+import {
+  getRegisteredTransports,
+  isTransportRegistered,
+  validateTransportOptions
+} from "../../adapters/transport-registry.js";
+import { streamTraffic } from "./traffic.js";
 
 const logger = createLogger({ prefix: "ServersRoutes" });
 
+/**
+ * Swap mode schema
+ */
+const SwapModeSchema = z.enum(["restart", "blue-green"]);
+
+/**
+ * Virtual server namespacing schema
+ */
+const NamespacingSchema = z.object({
+  prefix: z.boolean().optional(),
+  separator: z.string().min(1).optional(),
+  aliases: z.record(z.object({
+    tools: z.record(z.string().min(1)).optional(),
+    prompts: z.record(z.string().min(1)).optional(),
+    schemes: z.record(z.string().regex(/^[a-zA-Z][a-zA-Z0-9+.-]*$/, "Must be a URI scheme")).optional()
+  }).strict()).optional(),
+  collisions: z.enum(["error", "first-wins", "prefix-on-conflict"]).optional()
+});
+
+/**
+ * Mock server schema
+ * Recordings are named by their file in the recordings directory
+ */
+const MockSchema = z.object({
+  recording: z.string().regex(/^[\w.-]+\.jsonl$/, "Must be the name of a .jsonl file in the recordings directory"),
+  matching: z.enum(["exact", "fuzzy", "name"]).optional(),
+  ignoreArguments: z.array(z.string().min(1)).optional(),
+  replayLatency: z.boolean().optional()
+});
+
+/**
+ * Replay schema
+ */
+const ReplaySchema = z.object({
+  recording: z.string().regex(/^[\w.-]+\.jsonl$/, "Expected the file name of a recording"),
+  timeout: z.number().int().positive().optional(),
+  ignorePaths: z.array(z.string().min(1)).optional()
+});
+
+/**
+ * Health check schema
+ */
+const HealthCheckSchema = z.object({
+  interval: z.number().int().positive().optional(),
+  timeout: z.number().int().positive().optional(),
+  failureThreshold: z.number().int().positive().optional(),
+  restart: z.boolean().optional()
+});
+
 /**
  * Server creation schema
  */
 const ServerCreateSchema = z.object({
   name: z.string().min(1).max(100),
   version: z.string().default("1.0.0"), // Required by Implementation interface
-  command: z.string().min(1),
+  command: z.string().min(1).optional(),
   args: z.array(z.string()).optional(),
   cwd: z.string().optional(),
   env: z.record(z.string()).optional(),
-  transport: z.enum(["stdio", "sse", "memory"]),
+  url: z.string().url().optional(),
+  headers: z.record(z.string()).optional(),
+  backends: z.array(z.string().min(1)).min(1).optional(),
+  namespacing: NamespacingSchema.optional(),
+  mock: MockSchema.optional(),
+  // Checked against the transports registered at the time of the request
+  // Virtual and mock servers may leave it out, since they always use the memory transport
+  transport: z.string().refine(isTransportRegistered, transport => ({
+    message: `Unknown transport: ${transport}. Expected one of: ${getRegisteredTransports().join(", ")}`
+  })).optional(),
+  transportOptions: z.record(z.unknown()).optional(),
   sseOptions: z.object({
     port: z.number().int().positive().optional(),
     host: z.string().optional()
   }).optional(),
+  httpOptions: z.object({
+    port: z.number().int().positive().optional(),
+    host: z.string().optional(),
+    path: z.string().startsWith("/").optional()
+  }).optional(),
   autoRestart: z.boolean().optional(),
   maxRestarts: z.number().int().nonnegative().optional(),
-  restartDelay: z.number().int().nonnegative().optional()
+  restartDelay: z.number().int().nonnegative().optional(),
+  maxRestartDelay: z.number().int().nonnegative().optional(),
+  stableUptime: z.number().int().nonnegative().optional(),
+  swapMode: SwapModeSchema.optional(),
+  healthCheck: HealthCheckSchema.optional(),
+  required: z.boolean().optional(),
+  retryIdempotentRequests: z.boolean().optional()
+}).superRefine((value, ctx) => {
+  // Servers are spawned from a command, reached at a URL, made up of other
+  // servers or answer from a recording
+  if ([value.command, value.url, value.backends, value.mock].filter(Boolean).length !== 1) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["command"],
+      message: "Exactly one of command, url, backends or mock is required"
+    });
+  }
+  
+  if (!value.transport && !value.backends && !value.mock) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["transport"],
+      message: "Required"
+    });
+  }
+  
+  if (value.namespacing && !value.backends) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["namespacing"],
+      message: "Only virtual servers can have namespacing"
+    });
+  }
+  
+  for (const backend of Object.keys(value.namespacing?.aliases ?? {})) {
+    if (!value.backends?.includes(backend)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["namespacing", "aliases"],
+        message: `Not a backend: ${backend}`
+      });
+    }
+  }
+  
+  for (const message of findDuplicateAliases(value.namespacing?.aliases ?? {})) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["namespacing", "aliases"],
+      message
+    });
+  }
+  
+  if (value.backends && value.transport && value.transport !== "memory") {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["transport"],
+      message: "Virtual servers must use the memory transport"
+    });
+  }
+  
+  if (value.mock && value.transport && value.transport !== "memory") {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["transport"],
+      message: "Mock servers must use the memory transport"
+    });
+  }
+  
+  // Only servers the bridge runs in its own process can be reached in memory
+  if (value.command && value.transport === "memory") {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["transport"],
+      message: "Servers run from a command cannot use the memory transport"
+    });
+  }
+  
+  if (value.url && (value.transport === "stdio" || value.transport === "memory")) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["transport"],
+      message: `Remote servers cannot use the ${value.transport} transport`
+    });
+  }
+  
+  // A replacement on any other transport would compete for the same port
+  if (value.swapMode === "blue-green" && value.transport !== "stdio") {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["swapMode"],
+      message: "Blue/green swaps are only supported for stdio servers"
+    });
+  }
+  
+  for (const message of validateTransportOptions(value.transport ?? "memory", value.transportOptions)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["transportOptions"],
+      message
+    });
+  }
 });
 
 /**
@@ -40,13 +211,29 @@ const ServerUpdateSchema = z.object({
   args: z.array(z.string()).optional(),
   cwd: z.string().optional(),
   env: z.record(z.string()).optional(),
+  url: z.string().url().optional(),
+  headers: z.record(z.string()).optional(),
+  transportOptions: z.record(z.unknown()).optional(),
   sseOptions: z.object({
     port: z.number().int().positive().optional(),
     host: z.string().optional()
   }).optional(),
+  httpOptions: z.object({
+    port: z.number().int().positive().optional(),
+    host: z.string().optional(),
+    path: z.string().startsWith("/").optional()
+  }).optional(),
   autoRestart: z.boolean().optional(),
   maxRestarts: z.number().int().nonnegative().optional(),
-  restartDelay: z.number().int().nonnegative().optional()
+  restartDelay: z.number().int().nonnegative().optional(),
+  maxRestartDelay: z.number().int().nonnegative().optional(),
+  stableUptime: z.number().int().nonnegative().optional(),
+  swapMode: SwapModeSchema.optional(),
+  healthCheck: HealthCheckSchema.optional(),
+  required: z.boolean().optional(),
+  retryIdempotentRequests: z.boolean().optional(),
+  namespacing: NamespacingSchema.optional(),
+  mock: MockSchema.optional()
 });
 
 /**
@@ -70,8 +257,14 @@ export function serversRoutes(
           id: server.id,
           name: server.config.name,
           transport: server.config.transport,
+          url: server.config.url,
+          backends: server.config.backends,
+          namespacing: server.config.namespacing,
+          mock: server.config.mock,
           status: server.status,
           startTime: server.startTime,
+          restartCount: server.restartCount,
+          nextRestartTime: server.nextRestartTime,
           error: server.error?.message
         }))
       });
@@ -93,6 +286,9 @@ export function serversRoutes(
         config: server.config,
         status: server.status,
         startTime: server.startTime,
+        restartCount: server.restartCount,
+        nextRestartTime: server.nextRestartTime,
+        health: server.health ?? null,
         error: server.error?.message
       });
     } catch (error) {
@@ -100,6 +296,101 @@ export function serversRoutes(
     }
   });
   
+  /**
+   * Get what changed in a server's last swap
+   */
+  router.get("/:id/changes", (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { id } = req.params;
+      const server = serverRegistry.getServer(id);
+      
+      res.status(200).json({
+        id: server.id,
+        changes: server.changes ?? null
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Stream the messages passing through every connection to a server as
+   * server-sent events, including connections opened while streaming
+   * Filtered by the method and direction query parameters
+   */
+  router.get("/:id/traffic", (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { id } = req.params;
+      
+      // Check the server exists
+      serverRegistry.getServer(id);
+      
+      streamTraffic(req, res, bridgeManager, { serverId: id });
+    } catch (error) {
+      next(error);
+    }
+  });
+  
+  /**
+   * Replay a recorded session's client requests against the server and
+   * report how the responses differ from the recorded ones
+   */
+  router.post("/:id/replay", async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { id } = req.params;
+      const server = serverRegistry.getServer(id);
+      
+      // Validate request body
+      const validationResult = ReplaySchema.safeParse(req.body);
+      
+      if (!validationResult.success) {
+        const errors: Record<string, string[]> = {};
+        
+        validationResult.error.errors.forEach(error => {
+          const path = error.path.join(".");
+          if (!errors[path]) {
+            errors[path] = [];
+          }
+          errors[path].push(error.message);
+        });
+        
+        throw new ValidationError("Invalid replay request", errors);
+      }
+      
+      const { recording, ...options } = validationResult.data;
+      
+      if (server.status !== ServerStatus.RUNNING && server.status !== ServerStatus.UNHEALTHY) {
+        throw new ApiError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Server ${id} is not running`,
+          409
+        );
+      }
+      
+      if (bridgeManager.hasLiveSharedProcess(server)) {
+        throw new ApiError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Server ${id} is a stdio server with connected clients`,
+          409
+        );
+      }
+      
+      if (!(await bridgeManager.hasRecording(recording))) {
+        throw new ApiError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Recording not found: ${recording}`,
+          404
+        );
+      }
+      
+      const report = await bridgeManager.replayRecording(id, recording, options);
+      
+      res.status(200).json(report);
+    } catch (error) {
+      next(error);
+    }
+  });
+  
   /**
    * Create a new server
    */
@@ -122,8 +413,28 @@ export function serversRoutes(
         throw new ValidationError("Invalid server configuration", errors);
       }
       
+      const missingBackends = (validationResult.data.backends ?? [])
+        .filter(backend => !serverRegistry.getAllServers().some(server => server.id === backend));
+        
+      if (missingBackends.length > 0) {
+        throw new ValidationError("Invalid server configuration", {
+          backends: missingBackends.map(backend => `Server not found: ${backend}`)
+        });
+      }
+      
+      const mock = validationResult.data.mock;
+      
+      if (mock && !(await bridgeManager.hasRecording(mock.recording))) {
+        throw new ValidationError("Invalid server configuration", {
+          "mock.recording": [`Recording not found: ${mock.recording}`]
+        });
+      }
+      
       // Create server
-      const config: ServerConfig = validationResult.data;
+      const config: ServerConfig = {
+        ...validationResult.data,
+        transport: validationResult.data.transport ?? "memory"
+      };
       const server = serverRegistry.registerServer(config);
       
       res.status(201).json({
@@ -166,8 +477,79 @@ export function serversRoutes(
       // Update server config
       const updates = validationResult.data;
       
-      // Check if server is running
-      if (server.status !== ServerStatus.STOPPED) {
+      // A spawned server cannot be turned into a remote one
+      if (updates.url && !server.config.url) {
+        throw new ValidationError("Invalid server configuration", {
+          url: ["Only remote servers can have a url"]
+        });
+      }
+      
+      if (updates.mock && !server.config.mock) {
+        throw new ValidationError("Invalid server configuration", {
+          mock: ["Only mock servers can have a mock recording"]
+        });
+      }
+      
+      if (updates.swapMode === "blue-green" && server.config.transport !== "stdio") {
+        throw new ValidationError("Invalid server configuration", {
+          swapMode: ["Blue/green swaps are only supported for stdio servers"]
+        });
+      }
+      
+      if (updates.namespacing) {
+        const backends = server.config.backends;
+        
+        if (!backends) {
+          throw new ValidationError("Invalid server configuration", {
+            namespacing: ["Only virtual servers can have namespacing"]
+          });
+        }
+        
+        const strangers = Object.keys(updates.namespacing.aliases ?? {})
+          .filter(backend => !backends.includes(backend));
+          
+        if (strangers.length > 0) {
+          throw new ValidationError("Invalid server configuration", {
+            "namespacing.aliases": strangers.map(backend => `Not a backend: ${backend}`)
+          });
+        }
+      }
+      
+      // Transport options are validated against the server's existing transport
+      if (updates.transportOptions) {
+        const optionErrors = validateTransportOptions(server.config.transport, updates.transportOptions);
+        
+        if (optionErrors.length > 0) {
+          throw new ValidationError("Invalid server configuration", {
+            transportOptions: optionErrors
+          });
+        }
+      }
+      
+      // The updated configuration must still be one a server could be created with,
+      // e.g. not both spawned from a command and reached at a URL
+      const config: ServerConfig = {
+        ...server.config,
+        ...updates
+      };
+      const configResult = ServerCreateSchema.safeParse(config);
+      
+      if (!configResult.success) {
+        const errors: Record<string, string[]> = {};
+        
+        configResult.error.errors.forEach(error => {
+          const path = error.path.join(".");
+          if (!errors[path]) {
+            errors[path] = [];
+          }
+          errors[path].push(error.message);
+        });
+        
+        throw new ValidationError("Invalid server configuration", errors);
+      }
+      
+      // Check if server is running; a crash-looping one is down and can be fixed
+      if (server.status !== ServerStatus.STOPPED && server.status !== ServerStatus.CRASH_LOOP) {
         throw new ApiError(
           ErrorCode.SERVER_STOP_FAILED,
           "Cannot update server configuration while server is running",
@@ -176,10 +558,7 @@ export function serversRoutes(
       }
       
       // Update config
-      server.config = {
-        ...server.config,
-        ...updates
-      };
+      server.config = config;
       
       res.status(200).json({
         id: server.id,
@@ -201,6 +580,17 @@ export function serversRoutes(
       // Get existing server
       const server = serverRegistry.getServer(id);
       
+      // Virtual servers depending on it must be deleted first
+      const dependents = serverRegistry.getVirtualServersUsing(id);
+      
+      if (dependents.length > 0) {
+        throw new ApiError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Server ${id} is a backend of ${dependents.map(dependent => dependent.id).join(", ")}`,
+          409
+        );
+      }
+      
       // Check if server is running
       if (server.status !== ServerStatus.STOPPED) {
         // Stop the server
@@ -263,6 +653,7 @@ export function serversRoutes(
   
   /**
    * Update server environment variables
+   * The mode query parameter overrides the server's configured swap mode
    */
   router.post("/:id/environment", async (req: Request, res: Response, next: NextFunction) => {
     try {
@@ -275,8 +666,16 @@ export function serversRoutes(
         });
       }
       
+      const mode = SwapModeSchema.optional().safeParse(req.query.mode);
+      
+      if (!mode.success) {
+        throw new ValidationError("Invalid swap mode", {
+          mode: mode.error.errors.map(error => error.message)
+        });
+      }
+      
       // Update environment variables
-      await bridgeManager.updateServerEnvironment(id, req.body);
+      await bridgeManager.updateServerEnvironment(id, req.body, { mode: mode.data });
       
       // Get updated server
       const server = serverRegistry.getServer(id);
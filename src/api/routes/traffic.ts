@@ -0,0 +1,82 @@
+/**
+ * Live traffic streams for the MCP Transport Bridge API
+ */
+import { Request, Response } from "express";
+import { z } from "zod";
+import { createLogger } from "../../utils/logging.js";
+import { ValidationError } from "../../utils/errors.js";
+import { BridgeManager } from "../../bridge/manager.js";
+import { TrafficFilter } from "../../bridge/types.js";
+
+const logger = createLogger({ prefix: "TrafficRoutes" });
+
+/**
+ * Time between comments keeping an idle stream open through proxies (ms)
+ */
+const KEEP_ALIVE_INTERVAL = 15000;
+
+/**
+ * Traffic query schema
+ * Methods are glob patterns, given as repeated or comma-separated method parameters
+ */
+const TrafficQuerySchema = z.object({
+  method: z.union([z.string(), z.array(z.string())]).optional(),
+  direction: z.enum(["client-to-server", "server-to-client"]).optional()
+});
+
+/**
+ * Stream the traffic matching a filter to the client as server-sent events
+ * Each event is a JSON-encoded TrafficEvent, and the stream lasts until the client goes away
+ */
+export function streamTraffic(
+  req: Request,
+  res: Response,
+  bridgeManager: BridgeManager,
+  filter: Pick<TrafficFilter, "connectionId" | "serverId">
+): void {
+  const validationResult = TrafficQuerySchema.safeParse(req.query);
+  
+  if (!validationResult.success) {
+    const errors: Record<string, string[]> = {};
+    
+    validationResult.error.errors.forEach(error => {
+      const path = error.path.join(".");
+      if (!errors[path]) {
+        errors[path] = [];
+      }
+      errors[path].push(error.message);
+    });
+    
+    throw new ValidationError("Invalid traffic filter", errors);
+  }
+  
+  const { method, direction } = validationResult.data;
+  const methods = [method ?? []].flat()
+    .flatMap(value => value.split(","))
+    .map(value => value.trim())
+    .filter(value => value.length > 0);
+    
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+  
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), KEEP_ALIVE_INTERVAL);
+  
+  const unwatch = bridgeManager.watchTraffic(
+    { ...filter, methods, direction },
+    (event) => {
+      res.write(`event: message\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+    () => res.end()
+  );
+  
+  logger.debug(`Streaming traffic: ${JSON.stringify(filter)}`);
+  
+  res.on("close", () => {
+    clearInterval(keepAlive);
+    unwatch();
+  });
+}
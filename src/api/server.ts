@@ -2,18 +2,32 @@
  * Express server for the MCP Transport Bridge API
  */
 import express, { Request, Response, NextFunction, Application } from "express";
-import { Server } from "node:http";
+import { IncomingMessage, Server } from "node:http";
+import { Duplex } from "node:stream";
+import WebSocket, { WebSocketServer } from "ws";
 import cors from "cors";
-import { rateLimit } from "express-rate-limit";
+import { MemoryStore, rateLimit } from "express-rate-limit";
 import { createLogger } from "../utils/logging.js";
 import { ApiError, ErrorCode } from "../utils/errors.js";
 import { ServerRegistry } from "../bridge/registry.js";
 import { ConnectionManager } from "../bridge/connection.js";
 import { BridgeManager } from "../bridge/manager.js";
-import { createRoutes } from "./routes/index.js";
+import { ConnectionStatus } from "../bridge/types.js";
+import { WEBSOCKET_SUBPROTOCOL } from "../adapters/websocket.js";
+import { createRoutes, rememberMountPath } from "./routes/index.js";
+import { mcpRoutes } from "./routes/mcp.js";
+import { healthRoutes } from "./routes/health.js";
+import { metricsRoutes } from "./routes/metrics.js";
+import { apiRequests } from "../bridge/metrics.js";
 
 const logger = createLogger({ prefix: "ApiServer" });
 
+/**
+ * Default number of MCP requests and WebSocket upgrades allowed per client per minute
+ * Higher than the management API's, as one MCP session sends many messages
+ */
+const DEFAULT_MCP_RATE_LIMIT = 1000;
+
 /**
  * API server options
  */
@@ -23,6 +37,7 @@ export interface ApiServerOptions {
   serverRegistry: ServerRegistry;
   connectionManager: ConnectionManager;
   bridgeManager: BridgeManager;
+  mcpRateLimit?: number;       // MCP requests and WebSocket upgrades per client per minute (default: 1000)
 }
 
 /**
@@ -36,6 +51,9 @@ export class ApiServer {
   private connectionManager: ConnectionManager;
   private bridgeManager: BridgeManager;
   private server?: Server;
+  private webSocketServer: WebSocketServer;
+  private mcpRateLimit: number;
+  private mcpRateLimitStore = new MemoryStore();
   
   /**
    * Constructor
@@ -46,10 +64,17 @@ export class ApiServer {
     this.serverRegistry = options.serverRegistry;
     this.connectionManager = options.connectionManager;
     this.bridgeManager = options.bridgeManager;
+    this.mcpRateLimit = options.mcpRateLimit ?? DEFAULT_MCP_RATE_LIMIT;
     
     // Create Express app
     this.app = express();
     
+    // Create WebSocket server for MCP over WebSocket, fed by upgrade requests
+    this.webSocketServer = new WebSocketServer({
+      noServer: true,
+      handleProtocols: (protocols) => protocols.has(WEBSOCKET_SUBPROTOCOL) ? WEBSOCKET_SUBPROTOCOL : false
+    });
+    
     // Configure middleware
     this.configureMiddleware();
     
@@ -70,8 +95,9 @@ export class ApiServer {
     // Enable CORS
     this.app.use(cors());
     
-    // Add rate limiting
+    // Add rate limiting to the management API
     this.app.use(
+      "/api",
       rateLimit({
         windowMs: 15 * 60 * 1000, // 15 minutes
         max: 100, // Limit each IP to 100 requests per windowMs
@@ -80,11 +106,35 @@ export class ApiServer {
       })
     );
     
+    // Add rate limiting to the MCP endpoints, whose store also counts WebSocket upgrades
+    this.app.use(
+      "/mcp",
+      rateLimit({
+        windowMs: 60 * 1000, // 1 minute
+        max: this.mcpRateLimit,
+        store: this.mcpRateLimitStore,
+        standardHeaders: true,
+        legacyHeaders: false,
+      })
+    );
+    
     // Add request logging
     this.app.use((req, res, next) => {
       logger.debug(`${req.method} ${req.url}`);
       next();
     });
+    
+    // Count requests by the route that answered them, not the URL, to keep the series few
+    this.app.use((req, res, next) => {
+      res.on("finish", () => {
+        apiRequests.inc({
+          method: req.method,
+          route: req.route ? `${res.locals.mountPath ?? req.baseUrl}${req.route.path}` : "unmatched",
+          status: String(res.statusCode)
+        });
+      });
+      next();
+    });
   }
   
   /**
@@ -101,10 +151,14 @@ export class ApiServer {
     // Mount API routes
     this.app.use("/api", apiRoutes);
     
-    // Health check
-    this.app.get("/health", (req, res) => {
-      res.status(200).json({ status: "ok" });
-    });
+    // Mount MCP endpoints
+    this.app.use("/mcp", rememberMountPath, mcpRoutes(this.connectionManager, this.bridgeManager));
+    
+    // Health and readiness checks
+    this.app.use(healthRoutes(this.serverRegistry, this.connectionManager));
+    
+    // Prometheus metrics
+    this.app.use(metricsRoutes(this.serverRegistry, this.connectionManager));
     
     // 404 handler
     this.app.use((req, res, next) => {
@@ -116,6 +170,93 @@ export class ApiServer {
     });
   }
   
+  /**
+   * Handle an HTTP upgrade request
+   * WebSocket clients connect to /mcp/:serverId/ws
+   */
+  private handleUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer): void {
+    const { pathname } = new URL(req.url ?? "/", "http://localhost");
+    const match = pathname.match(/^\/mcp\/([^/]+)\/ws$/);
+    
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+    
+    const serverId = decodeURIComponent(match[1]);
+    
+    this.mcpRateLimitStore.increment(req.socket.remoteAddress ?? "").then(({ totalHits }) => {
+      if (totalHits > this.mcpRateLimit) {
+        socket.end("HTTP/1.1 429 Too Many Requests\r\nConnection: close\r\n\r\n");
+        return;
+      }
+      
+      this.acceptWebSocket(serverId, req, socket, head);
+    });
+  }
+  
+  /**
+   * Accept a WebSocket upgrade and bridge the socket to a server
+   */
+  private acceptWebSocket(serverId: string, req: IncomingMessage, socket: Duplex, head: Buffer): void {
+    this.webSocketServer.handleUpgrade(req, socket, head, (ws) => {
+      // Hold incoming messages until the bridge is ready to receive them
+      ws.pause();
+      
+      this.handleWebSocket(serverId, ws).catch((error) => {
+        logger.error(`Failed to bridge WebSocket for server ${serverId}`, error);
+        ws.close(1011, "Failed to connect to server");
+      });
+    });
+  }
+  
+  /**
+   * Bridge an accepted WebSocket to a server
+   */
+  private async handleWebSocket(serverId: string, ws: WebSocket): Promise<void> {
+    const connecting = this.bridgeManager.connectToServer({
+      name: "WebSocket Connection",
+      version: "1.0.0",
+      serverId,
+      transport: "websocket"
+    }, {
+      socket: ws
+    });
+    
+    // Tear down the connection when the client goes away, which may be
+    // before the connection has been set up
+    ws.on("close", () => {
+      connecting
+        .then(connectionId => this.closeWebSocketConnection(serverId, connectionId))
+        .catch(() => {
+          // A connection that failed to open was already removed
+        });
+    });
+    
+    const connectionId = await connecting;
+    
+    logger.info(`Opened WebSocket connection ${connectionId} for server ${serverId}`);
+  }
+  
+  /**
+   * Tear down a WebSocket connection whose client went away
+   */
+  private async closeWebSocketConnection(serverId: string, connectionId: string): Promise<void> {
+    try {
+      const connection = this.connectionManager.getConnection(connectionId);
+      
+      if (connection.status !== ConnectionStatus.DISCONNECTED) {
+        await this.bridgeManager.disconnectConnection(connectionId);
+      }
+      
+      this.connectionManager.removeConnection(connectionId);
+      
+      logger.info(`Closed WebSocket connection ${connectionId} for server ${serverId}`);
+    } catch (error) {
+      logger.error(`Failed to clean up WebSocket connection ${connectionId}`, error);
+    }
+  }
+  
   /**
    * Configure error handling
    */
@@ -157,6 +298,9 @@ export class ApiServer {
       } else {
         this.server = this.app.listen(this.port, callback);
       }
+      
+      // Accept WebSocket upgrades on the same port
+      this.server.on("upgrade", this.handleUpgrade.bind(this));
     });
   }
   
@@ -170,6 +314,14 @@ export class ApiServer {
         return;
       }
       
+      // Close open WebSockets, which would otherwise keep the server alive
+      for (const client of this.webSocketServer.clients) {
+        client.terminate();
+      }
+      
+      // End traffic streams, which would too
+      this.bridgeManager.closeTrafficWatches();
+      
       this.server.close((err?: Error) => {
         if (err) {
           reject(err);
@@ -178,6 +330,9 @@ export class ApiServer {
           resolve();
         }
       });
+      
+      // Drop connections clients keep open for further requests, which would too
+      this.server.closeAllConnections();
     });
   }
   
@@ -187,6 +342,16 @@ export class ApiServer {
   getApp(): express.Application {
     return this.app;
   }
+  
+  /**
+   * Get the port the server is listening on, which the system picks when
+   * started with port 0
+   */
+  getPort(): number | undefined {
+    const address = this.server?.address();
+    
+    return typeof address === "object" && address ? address.port : undefined;
+  }
 }
 
 /**
@@ -0,0 +1,141 @@
+/**
+ * Per-connection access rules for tools, resources and prompts
+ */
+import { JSONRPCRequest } from "@modelcontextprotocol/sdk/types.js";
+import { matchesAnyGlob } from "../utils/glob.js";
+import { AccessRules } from "./types.js";
+
+/**
+ * Lists a connection's access rules apply to
+ */
+export type AccessList = "tools" | "resources" | "prompts";
+
+/**
+ * Rule fields of each list
+ */
+const RULE_FIELDS: Record<AccessList, { allow: keyof AccessRules; deny: keyof AccessRules }> = {
+  tools: { allow: "allowTools", deny: "denyTools" },
+  resources: { allow: "allowResources", deny: "denyResources" },
+  prompts: { allow: "allowPrompts", deny: "denyPrompts" }
+};
+
+/**
+ * List methods, with the field of their result holding the items and the
+ * field of each item the rules are matched against
+ */
+const LIST_METHODS: Record<string, { list: AccessList; field: string; key: string }> = {
+  "tools/list": { list: "tools", field: "tools", key: "name" },
+  "resources/list": { list: "resources", field: "resources", key: "uri" },
+  "resources/templates/list": { list: "resources", field: "resourceTemplates", key: "uriTemplate" },
+  "prompts/list": { list: "prompts", field: "prompts", key: "name" }
+};
+
+/**
+ * Methods using one item, with the parameter naming it
+ */
+const USE_METHODS: Record<string, { list: AccessList; param: string; kind: string }> = {
+  "tools/call": { list: "tools", param: "name", kind: "Tool" },
+  "resources/read": { list: "resources", param: "uri", kind: "Resource" },
+  "prompts/get": { list: "prompts", param: "name", kind: "Prompt" }
+};
+
+/**
+ * Get the access rules out of a connection configuration
+ */
+export function getAccessRules(config: AccessRules): AccessRules {
+  const rules: AccessRules = {};
+  
+  for (const { allow, deny } of Object.values(RULE_FIELDS)) {
+    if (config[allow]) {
+      rules[allow] = config[allow];
+    }
+    
+    if (config[deny]) {
+      rules[deny] = config[deny];
+    }
+  }
+  
+  return rules;
+}
+
+/**
+ * Replace the access rules in a connection configuration
+ */
+export function replaceAccessRules<T extends AccessRules>(config: T, rules: AccessRules): T {
+  const replaced = { ...config };
+  
+  for (const { allow, deny } of Object.values(RULE_FIELDS)) {
+    delete replaced[allow];
+    delete replaced[deny];
+  }
+  
+  return { ...replaced, ...getAccessRules(rules) };
+}
+
+/**
+ * Check if an item may be seen and used
+ * Deny patterns win over allow patterns, and without allow patterns
+ * everything not denied is allowed
+ */
+export function isAccessAllowed(list: AccessList, name: string, rules: AccessRules): boolean {
+  const allow = rules[RULE_FIELDS[list].allow];
+  const deny = rules[RULE_FIELDS[list].deny];
+  
+  if (deny && matchesAnyGlob(name, deny)) {
+    return false;
+  }
+  
+  return !allow || matchesAnyGlob(name, allow);
+}
+
+/**
+ * Get the reason a request uses an item the rules do not allow
+ * Returns undefined if the request is allowed
+ */
+export function getAccessDenial(request: JSONRPCRequest, rules: AccessRules): string | undefined {
+  const use = USE_METHODS[request.method];
+  
+  if (!use) {
+    return undefined;
+  }
+  
+  const name = String(request.params?.[use.param]);
+  
+  return isAccessAllowed(use.list, name, rules)
+    ? undefined
+    : `${use.kind} not allowed on this connection: ${name}`;
+}
+
+/**
+ * Remove the items the rules do not allow from the result of a list request
+ */
+export function filterListResult(
+  method: string,
+  result: Record<string, unknown>,
+  rules: AccessRules
+): Record<string, unknown> {
+  const listMethod = LIST_METHODS[method];
+  const items = listMethod ? result[listMethod.field] : undefined;
+  
+  if (!listMethod || !Array.isArray(items)) {
+    return result;
+  }
+  
+  return {
+    ...result,
+    [listMethod.field]: items.filter((item: Record<string, unknown>) =>
+      isAccessAllowed(listMethod.list, String(item[listMethod.key]), rules)
+    )
+  };
+}
+
+/**
+ * Get the lists whose rules differ between two sets of rules
+ */
+export function getChangedAccessLists(before: AccessRules, after: AccessRules): AccessList[] {
+  return (Object.keys(RULE_FIELDS) as AccessList[]).filter(list => {
+    const { allow, deny } = RULE_FIELDS[list];
+    
+    return JSON.stringify([before[allow], before[deny]]) !== JSON.stringify([after[allow], after[deny]]);
+  });
+}
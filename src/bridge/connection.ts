@@ -5,10 +5,28 @@ import { randomUUID } from "node:crypto";
 import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
 import { createLogger } from "../utils/logging.js";
 import { ConnectionError, ErrorCode } from "../utils/errors.js";
-import { ConnectionConfig, ConnectionInstance, ConnectionStatus } from "./types.js";
+import {
+  AccessRules,
+  ConnectionConfig,
+  ConnectionInstance,
+  ConnectionRecording,
+  ConnectionStatus,
+  InitializeHandshake
+} from "./types.js";
+import { replaceAccessRules } from "./access.js";
 
 const logger = createLogger({ prefix: "Connection" });
 
+/**
+ * Default delay before the first reconnection attempt (ms)
+ */
+const DEFAULT_RECONNECT_DELAY = 1000;
+
+/**
+ * Longest delay between reconnection attempts, unless the configured delay is longer (ms)
+ */
+const MAX_RECONNECT_DELAY = 30000;
+
 /**
  * Connection manager for handling client connections
  */
@@ -125,6 +143,30 @@ export class ConnectionManager {
     connection.transport = transport;
   }
   
+  /**
+   * Update connection initialize handshake
+   */
+  updateConnectionHandshake(id: string, handshake?: InitializeHandshake): void {
+    const connection = this.getConnection(id);
+    connection.handshake = handshake;
+  }
+  
+  /**
+   * Update connection recording
+   */
+  updateConnectionRecording(id: string, recording?: ConnectionRecording): void {
+    const connection = this.getConnection(id);
+    connection.recording = recording;
+  }
+  
+  /**
+   * Replace connection access rules
+   */
+  updateConnectionAccessRules(id: string, rules: AccessRules): void {
+    const connection = this.getConnection(id);
+    connection.config = replaceAccessRules(connection.config, rules);
+  }
+  
   /**
    * Increment connection reconnect count
    */
@@ -161,11 +203,27 @@ export class ConnectionManager {
   }
   
   /**
-   * Get connection reconnect delay
+   * Get the delay before the next reconnection attempt
+   * The delay doubles with each attempt up to a ceiling, and half of it is
+   * random so connections that lost the same server do not retry in step
    */
   getReconnectDelay(id: string): number {
     const connection = this.getConnection(id);
-    return connection.config.reconnectDelay ?? 1000;
+    const delay = connection.config.reconnectDelay ?? DEFAULT_RECONNECT_DELAY;
+    const backoff = Math.min(
+      delay * 2 ** Math.max(connection.reconnectCount - 1, 0),
+      Math.max(delay, MAX_RECONNECT_DELAY)
+    );
+    
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+  
+  /**
+   * Update when the next reconnection attempt is due
+   */
+  updateNextReconnectTime(id: string, time?: Date): void {
+    const connection = this.getConnection(id);
+    connection.nextReconnectTime = time;
   }
 }
 
@@ -0,0 +1,146 @@
+/**
+ * Health probes for running servers
+ */
+import { createLogger } from "../utils/logging.js";
+import { HealthCheckConfig, HealthProbeResult, TransportAdapter } from "./types.js";
+import { ServerSession, openServerSession } from "./session.js";
+
+const logger = createLogger({ prefix: "HealthProbe" });
+
+/**
+ * Default time between probes (ms)
+ */
+const DEFAULT_PROBE_INTERVAL = 30000;
+
+/**
+ * Default time allowed for the server to answer a probe (ms)
+ */
+const DEFAULT_PROBE_TIMEOUT = 5000;
+
+/**
+ * Default failed probes in a row before a server is unhealthy
+ */
+export const DEFAULT_FAILURE_THRESHOLD = 3;
+
+/**
+ * Health probe options
+ */
+export interface HealthProbeOptions {
+  name: string;                // Server name, for logging
+  config: HealthCheckConfig;
+  createAdapter: () => TransportAdapter; // Adapter for a new session to the server
+  initialize?: () => boolean;  // Whether to initialize a new probe session before pinging (default: always)
+  onprobe: (result: HealthProbeResult) => void;
+}
+
+/**
+ * Pings a server on an interval over a session of the bridge's own
+ * The session is kept open between probes and opened again after a failed one,
+ * so a server that stops answering is also checked for answering initialize,
+ * unless the probe only pings, as it must for a process its clients initialized
+ */
+export class HealthProbe {
+  private session?: ServerSession;
+  private timer?: NodeJS.Timeout;
+  private stopped = true;
+  
+  /**
+   * Constructor
+   */
+  constructor(private readonly options: HealthProbeOptions) {}
+  
+  /**
+   * Start probing, the first probe coming after one interval
+   */
+  start(): void {
+    if (!this.stopped) {
+      return;
+    }
+    
+    this.stopped = false;
+    this.schedule();
+  }
+  
+  /**
+   * Stop probing and close the probe session
+   */
+  async stop(): Promise<void> {
+    this.stopped = true;
+    
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    
+    await this.closeSession();
+  }
+  
+  /**
+   * Schedule the next probe
+   */
+  private schedule(): void {
+    this.timer = setTimeout(() => {
+      this.timer = undefined;
+      
+      this.probe()
+        .then((result) => {
+          if (!this.stopped) {
+            this.options.onprobe(result);
+            this.schedule();
+          }
+        })
+        .catch((error) => {
+          logger.error(`Failed to probe server: ${this.options.name}`, error);
+        });
+    }, this.options.config.interval ?? DEFAULT_PROBE_INTERVAL);
+  }
+  
+  /**
+   * Ping the server once
+   */
+  private async probe(): Promise<HealthProbeResult> {
+    const timeout = this.options.config.timeout ?? DEFAULT_PROBE_TIMEOUT;
+    
+    try {
+      if (!this.session || this.session.isClosed()) {
+        this.session = await openServerSession(this.options.createAdapter(), {
+          timeout,
+          initialize: this.options.initialize?.() ?? true
+        });
+      }
+      
+      const started = Date.now();
+      
+      // Any answer, even an error, shows the server is handling requests
+      await this.session.call("ping");
+      
+      const latency = Date.now() - started;
+      
+      logger.debug(`Server ${this.options.name} answered ping in ${latency}ms`);
+      
+      return { time: new Date(), healthy: true, latency };
+    } catch (error) {
+      logger.warn(`Health probe failed for server ${this.options.name}: ${(error as Error).message}`);
+      
+      // A session that missed a ping may be stuck, so the next probe starts afresh
+      await this.closeSession();
+      
+      return { time: new Date(), healthy: false, error: (error as Error).message };
+    }
+  }
+  
+  /**
+   * Close the probe session if one is open
+   */
+  private async closeSession(): Promise<void> {
+    const session = this.session;
+    this.session = undefined;
+    
+    await session?.close();
+  }
+}
+
+/**
+ * Create a health probe, not started yet
+ */
+export function createHealthProbe(options: HealthProbeOptions): HealthProbe {
+  return new HealthProbe(options);
+}
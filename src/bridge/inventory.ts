@@ -0,0 +1,115 @@
+/**
+ * Server inventories and the changes between them
+ */
+import {
+  ListPromptsResultSchema,
+  ListResourcesResultSchema,
+  ListToolsResultSchema,
+  Prompt,
+  Resource,
+  Tool
+} from "@modelcontextprotocol/sdk/types.js";
+import { ListChanges, ServerChanges, ServerInventory } from "./types.js";
+import { ServerSession } from "./session.js";
+
+/**
+ * Most pages fetched for a single list, in case a server never stops paginating
+ */
+const MAX_LIST_PAGES = 100;
+
+/**
+ * List everything a server offers over an open session
+ */
+export async function fetchServerInventory(session: ServerSession): Promise<ServerInventory> {
+  const capabilities = session.getInitializeResult()?.capabilities ?? {};
+  
+  const tools = capabilities.tools
+    ? await fetchAllPages(session, "tools/list", result => {
+      const page = ListToolsResultSchema.parse(result);
+      return { items: page.tools, nextCursor: page.nextCursor };
+    })
+    : [];
+    
+  const resources = capabilities.resources
+    ? await fetchAllPages(session, "resources/list", result => {
+      const page = ListResourcesResultSchema.parse(result);
+      return { items: page.resources, nextCursor: page.nextCursor };
+    })
+    : [];
+    
+  const prompts = capabilities.prompts
+    ? await fetchAllPages(session, "prompts/list", result => {
+      const page = ListPromptsResultSchema.parse(result);
+      return { items: page.prompts, nextCursor: page.nextCursor };
+    })
+    : [];
+    
+  return { capabilities, tools, resources, prompts };
+}
+
+/**
+ * Follow a paginated list to its end
+ */
+export async function fetchAllPages<T>(
+  session: ServerSession,
+  method: string,
+  parse: (result: unknown) => { items: T[]; nextCursor?: string }
+): Promise<T[]> {
+  const items: T[] = [];
+  let cursor: string | undefined;
+  
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const result = parse(await session.request(method, cursor ? { cursor } : undefined));
+    
+    items.push(...result.items);
+    cursor = result.nextCursor;
+    
+    if (!cursor) {
+      break;
+    }
+  }
+  
+  return items;
+}
+
+/**
+ * Compare what a server offered before and after a swap
+ */
+export function diffServerInventories(before: ServerInventory, after: ServerInventory): ServerChanges {
+  const capabilitiesBefore = Object.keys(before.capabilities);
+  const capabilitiesAfter = Object.keys(after.capabilities);
+  
+  return {
+    swappedAt: new Date(),
+    capabilities: {
+      added: capabilitiesAfter.filter(name => !capabilitiesBefore.includes(name)),
+      removed: capabilitiesBefore.filter(name => !capabilitiesAfter.includes(name))
+    },
+    tools: diffLists(before.tools, after.tools, (tool: Tool) => tool.name),
+    resources: diffLists(before.resources, after.resources, (resource: Resource) => resource.uri),
+    prompts: diffLists(before.prompts, after.prompts, (prompt: Prompt) => prompt.name)
+  };
+}
+
+/**
+ * Check if a list changed at all
+ */
+export function hasListChanges(changes: ListChanges): boolean {
+  return changes.added.length > 0 || changes.removed.length > 0 || changes.changed.length > 0;
+}
+
+/**
+ * Compare two lists of items by key, treating any difference in an item's definition as a change
+ */
+function diffLists<T>(before: T[], after: T[], key: (item: T) => string): ListChanges {
+  const beforeByKey = new Map(before.map(item => [key(item), JSON.stringify(item)]));
+  const afterByKey = new Map(after.map(item => [key(item), JSON.stringify(item)]));
+  
+  return {
+    added: [...afterByKey.keys()].filter(name => !beforeByKey.has(name)),
+    removed: [...beforeByKey.keys()].filter(name => !afterByKey.has(name)),
+    changed: [...afterByKey.entries()]
+      .filter(([name, definition]) => beforeByKey.has(name) && beforeByKey.get(name) !== definition)
+      .map(([name]) => name)
+  };
+}
@@ -2,37 +2,83 @@
  * Bridge manager for MCP Transport Bridge
  */
 import { IncomingMessage, ServerResponse } from "node:http";
+import { ChildProcess } from "node:child_process";
+import { access } from "node:fs/promises";
+import path from "node:path";
+import WebSocket from "ws";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { Implementation, InitializeResult } from "@modelcontextprotocol/sdk/types.js";
 import { createLogger } from "../utils/logging.js";
-import { ErrorCode, ServerError, ConnectionError } from "../utils/errors.js";
-import { killProcess } from "../utils/process.js";
+import { BridgeError, ErrorCode, ServerError, ConnectionError, ProtocolError } from "../utils/errors.js";
+import { getHandshakeIncompatibilities } from "../utils/handshake.js";
+import { killProcess, spawnProcess } from "../utils/process.js";
 import { ServerRegistry } from "./registry.js";
 import { ConnectionManager } from "./connection.js";
 import { 
   ServerConfig, 
+  AccessRules,
   ConnectionConfig, 
+  ConnectionRecording,
   ServerStatus, 
   ConnectionStatus,
-  BridgeHandler,
-  TransportType
+  HealthProbeResult,
+  MessageMiddleware,
+  ReplayReport,
+  ServerInstance,
+  ServerInventory,
+  SwapMode,
+  TrafficEvent,
+  TrafficFilter,
+  TransportAdapter
 } from "./types.js";
 import { 
   createClientAdapter, 
   createServerAdapter,
   getStdioProcess,
-  createLinkedInMemoryTransports
+  handleSSEPostMessage,
+  handleStreamableHTTPRequest
 } from "../adapters/factory.js";
-import { createStdioToSSEHandler } from "../handlers/stdio-to-sse.js";
-import { createSSEToStdioHandler } from "../handlers/sse-to-stdio.js";
-import { createMemoryToMemoryHandler } from "../handlers/memory-to-memory.js";
+import { SSEServerAdapter } from "../adapters/sse.js";
+import { StreamableHTTPServerAdapter } from "../adapters/streamable-http.js";
+import { isTransportRegistered } from "../adapters/transport-registry.js";
+import { createPipeHandler, PipeHandler } from "../handlers/pipe.js";
+import { createMiddlewareChain, MiddlewareChain } from "../handlers/middleware.js";
+import { openServerSession } from "./session.js";
+import { createHealthProbe, DEFAULT_FAILURE_THRESHOLD, HealthProbe } from "./health.js";
+import { serverRestarts } from "./metrics.js";
+import { createTrafficInspector } from "./traffic.js";
+import { createSessionRecorder, readRecording, Recording, SessionRecorder } from "./recording.js";
+import { replayRecording, ReplayOptions, summarizeReplay } from "./replay.js";
+import { createVirtualServerSession } from "./virtual-server.js";
+import { createMockServerSession } from "./mock-server.js";
+import { diffServerInventories, fetchServerInventory, hasListChanges } from "./inventory.js";
+import { getAccessRules, getChangedAccessLists } from "./access.js";
 
 const logger = createLogger({ prefix: "BridgeManager" });
 
+/**
+ * Time allowed for a server to answer the initialize check (ms)
+ */
+const SERVER_CHECK_TIMEOUT = 10000;
+
+/**
+ * Time allowed for the old server to answer in-flight requests during a blue/green swap (ms)
+ */
+const SWAP_DRAIN_TIMEOUT = 10000;
+
+/**
+ * Default directory recordings are written to and replayed from
+ */
+const DEFAULT_RECORDINGS_DIR = "recordings";
+
 /**
  * Bridge manager options
  */
 export interface BridgeManagerOptions {
   serverRegistry: ServerRegistry;
   connectionManager: ConnectionManager;
+  recordingsDir?: string;      // Where recordings are written to and replayed from (default: ./recordings)
 }
 
 /**
@@ -41,7 +87,18 @@ export interface BridgeManagerOptions {
 export class BridgeManager {
   private serverRegistry: ServerRegistry;
   private connectionManager: ConnectionManager;
-  private bridges: Map<string, BridgeHandler> = new Map();
+  private bridges: Map<string, PipeHandler> = new Map();
+  private middleware = createMiddlewareChain();
+  private serverMiddleware: Map<string, MiddlewareChain> = new Map();
+  private connectionMiddleware: Map<string, MiddlewareChain> = new Map();
+  private traffic = createTrafficInspector();
+  private recordingsDir: string;
+  private recorders: Map<string, { recorder: SessionRecorder; unwatch: () => void }> = new Map();
+  private mockRecordings: Map<string, Recording> = new Map();
+  private reconnectTimers: Map<string, NodeJS.Timeout> = new Map();
+  private restartTimers: Map<string, NodeJS.Timeout> = new Map();
+  private uptimeTimers: Map<string, NodeJS.Timeout> = new Map();
+  private healthProbes: Map<string, HealthProbe> = new Map();
   
   /**
    * Constructor
@@ -49,6 +106,192 @@ export class BridgeManager {
   constructor(options: BridgeManagerOptions) {
     this.serverRegistry = options.serverRegistry;
     this.connectionManager = options.connectionManager;
+    this.recordingsDir = path.resolve(options.recordingsDir ?? DEFAULT_RECORDINGS_DIR);
+  }
+  
+  /**
+   * Add message middleware for every connection, or only for the connections
+   * to a server or a single connection
+   * Messages to the server pass through global middleware first, then the
+   * connection's and then the server's, and messages to the client the other
+   * way round. Middleware also applies to connections already open.
+   */
+  use(middleware: MessageMiddleware, scope?: { serverId?: string; connectionId?: string }): void {
+    if (scope?.connectionId) {
+      this.getMiddlewareChain(this.connectionMiddleware, scope.connectionId).use(middleware);
+    } else if (scope?.serverId) {
+      this.getMiddlewareChain(this.serverMiddleware, scope.serverId).use(middleware);
+    } else {
+      this.middleware.use(middleware);
+    }
+  }
+  
+  /**
+   * Watch the messages passing through connections, as their clients see
+   * them, until the returned function is called
+   * onend is called if the bridge ends the watch itself
+   */
+  watchTraffic(
+    filter: TrafficFilter,
+    onevent: (event: TrafficEvent) => void,
+    onend?: () => void
+  ): () => void {
+    return this.traffic.watch(filter, onevent, onend);
+  }
+  
+  /**
+   * End every traffic watch
+   */
+  closeTrafficWatches(): void {
+    this.traffic.close();
+  }
+  
+  /**
+   * Start recording a connection's traffic to a new file in the recordings directory
+   * Messages are recorded as the client sent and received them, until the
+   * recording is stopped or the connection closes
+   */
+  async startRecording(id: string): Promise<ConnectionRecording> {
+    const connection = this.connectionManager.getConnection(id);
+    
+    if (this.recorders.has(id)) {
+      throw new ConnectionError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Connection ${id} is already being recorded`,
+        id
+      );
+    }
+    
+    const recorder = await createSessionRecorder(this.recordingsDir, {
+      version: 1,
+      connectionId: id,
+      serverId: connection.config.serverId,
+      startTime: new Date(),
+      handshake: connection.handshake
+    });
+    
+    // Nothing more can be recorded once the file fails
+    recorder.onerror = () => {
+      this.stopRecording(id).catch((error) => {
+        logger.error(`Failed to stop recording connection: ${id}`, error);
+      });
+    };
+    
+    const unwatch = this.traffic.watch({ connectionId: id }, event => recorder.record(event));
+    
+    this.recorders.set(id, { recorder, unwatch });
+    this.connectionManager.updateConnectionRecording(id, recorder.recording);
+    
+    logger.info(`Recording connection ${id} to ${recorder.recording.file}`);
+    
+    return recorder.recording;
+  }
+  
+  /**
+   * Stop recording a connection's traffic
+   * Returns the finished recording, or undefined if the connection was not being recorded
+   */
+  async stopRecording(id: string): Promise<ConnectionRecording | undefined> {
+    const entry = this.recorders.get(id);
+    
+    if (!entry) {
+      return undefined;
+    }
+    
+    this.recorders.delete(id);
+    entry.unwatch();
+    
+    await entry.recorder.close();
+    
+    try {
+      this.connectionManager.updateConnectionRecording(id, undefined);
+    } catch (error) {
+      // The connection may already have been removed
+      logger.debug(`Stopped recording has no connection: ${id}`);
+    }
+    
+    logger.info(`Stopped recording connection ${id}: ${entry.recorder.recording.messages} message(s) in ${entry.recorder.recording.file}`);
+    
+    return entry.recorder.recording;
+  }
+  
+  /**
+   * Check if the recordings directory has a recording by the given file name
+   */
+  async hasRecording(name: string): Promise<boolean> {
+    try {
+      await access(this.getRecordingPath(name));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * Send the client's requests in a recording to a running server and compare
+   * the responses with the recorded ones
+   * The requests go to the server directly, not through a connection's access
+   * rules or middleware, and any side effects they have happen again
+   */
+  async replayRecording(serverId: string, name: string, options?: ReplayOptions): Promise<ReplayReport> {
+    const server = this.serverRegistry.getServer(serverId);
+    
+    // A replay would initialize the shared process again and run its calls
+    // inside the clients' session
+    if (this.hasLiveSharedProcess(server)) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Cannot replay against server ${server.config.name} while clients share its process`,
+        serverId
+      );
+    }
+    const recording = await readRecording(this.getRecordingPath(name));
+    
+    logger.info(`Replaying ${name} against server: ${server.config.name} (${serverId})`);
+    
+    const startTime = new Date();
+    const requests = await replayRecording(this.createServerSideAdapter(server), recording, options);
+    const summary = summarizeReplay(requests);
+    
+    logger.info(
+      `Replayed ${requests.length} request(s) from ${name} against server ${server.config.name}: `
+      + `${summary.match} matched, ${summary.mismatch} differed, ${summary.failed} failed`
+    );
+    
+    return {
+      recording: name,
+      serverId,
+      startTime,
+      duration: Date.now() - startTime.getTime(),
+      summary,
+      requests
+    };
+  }
+  
+  /**
+   * Get the path of a recording in the recordings directory
+   */
+  private getRecordingPath(name: string): string {
+    // Only files directly in the recordings directory can be replayed
+    if (path.basename(name) !== name) {
+      throw new BridgeError(ErrorCode.INVALID_CONFIGURATION, `Invalid recording name: ${name}`);
+    }
+    
+    return path.join(this.recordingsDir, name);
+  }
+  
+  /**
+   * Get the middleware chain for a server or connection, creating it if needed
+   */
+  private getMiddlewareChain(chains: Map<string, MiddlewareChain>, id: string): MiddlewareChain {
+    let chain = chains.get(id);
+    
+    if (!chain) {
+      chain = createMiddlewareChain();
+      chains.set(id, chain);
+    }
+    
+    return chain;
   }
   
   /**
@@ -57,7 +300,7 @@ export class BridgeManager {
   async startServer(id: string): Promise<void> {
     const server = this.serverRegistry.getServer(id);
     
-    if (server.status === ServerStatus.RUNNING) {
+    if (server.status === ServerStatus.RUNNING || server.status === ServerStatus.UNHEALTHY) {
       logger.warn(`Server ${id} is already running`);
       return;
     }
@@ -69,65 +312,98 @@ export class BridgeManager {
     
     logger.info(`Starting server: ${server.config.name} (${id})`);
     
+    // Starting a crash-looping server again gives it a fresh run of restarts
+    if (server.status === ServerStatus.CRASH_LOOP) {
+      this.serverRegistry.resetRestartCount(id);
+    }
+    
+    this.cancelRestart(id);
+    
+    // The new process has not answered initialize yet
+    this.serverRegistry.updateServerInitializeTime(id, undefined);
+    
     try {
       // Update server status
       this.serverRegistry.updateServerStatus(id, ServerStatus.STARTING);
       
-      // Create server adapter based on transport type
-      const serverAdapter = createServerAdapter(server.config.transport, {
-        config: server.config
-      });
-      
-      // Start the server adapter
-      await serverAdapter.start();
-      
-      // If it's a stdio server, get the process
-      if (server.config.transport === "stdio") {
-        const process = getStdioProcess(serverAdapter);
+      if (server.config.url) {
+        // Remote servers run elsewhere, so starting one only checks that it can be reached
+        await this.checkServer(server);
+      } else if (server.config.backends) {
+        // Virtual servers run in-process, so starting one only starts its backends
+        await this.startBackends(server);
+      } else if (server.config.mock) {
+        // Mock servers answer in-process, so starting one only loads its recording
+        this.mockRecordings.set(id, await readRecording(this.getRecordingPath(server.config.mock.recording)));
+      } else if (server.config.transport !== "stdio" && server.config.transport !== "memory") {
+        // HTTP-based servers and servers on registered transports are reached
+        // on their own, so the bridge only owns the process and connects to
+        // it for each connection
+        if (!server.config.command) {
+          throw new ServerError(
+            ErrorCode.INVALID_CONFIGURATION,
+            `Server ${id} has no command to run`,
+            id
+          );
+        }
+        
+        const process = spawnProcess({
+          command: server.config.command,
+          args: server.config.args,
+          cwd: server.config.cwd,
+          env: server.config.env,
+        });
+        
+        // Update server process
+        this.serverRegistry.updateServerProcess(id, process);
+        
+        // Handle process exit
+        this.watchServerProcess(id, process);
+      } else {
+        // Create server adapter based on transport type
+        const serverAdapter = createServerAdapter(server.config.transport, {
+          config: server.config
+        });
         
-        if (process) {
-          // Update server process
-          this.serverRegistry.updateServerProcess(id, process);
+        // Start the server adapter
+        await serverAdapter.start();
+        
+        // If it's a stdio server, get the process
+        if (server.config.transport === "stdio") {
+          const process = getStdioProcess(serverAdapter);
           
-          // Handle process exit
-          process.on("exit", (code, signal) => {
-            logger.info(`Server process exited: ${server.config.name} (${id}) with code ${code}, signal ${signal}`);
-            
-            // Update server status
-            this.serverRegistry.updateServerStatus(id, ServerStatus.STOPPED);
+          if (process) {
+            // Update server process
+            this.serverRegistry.updateServerProcess(id, process);
             
-            // Check if server should be restarted
-            if (this.serverRegistry.shouldRestartServer(id)) {
-              const restartCount = this.serverRegistry.incrementRestartCount(id);
-              const delay = this.serverRegistry.getServerRestartDelay(id);
-              
-              logger.info(`Restarting server: ${server.config.name} (${id}) (attempt ${restartCount})`);
-              
-              setTimeout(() => {
-                this.startServer(id).catch((error) => {
-                  logger.error(`Failed to restart server: ${server.config.name} (${id})`, error);
-                });
-              }, delay);
-            }
-          });
+            // Handle process exit
+            this.watchServerProcess(id, process);
+          }
         }
+        
+        // Update server transport
+        this.serverRegistry.updateServerTransport(id, serverAdapter);
       }
       
-      // Update server transport
-      this.serverRegistry.updateServerTransport(id, serverAdapter);
-      
       // Update server status
       this.serverRegistry.updateServerStatus(id, ServerStatus.RUNNING);
       
-      // Reset restart count
-      this.serverRegistry.resetRestartCount(id);
+      // Restarts stop counting once the server has stayed up for a while
+      this.watchServerUptime(id);
+      
+      this.startHealthProbe(id);
+      this.verifyRequiredServer(id);
       
       logger.info(`Server started: ${server.config.name} (${id})`);
     } catch (error) {
       logger.error(`Failed to start server: ${server.config.name} (${id})`, error);
       
       // Update server status
-      this.serverRegistry.updateServerStatus(id, ServerStatus.ERROR, error as Error);
+      this.serverRegistry.updateServerStatus(
+        id,
+        server.config.url ? ServerStatus.UNREACHABLE : ServerStatus.ERROR,
+        error as Error
+      );
       
       throw new ServerError(
         ErrorCode.SERVER_START_FAILED,
@@ -138,12 +414,464 @@ export class BridgeManager {
     }
   }
   
+  /**
+   * Check that a server can be reached and answers the initialize handshake,
+   * or a ping if its clients already initialized the process they share
+   */
+  private async checkServer(server: ServerInstance): Promise<void> {
+    logger.debug(`Checking server: ${server.config.name} (${server.id})`);
+    
+    const initialize = !this.hasClientPipes(server);
+    const session = await openServerSession(this.createServerSideAdapter(server), {
+      timeout: SERVER_CHECK_TIMEOUT,
+      initialize
+    });
+    
+    // The check's own session is not kept open
+    try {
+      if (!initialize) {
+        await session.request("ping");
+      }
+    } finally {
+      await session.close();
+    }
+    
+    // A ping only reaches a process its clients' handshakes already made ready
+    if (initialize) {
+      this.serverRegistry.updateServerInitializeTime(server.id, new Date());
+    }
+    
+    logger.info(`Server answered ${initialize ? "initialize" : "ping"}: ${server.config.name} (${server.id})`);
+  }
+  
+  /**
+   * Initialize a server on a session of the bridge's own and get its answer
+   */
+  private async initializeServer(
+    server: ServerInstance,
+    options?: { protocolVersion?: string; clientInfo?: Implementation }
+  ): Promise<InitializeResult> {
+    const session = await openServerSession(this.createServerSideAdapter(server), {
+      timeout: SERVER_CHECK_TIMEOUT,
+      ...options
+    });
+    
+    await session.close();
+    
+    return session.getInitializeResult() as InitializeResult;
+  }
+  
+  /**
+   * Check that a replacement answers initialize as its server's clients negotiated,
+   * asking as each of them did on a session of its own
+   * Without clients, the replacement must answer as the running server does
+   */
+  private async checkReplacement(server: ServerInstance, replacement: ServerInstance): Promise<void> {
+    const handshakes = this.getServerPipes(server.id)
+      .map(({ connectionId }) => this.connectionManager.getConnection(connectionId).handshake)
+      .filter(handshake => handshake?.result !== undefined)
+      .map(handshake => ({
+        params: handshake?.request.params as { protocolVersion?: string; clientInfo?: Implementation } | undefined,
+        negotiated: handshake?.result as InitializeResult
+      }));
+      
+    if (handshakes.length === 0) {
+      handshakes.push({ params: undefined, negotiated: await this.initializeServer(server) });
+    }
+    
+    for (const { params, negotiated } of handshakes) {
+      const result = await this.initializeServer(replacement, {
+        protocolVersion: params?.protocolVersion,
+        clientInfo: params?.clientInfo
+      });
+      const problems = getHandshakeIncompatibilities(negotiated, result);
+      
+      if (problems.length > 0) {
+        throw new ProtocolError(
+          ErrorCode.PROTOCOL_ERROR,
+          `Replacement is incompatible with the negotiated session: ${problems.join("; ")}`
+        );
+      }
+    }
+    
+    logger.info(`Replacement answered initialize: ${server.config.name} (${server.id})`);
+  }
+  
+  /**
+   * Check if a server's process is shared by the bridge's sessions with it
+   * Each session is a channel of the one stdio process, so once a client has
+   * initialized it the bridge must not initialize it again behind its back
+   */
+  private isSharedProcess(server: ServerInstance): boolean {
+    return server.config.transport === "stdio";
+  }
+  
+  /**
+   * Check if a client's handshake already owns a server's shared process
+   * Until then the bridge initializes the process itself, e.g. to check it
+   */
+  private hasClientPipes(server: ServerInstance): boolean {
+    return this.isSharedProcess(server) && this.getServerPipes(server.id)
+      .some(({ connectionId }) => this.connectionManager.getConnection(connectionId).handshake !== undefined);
+  }
+  
+  /**
+   * Check if clients are connected to a server whose process they share
+   */
+  hasLiveSharedProcess(server: ServerInstance): boolean {
+    return this.isSharedProcess(server) && this.getServerPipes(server.id).length > 0;
+  }
+  
+  /**
+   * Check that a required server answers initialize, so the bridge can report ready
+   * A server that does not answer yet is ready once it answers a health probe or a client
+   */
+  private verifyRequiredServer(id: string): void {
+    const server = this.serverRegistry.getServer(id);
+    
+    if (!server.config.required || server.initializeTime) {
+      return;
+    }
+    
+    this.checkServer(server).catch((error) => {
+      logger.warn(`Required server did not answer initialize: ${server.config.name} (${id})`, error);
+    });
+  }
+  
+  /**
+   * List what a running server offers
+   * Returns undefined if the server could not be listed
+   */
+  private async getServerInventory(id: string): Promise<ServerInventory | undefined> {
+    const server = this.serverRegistry.getServer(id);
+    
+    try {
+      // Lists from a shared process are requested within the session its clients
+      // initialized, or in one of the bridge's own before any client has
+      const session = await openServerSession(this.createServerSideAdapter(server), {
+        timeout: SERVER_CHECK_TIMEOUT,
+        initialize: !this.hasClientPipes(server)
+      });
+      
+      try {
+        return await fetchServerInventory(session);
+      } finally {
+        await session.close();
+      }
+    } catch (error) {
+      logger.warn(`Failed to list what server ${id} offers`, error);
+      return undefined;
+    }
+  }
+  
+  /**
+   * Record what changed in a swap and tell the server's clients about changed lists
+   */
+  private async publishServerChanges(id: string, before: ServerInventory): Promise<void> {
+    const after = await this.getServerInventory(id);
+    
+    if (!after) {
+      return;
+    }
+    
+    const changes = diffServerInventories(before, after);
+    
+    this.serverRegistry.updateServerChanges(id, changes);
+    
+    const notifications = [
+      hasListChanges(changes.tools) && "notifications/tools/list_changed",
+      hasListChanges(changes.resources) && "notifications/resources/list_changed",
+      hasListChanges(changes.prompts) && "notifications/prompts/list_changed"
+    ].filter((method): method is string => method !== false);
+    
+    if (notifications.length === 0) {
+      return;
+    }
+    
+    const pipes = this.getServerPipes(id);
+    
+    logger.info(`Server ${id} changed what it offers, notifying ${pipes.length} connection(s)`);
+    
+    for (const { connectionId, pipe } of pipes) {
+      for (const method of notifications) {
+        await pipe.notifyClient({ jsonrpc: "2.0", method }).catch((error) => {
+          logger.warn(`Failed to send ${method} to connection ${connectionId}`, error);
+        });
+      }
+    }
+  }
+  
+  /**
+   * Start the backends of a virtual server that are not running yet
+   * Backends that fail to start are left out until they are started
+   */
+  private async startBackends(server: ServerInstance): Promise<void> {
+    const backends = server.config.backends ?? [];
+    let running = 0;
+    
+    for (const id of backends) {
+      try {
+        if (this.serverRegistry.getServer(id).status !== ServerStatus.RUNNING) {
+          await this.startServer(id);
+        }
+        
+        running++;
+      } catch (error) {
+        logger.warn(`Backend ${id} of virtual server ${server.config.name} failed to start`, error);
+      }
+    }
+    
+    if (running === 0) {
+      throw new ServerError(
+        ErrorCode.SERVER_START_FAILED,
+        `None of the backends of virtual server ${server.config.name} could be started`,
+        server.id
+      );
+    }
+  }
+  
+  /**
+   * Recheck a remote server after losing its connection and update its status
+   */
+  private async updateRemoteServerReachability(id: string): Promise<void> {
+    const server = this.serverRegistry.getServer(id);
+    
+    if (!server.config.url || server.status !== ServerStatus.RUNNING) {
+      return;
+    }
+    
+    try {
+      await this.checkServer(server);
+    } catch (error) {
+      logger.warn(`Remote server is unreachable: ${server.config.name} (${server.config.url})`);
+      
+      // Stopping or restarting the server in the meantime takes precedence
+      if (server.status === ServerStatus.RUNNING) {
+        this.serverRegistry.updateServerStatus(id, ServerStatus.UNREACHABLE, error as Error);
+      }
+    }
+  }
+  
+  /**
+   * Watch a server process and restart it on exit if configured to
+   */
+  private watchServerProcess(id: string, process: ChildProcess): void {
+    const server = this.serverRegistry.getServer(id);
+    
+    process.on("exit", (code, signal) => {
+      // A process retired by a blue/green swap has already been replaced
+      if (server.process !== process) {
+        return;
+      }
+      
+      logger.info(`Server process exited: ${server.config.name} (${id}) with code ${code}, signal ${signal}`);
+      
+      // A process exiting while the server is being stopped did not crash
+      const crashed = server.status !== ServerStatus.STOPPING;
+      
+      this.cancelUptimeWatch(id);
+      this.stopHealthProbe(id);
+      this.serverRegistry.updateServerInitializeTime(id, undefined);
+      
+      // Update server status
+      this.serverRegistry.updateServerStatus(id, ServerStatus.STOPPED);
+      
+      if (crashed && server.config.autoRestart) {
+        this.scheduleRestart(id);
+      }
+    });
+  }
+  
+  /**
+   * Schedule the next automatic restart of a crashed server, backing off
+   * with each restart in a row until the server is considered crash looping
+   */
+  private scheduleRestart(id: string): void {
+    const server = this.serverRegistry.getServer(id);
+    
+    if (!this.serverRegistry.shouldRestartServer(id)) {
+      const error = new ServerError(
+        ErrorCode.SERVER_START_FAILED,
+        `Server crashed ${server.restartCount + 1} times without staying up for ${this.serverRegistry.getServerStableUptime(id)}ms, no longer restarting it`,
+        id
+      );
+      
+      logger.error(`Server is crash looping: ${server.config.name} (${id})`);
+      
+      this.serverRegistry.updateServerStatus(id, ServerStatus.CRASH_LOOP, error);
+      return;
+    }
+    
+    const restartCount = this.serverRegistry.incrementRestartCount(id);
+    const delay = this.serverRegistry.getServerRestartDelay(id);
+    
+    this.serverRegistry.updateNextRestartTime(id, new Date(Date.now() + delay));
+    
+    logger.info(`Restarting server: ${server.config.name} (${id}) in ${delay}ms (attempt ${restartCount})`);
+    
+    this.restartTimers.set(id, setTimeout(() => {
+      this.restartTimers.delete(id);
+      this.serverRegistry.updateNextRestartTime(id, undefined);
+      
+      serverRestarts.inc({ server: id, reason: "crash" });
+      
+      this.startServer(id).catch((error) => {
+        logger.error(`Failed to restart server: ${server.config.name} (${id})`, error);
+        
+        // A restart that fails counts as another crash
+        this.scheduleRestart(id);
+      });
+    }, delay));
+  }
+  
+  /**
+   * Cancel a pending automatic restart
+   */
+  private cancelRestart(id: string): void {
+    clearTimeout(this.restartTimers.get(id));
+    this.restartTimers.delete(id);
+    this.serverRegistry.updateNextRestartTime(id, undefined);
+  }
+  
+  /**
+   * Reset a restarted server's restart count once it has stayed up long enough
+   */
+  private watchServerUptime(id: string): void {
+    this.cancelUptimeWatch(id);
+    
+    if (this.serverRegistry.getServer(id).restartCount === 0) {
+      return;
+    }
+    
+    this.uptimeTimers.set(id, setTimeout(() => {
+      this.uptimeTimers.delete(id);
+      
+      const server = this.serverRegistry.getServer(id);
+      
+      if (server.status === ServerStatus.RUNNING) {
+        logger.info(`Server stayed up after restarting: ${server.config.name} (${id})`);
+        this.serverRegistry.resetRestartCount(id);
+      }
+    }, this.serverRegistry.getServerStableUptime(id)));
+  }
+  
+  /**
+   * Stop waiting for a server to stay up
+   */
+  private cancelUptimeWatch(id: string): void {
+    clearTimeout(this.uptimeTimers.get(id));
+    this.uptimeTimers.delete(id);
+  }
+  
+  /**
+   * Start pinging a running server if it has health checks configured
+   */
+  private startHealthProbe(id: string): void {
+    const server = this.serverRegistry.getServer(id);
+    
+    this.stopHealthProbe(id);
+    this.serverRegistry.resetServerHealth(id);
+    
+    if (!server.config.healthCheck) {
+      return;
+    }
+    
+    const probe = createHealthProbe({
+      name: server.config.name,
+      config: server.config.healthCheck,
+      createAdapter: () => this.createServerSideAdapter(this.serverRegistry.getServer(id)),
+      initialize: () => !this.hasClientPipes(this.serverRegistry.getServer(id)),
+      onprobe: (result) => this.handleHealthProbe(id, result)
+    });
+    
+    this.healthProbes.set(id, probe);
+    probe.start();
+  }
+  
+  /**
+   * Stop pinging a server
+   */
+  private stopHealthProbe(id: string): void {
+    const probe = this.healthProbes.get(id);
+    
+    if (!probe) {
+      return;
+    }
+    
+    this.healthProbes.delete(id);
+    
+    probe.stop().catch((error) => {
+      logger.debug(`Failed to stop health probe of server ${id}`, error);
+    });
+  }
+  
+  /**
+   * Mark a server unhealthy once enough probes in a row failed, and healthy
+   * again once one succeeds, restarting it if configured to
+   */
+  private handleHealthProbe(id: string, result: HealthProbeResult): void {
+    const server = this.serverRegistry.getServer(id);
+    
+    // Probes finishing while the server is stopped or swapped say nothing about it
+    if (server.status !== ServerStatus.RUNNING && server.status !== ServerStatus.UNHEALTHY) {
+      return;
+    }
+    
+    const failures = this.serverRegistry.recordHealthProbe(id, result);
+    
+    if (result.healthy) {
+      // The probe's session was initialized, or the shared process pinged once
+      // its clients had initialized it
+      if (!server.initializeTime) {
+        this.serverRegistry.updateServerInitializeTime(id, result.time);
+      }
+      
+      if (server.status === ServerStatus.UNHEALTHY) {
+        logger.info(`Server is healthy again: ${server.config.name} (${id})`);
+        this.serverRegistry.updateServerStatus(id, ServerStatus.RUNNING);
+      }
+      
+      return;
+    }
+    
+    const threshold = server.config.healthCheck?.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+    
+    if (server.status === ServerStatus.UNHEALTHY || failures < threshold) {
+      return;
+    }
+    
+    logger.error(`Server is unhealthy: ${server.config.name} (${id})`);
+    
+    this.serverRegistry.updateServerStatus(id, ServerStatus.UNHEALTHY, new ServerError(
+      ErrorCode.SERVER_UNHEALTHY,
+      `Server failed ${failures} health probes in a row: ${result.error}`,
+      id
+    ));
+    
+    if (server.config.healthCheck?.restart) {
+      logger.info(`Restarting unhealthy server: ${server.config.name} (${id})`);
+      
+      serverRestarts.inc({ server: id, reason: "unhealthy" });
+      
+      // Connections are held while the server restarts, as in a swap
+      this.hotSwapServer(id).catch((error) => {
+        logger.error(`Failed to restart unhealthy server: ${server.config.name} (${id})`, error);
+      });
+    }
+  }
+  
   /**
    * Stop a server
    */
   async stopServer(id: string): Promise<void> {
     const server = this.serverRegistry.getServer(id);
     
+    // A crashed server waiting to be restarted stays down
+    this.cancelRestart(id);
+    this.cancelUptimeWatch(id);
+    this.stopHealthProbe(id);
+    this.serverRegistry.updateServerInitializeTime(id, undefined);
+    
     if (server.status === ServerStatus.STOPPED) {
       logger.warn(`Server ${id} is already stopped`);
       return;
@@ -164,6 +892,12 @@ export class BridgeManager {
       const connections = this.connectionManager.getConnectionsForServer(id);
       
       for (const connection of connections) {
+        // Connections held for a hot swap are reattached once the server is back,
+        // but those held for reconnection must not bring it back
+        if (this.bridges.get(connection.id)?.isPaused() && connection.status !== ConnectionStatus.RECONNECTING) {
+          continue;
+        }
+        
         try {
           await this.disconnectConnection(connection.id);
         } catch (error) {
@@ -187,6 +921,7 @@ export class BridgeManager {
       // Clear server process and transport
       this.serverRegistry.updateServerProcess(id, undefined);
       this.serverRegistry.updateServerTransport(id, undefined);
+      this.mockRecordings.delete(id);
       
       logger.info(`Server stopped: ${server.config.name} (${id})`);
     } catch (error) {
@@ -206,36 +941,245 @@ export class BridgeManager {
   
   /**
    * Update server environment variables
-   * This will restart the server if it's already running
+   * This will swap in a server with the new environment if it's already running,
+   * using the given mode or else the server's configured swap mode
    */
-  async updateServerEnvironment(id: string, env: Record<string, string>): Promise<void> {
+  async updateServerEnvironment(
+    id: string,
+    env: Record<string, string>,
+    options?: { mode?: SwapMode }
+  ): Promise<void> {
+    const server = this.serverRegistry.getServer(id);
+    const mode = options?.mode ?? server.config.swapMode ?? "restart";
+    
+    if (mode === "blue-green" && server.config.transport !== "stdio") {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Server ${id} cannot use blue/green swaps with the ${server.config.transport} transport`,
+        id
+      );
+    }
+    
+    const previousEnv = server.config.env;
+    
     // Update environment variables
     const needsRestart = this.serverRegistry.updateServerEnvironment(id, env);
     
-    if (needsRestart) {
-      logger.info(`Server ${id} needs to be restarted with new environment variables`);
+    if (!needsRestart) {
+      return;
+    }
+    
+    logger.info(`Server ${id} needs to be restarted with new environment variables`);
+    
+    // Remember what the current server offers, to tell clients what changed
+    const before = await this.getServerInventory(id);
+    
+    if (mode === "blue-green") {
+      try {
+        await this.blueGreenSwapServer(id);
+      } catch (error) {
+        // The old server is still running, so its configuration is too
+        server.config.env = previousEnv;
+        throw error;
+      }
+    } else {
+      // Restart the server while keeping its clients connected
+      await this.hotSwapServer(id);
+    }
+    
+    logger.info(`Server ${id} restarted with new environment variables`);
+    
+    if (before) {
+      await this.publishServerChanges(id, before);
+    }
+  }
+  
+  /**
+   * Get the pipes of the open connections to a server
+   */
+  private getServerPipes(id: string): { connectionId: string; pipe: PipeHandler }[] {
+    // Connections held for reconnection are reattached by their own attempts
+    return this.connectionManager.getConnectionsForServer(id)
+      .filter(connection => connection.status !== ConnectionStatus.RECONNECTING)
+      .map(connection => ({ connectionId: connection.id, pipe: this.bridges.get(connection.id) }))
+      .filter((entry): entry is { connectionId: string; pipe: PipeHandler } => entry.pipe !== undefined);
+  }
+  
+  /**
+   * Restart a server while keeping its connections open
+   * Client messages sent during the restart are held and flushed to the replacement
+   */
+  private async hotSwapServer(id: string): Promise<void> {
+    const pipes = this.getServerPipes(id);
+    
+    logger.info(`Hot-swapping server ${id} with ${pipes.length} connection(s) held open`);
+    
+    const retryIdempotent = this.serverRegistry.getServer(id).config.retryIdempotentRequests;
+    
+    // Hold client traffic and detach from the old server before it goes away
+    for (const { pipe } of pipes) {
+      await pipe.pause({ retryIdempotent });
+    }
+    
+    try {
+      await this.stopServer(id);
+      await this.startServer(id);
+    } catch (error) {
+      // Without a replacement there is nothing to reattach the connections to
+      for (const { connectionId } of pipes) {
+        await this.disconnectConnection(connectionId).catch((disconnectError) => {
+          logger.error(`Failed to disconnect connection: ${connectionId}`, disconnectError);
+        });
+      }
       
-      // Get all connections to this server
-      const connections = this.connectionManager.getConnectionsForServer(id);
+      throw error;
+    }
+    
+    await this.resumePipes(id, pipes);
+  }
+  
+  /**
+   * Replace a stdio server without an outage
+   * The replacement is started alongside the running server and must answer
+   * initialize compatibly with every connection's negotiated session, or the
+   * running server's without connections, before any is moved to it. The running
+   * server is only stopped once every connection has been moved; if the
+   * replacement fails the check or refuses a connection's handshake, the
+   * connections go back to the running server and the replacement is stopped.
+   */
+  private async blueGreenSwapServer(id: string): Promise<void> {
+    const server = this.serverRegistry.getServer(id);
+    
+    logger.info(`Starting replacement for server: ${server.config.name} (${id})`);
+    
+    const transport = createServerAdapter("stdio", { config: server.config });
+    let process: ChildProcess | undefined;
+    
+    try {
+      await transport.start();
       
-      // Remember connection configs for reconnection
-      const connectionConfigs = connections.map(conn => conn.config);
+      process = getStdioProcess(transport);
       
-      // Disconnect all connections
-      for (const connection of connections) {
-        await this.disconnectConnection(connection.id);
+      if (!process) {
+        throw new Error("Replacement server process not found");
       }
       
-      // Restart the server
-      await this.stopServer(id);
-      await this.startServer(id);
+      // The replacement has no clients yet, so it is initialized as each will be
+      await this.checkReplacement(server, { ...server, process, transport });
+    } catch (error) {
+      logger.error(`Replacement for server ${id} failed to start, rolling back`, error);
       
-      // Reconnect all clients
-      for (const config of connectionConfigs) {
-        await this.connectToServer(config);
+      await this.retireServerInstance(id, transport, process);
+      
+      throw new ServerError(
+        ErrorCode.SERVER_START_FAILED,
+        `Replacement for server ${server.config.name} (${id}) failed to start, kept the running server`,
+        id,
+        error
+      );
+    }
+    
+    const pipes = this.getServerPipes(id);
+    
+    logger.info(`Switching ${pipes.length} connection(s) to the replacement for server ${id}`);
+    
+    const pauseOptions = {
+      drainTimeout: SWAP_DRAIN_TIMEOUT,
+      retryIdempotent: server.config.retryIdempotentRequests
+    };
+    
+    // Hold new client traffic while the old server answers what it already has
+    await Promise.all(pipes.map(({ pipe }) => pipe.pause(pauseOptions)));
+    
+    const oldTransport = server.transport;
+    const oldProcess = server.process;
+    
+    this.serverRegistry.updateServerProcess(id, process);
+    this.serverRegistry.updateServerTransport(id, transport);
+    this.watchServerProcess(id, process);
+    
+    const resumed: { connectionId: string; pipe: PipeHandler }[] = [];
+    
+    try {
+      for (const entry of pipes) {
+        const { handshake } = this.connectionManager.getConnection(entry.connectionId);
+        
+        await entry.pipe.resume(this.createServerSideAdapter(server), handshake);
+        resumed.push(entry);
       }
+    } catch (error) {
+      logger.error(`Replacement for server ${id} refused a connection, rolling back`, error);
+      
+      // The old server was kept running, so every connection can go back to it
+      await Promise.all(resumed.map(({ pipe }) => pipe.pause(pauseOptions)));
       
-      logger.info(`Server ${id} restarted with new environment variables`);
+      this.serverRegistry.updateServerProcess(id, oldProcess);
+      this.serverRegistry.updateServerTransport(id, oldTransport);
+      
+      await this.resumePipes(id, pipes);
+      await this.retireServerInstance(id, transport, process);
+      
+      throw new ServerError(
+        ErrorCode.SERVER_START_FAILED,
+        `Replacement for server ${server.config.name} (${id}) refused a connection, kept the running server`,
+        id,
+        error
+      );
+    }
+    
+    this.serverRegistry.resetRestartCount(id);
+    this.startHealthProbe(id);
+    
+    await this.retireServerInstance(id, oldTransport, oldProcess);
+    
+    logger.info(`Swapped in replacement for server: ${server.config.name} (${id})`);
+  }
+  
+  /**
+   * Stop a server transport and process that are no longer the server's own
+   */
+  private async retireServerInstance(
+    id: string,
+    transport?: Transport,
+    process?: ChildProcess
+  ): Promise<void> {
+    try {
+      await transport?.close();
+      
+      if (process) {
+        await killProcess(process);
+      }
+    } catch (error) {
+      logger.error(`Failed to stop retired instance of server ${id}`, error);
+    }
+  }
+  
+  /**
+   * Reattach paused connections to a server's current instance
+   */
+  private async resumePipes(
+    id: string,
+    pipes: { connectionId: string; pipe: PipeHandler }[]
+  ): Promise<void> {
+    const server = this.serverRegistry.getServer(id);
+    
+    // Reattach each held connection to the replacement, replaying its
+    // handshake before flushing its messages
+    for (const { connectionId, pipe } of pipes) {
+      const { handshake } = this.connectionManager.getConnection(connectionId);
+      
+      try {
+        await pipe.resume(this.createServerSideAdapter(server), handshake);
+      } catch (error) {
+        logger.error(`Failed to reattach connection ${connectionId} to server ${id}`, error);
+        
+        await this.disconnectConnection(connectionId).catch((disconnectError) => {
+          logger.error(`Failed to disconnect connection: ${connectionId}`, disconnectError);
+        });
+        
+        // Keep the reason on the connection so the failure is visible through the API
+        this.connectionManager.updateConnectionStatus(connectionId, ConnectionStatus.ERROR, error as Error);
+      }
     }
   }
 
@@ -247,6 +1191,8 @@ export class BridgeManager {
     options?: {
       endpoint?: string;
       res?: ServerResponse;
+      socket?: WebSocket;
+      memoryTransport?: InMemoryTransport; // The bridge's end of a linked in-memory pair
       environmentVariables?: Record<string, string>; // New option for environment variables
     }
   ): Promise<string> {
@@ -264,99 +1210,64 @@ export class BridgeManager {
           connectionConfig.serverId, 
           options.environmentVariables
         );
-        
-        // If server is running and needs restart, handle it
-        if (needsRestart && server.status === ServerStatus.RUNNING) {
-          await this.stopServer(connectionConfig.serverId);
-          await this.startServer(connectionConfig.serverId);
-        }
-      }
-      
-      // Check if server is running, start if not
-      if (server.status !== ServerStatus.RUNNING) {
-        await this.startServer(connectionConfig.serverId);
-      }
-      
-      logger.info(`Connecting to server: ${server.config.name} (${connectionConfig.serverId})`);
-      
-      // Update connection status
-      this.connectionManager.updateConnectionStatus(id, ConnectionStatus.CONNECTING);
-      
-      // Create client and server adapters based on transport types
-      const clientTransport = connectionConfig.transport;
-      const serverTransport = server.config.transport;
-      
-      // Create bridge handler based on transport types
-      let bridgeHandler: BridgeHandler;
-      
-      if (clientTransport === "stdio" && serverTransport === "sse") {
-        // Stdio client to SSE server
-        if (!options?.endpoint || !options?.res) {
-          throw new ConnectionError(
-            ErrorCode.INVALID_CONFIGURATION,
-            "Endpoint and response object are required for SSE server",
-            id
-          );
-        }
-        
-        const serverAdapter = createServerAdapter("sse", {
-          config: server.config,
-          endpoint: options.endpoint,
-          res: options.res
-        });
-        
-        const clientAdapter = createClientAdapter("stdio", {
-          serverProcess: server.process
-        });
-        
-        bridgeHandler = createStdioToSSEHandler(clientAdapter, serverAdapter);
-      } else if (clientTransport === "sse" && serverTransport === "stdio") {
-        // SSE client to Stdio server
-        if (!server.process) {
-          throw new ServerError(
-            ErrorCode.SERVER_NOT_FOUND,
-            `Server ${connectionConfig.serverId} process not found`,
-            connectionConfig.serverId
-          );
-        }
-        
-        const serverAdapter = createServerAdapter("stdio", {
-          config: server.config
-        });
-        
-        const clientAdapter = createClientAdapter("sse", {
-          url: new URL(options?.endpoint || "/", "http://localhost")
-        });
-        
-        bridgeHandler = createSSEToStdioHandler(clientAdapter, serverAdapter);
-      } else if (clientTransport === "memory" && serverTransport === "memory") {
-        // Memory client to Memory server
-        // Create a pair of linked in-memory transports
-        const [clientMemory, serverMemory] = createLinkedInMemoryTransports();
-        
-        const clientAdapter = createClientAdapter("memory", {
-          otherTransport: clientMemory
-        });
-        
-        const serverAdapter = createServerAdapter("memory", {
-          config: server.config,
-          otherTransport: serverMemory
-        });
-        
-        bridgeHandler = createMemoryToMemoryHandler(clientAdapter, serverAdapter);
-      } else if (clientTransport === serverTransport) {
-        // Direct connection (same transport type)
-        throw new ConnectionError(
-          ErrorCode.INVALID_CONFIGURATION,
-          `Direct connection with same transport type (${clientTransport}) is not supported by the bridge`,
-          id
-        );
-      } else {
-        throw new ConnectionError(
-          ErrorCode.INVALID_CONFIGURATION,
-          `Unsupported transport combination: ${clientTransport} to ${serverTransport}`,
-          id
-        );
+        
+        // If server is running and needs restart, handle it
+        if (needsRestart) {
+          await this.hotSwapServer(connectionConfig.serverId);
+        }
+      }
+      
+      // Check if server is running, start if not
+      if (server.status !== ServerStatus.RUNNING) {
+        await this.startServer(connectionConfig.serverId);
+      }
+      
+      logger.info(`Connecting to server: ${server.config.name} (${connectionConfig.serverId})`);
+      
+      // Update connection status
+      this.connectionManager.updateConnectionStatus(id, ConnectionStatus.CONNECTING);
+      
+      // Create the adapter that accepts the client and the adapter that reaches the server
+      const clientTransport = connectionConfig.transport;
+      const serverTransport = server.config.transport;
+      const clientAdapter = this.createClientSideAdapter(id, connectionConfig, server, options);
+      const serverAdapter = this.createServerSideAdapter(server);
+      
+      this.connectionManager.updateConnectionTransport(id, clientAdapter);
+      
+      // Join the two with a pipe, whatever the transports on either side
+      const bridgeHandler = createPipeHandler(
+        clientAdapter,
+        serverAdapter,
+        `${clientTransport}-to-${serverTransport}`
+      );
+      
+      bridgeHandler.onclose = (side) => this.handleBridgeClosed(id, side);
+      bridgeHandler.setAccessRules(getAccessRules(connectionConfig));
+      bridgeHandler.setRetryIdempotent(server.config.retryIdempotentRequests ?? false);
+      bridgeHandler.setRequestTimeouts({
+        timeout: connectionConfig.timeout,
+        methodTimeouts: connectionConfig.methodTimeouts
+      });
+      
+      // The chains are shared, so middleware added later applies to this connection too.
+      // The inspector goes first, to see what the client sent and what it finally receives
+      bridgeHandler.setMiddlewareContext({ connectionId: id, serverId: connectionConfig.serverId });
+      bridgeHandler
+        .use(this.traffic.asMiddleware())
+        .use(this.middleware.asMiddleware())
+        .use(this.getMiddlewareChain(this.connectionMiddleware, id).asMiddleware())
+        .use(this.getMiddlewareChain(this.serverMiddleware, connectionConfig.serverId).asMiddleware());
+        
+      // Keep the handshake so it can be replayed to a hot-swapped server
+      bridgeHandler.onhandshake = (handshake) => {
+        this.connectionManager.updateConnectionHandshake(id, handshake);
+        this.serverRegistry.updateServerInitializeTime(connectionConfig.serverId, new Date());
+      };
+      
+      // Reconnecting connections keep their client while the server is away
+      if (connectionConfig.reconnect) {
+        bridgeHandler.onserverclosed = () => this.handleServerLost(id);
       }
       
       // Start the bridge
@@ -396,6 +1307,33 @@ export class BridgeManager {
     }
   }
   
+  /**
+   * Replace what a connection's client may see and use
+   * The client is told about each list whose rules changed, so it lists it again
+   */
+  async updateConnectionAccess(id: string, rules: AccessRules): Promise<void> {
+    const connection = this.connectionManager.getConnection(id);
+    const changedLists = getChangedAccessLists(getAccessRules(connection.config), getAccessRules(rules));
+    
+    this.connectionManager.updateConnectionAccessRules(id, rules);
+    
+    const bridge = this.bridges.get(id);
+    
+    if (!bridge) {
+      return;
+    }
+    
+    bridge.setAccessRules(getAccessRules(rules));
+    
+    logger.info(`Updated access rules of connection ${id}: ${changedLists.join(", ") || "no lists"} changed`);
+    
+    for (const list of changedLists) {
+      await bridge.notifyClient({ jsonrpc: "2.0", method: `notifications/${list}/list_changed` }).catch((error) => {
+        logger.warn(`Failed to notify connection ${id} of changed ${list}`, error);
+      });
+    }
+  }
+  
   /**
    * Disconnect a connection
    */
@@ -415,6 +1353,9 @@ export class BridgeManager {
     logger.info(`Disconnecting connection: ${connection.config.name || id} (${id})`);
     
     try {
+      this.cancelReconnect(id);
+      this.connectionManager.updateNextReconnectTime(id, undefined);
+      
       // Update connection status
       this.connectionManager.updateConnectionStatus(id, ConnectionStatus.DISCONNECTING);
       
@@ -426,6 +1367,8 @@ export class BridgeManager {
         this.bridges.delete(id);
       }
       
+      await this.stopRecording(id);
+      
       // Update connection status
       this.connectionManager.updateConnectionStatus(id, ConnectionStatus.DISCONNECTED);
       
@@ -448,6 +1391,178 @@ export class BridgeManager {
     }
   }
   
+  /**
+   * Start reconnecting a connection whose server went away
+   */
+  private handleServerLost(id: string): void {
+    try {
+      const connection = this.connectionManager.getConnection(id);
+      
+      logger.warn(`Server of connection ${connection.config.name || id} (${id}) went away, reconnecting`);
+      
+      this.connectionManager.updateConnectionStatus(id, ConnectionStatus.RECONNECTING);
+      
+      // Losing a remote server may mean it is no longer reachable
+      this.updateRemoteServerReachability(connection.config.serverId).catch((error) => {
+        logger.error(`Failed to check server reachability: ${connection.config.serverId}`, error);
+      });
+    } catch (error) {
+      // The connection may already have been removed
+      logger.debug(`Held bridge has no connection: ${id}`);
+      return;
+    }
+    
+    this.scheduleReconnect(id);
+  }
+  
+  /**
+   * Schedule the next reconnection attempt, or give up once they run out
+   */
+  private scheduleReconnect(id: string): void {
+    if (!this.connectionManager.shouldReconnect(id)) {
+      this.stopReconnecting(id).catch((error) => {
+        logger.error(`Failed to disconnect connection: ${id}`, error);
+      });
+      return;
+    }
+    
+    const attempt = this.connectionManager.incrementReconnectCount(id);
+    const delay = this.connectionManager.getReconnectDelay(id);
+    
+    this.connectionManager.updateNextReconnectTime(id, new Date(Date.now() + delay));
+    
+    logger.info(`Reconnecting connection ${id} in ${delay}ms (attempt ${attempt})`);
+    
+    this.reconnectTimers.set(id, setTimeout(() => {
+      this.reconnectTimers.delete(id);
+      
+      this.reconnect(id).catch((error) => {
+        logger.error(`Failed to reconnect connection: ${id}`, error);
+      });
+    }, delay));
+  }
+  
+  /**
+   * Attach a connection held for reconnection to its server again
+   */
+  private async reconnect(id: string): Promise<void> {
+    const bridge = this.bridges.get(id);
+    const connection = this.connectionManager.getConnection(id);
+    
+    if (!bridge || connection.status !== ConnectionStatus.RECONNECTING) {
+      return;
+    }
+    
+    this.connectionManager.updateNextReconnectTime(id, undefined);
+    
+    let serverAdapter: TransportAdapter | undefined;
+    
+    try {
+      const server = this.serverRegistry.getServer(connection.config.serverId);
+      
+      // A server restarting on its own is given until the next attempt
+      if (server.status === ServerStatus.STARTING) {
+        throw new Error(`Server ${server.id} is still starting`);
+      }
+      
+      // Only starting a crash-looping server by hand brings it back
+      if (server.status === ServerStatus.CRASH_LOOP) {
+        throw new Error(`Server ${server.id} is crash looping`);
+      }
+      
+      if (server.status !== ServerStatus.RUNNING) {
+        await this.startServer(server.id);
+      }
+      
+      serverAdapter = this.createServerSideAdapter(server);
+      await bridge.resume(serverAdapter, connection.handshake);
+    } catch (error) {
+      logger.warn(`Failed to reconnect connection ${id} (attempt ${connection.reconnectCount})`, error);
+      
+      if (serverAdapter) {
+        serverAdapter.setCloseHandler(() => {});
+        await serverAdapter.stop().catch(() => {});
+      }
+      
+      // The connection may have been disconnected in the meantime
+      if (this.bridges.get(id) === bridge) {
+        this.connectionManager.updateConnectionStatus(id, ConnectionStatus.RECONNECTING, error as Error);
+        this.scheduleReconnect(id);
+      }
+      
+      return;
+    }
+    
+    this.connectionManager.updateConnectionStatus(id, ConnectionStatus.CONNECTED);
+    this.connectionManager.resetReconnectCount(id);
+    
+    logger.info(`Reconnected connection: ${connection.config.name || id} (${id})`);
+  }
+  
+  /**
+   * Disconnect a connection that ran out of reconnection attempts
+   */
+  private async stopReconnecting(id: string): Promise<void> {
+    const connection = this.connectionManager.getConnection(id);
+    const error = new ConnectionError(
+      ErrorCode.CONNECTION_FAILED,
+      `Gave up reconnecting after ${connection.reconnectCount} attempt(s)`,
+      id,
+      connection.error
+    );
+    
+    logger.error(`Gave up reconnecting connection: ${connection.config.name || id} (${id})`);
+    
+    await this.disconnectConnection(id);
+    
+    // Keep the reason on the connection so the failure is visible through the API
+    this.connectionManager.updateConnectionStatus(id, ConnectionStatus.ERROR, error);
+  }
+  
+  /**
+   * Cancel a pending reconnection attempt
+   */
+  private cancelReconnect(id: string): void {
+    clearTimeout(this.reconnectTimers.get(id));
+    this.reconnectTimers.delete(id);
+  }
+  
+  /**
+   * Handle a bridge that closed because its client or server went away
+   */
+  private handleBridgeClosed(id: string, side: "client" | "server"): void {
+    if (!this.bridges.has(id)) {
+      return;
+    }
+    
+    this.bridges.delete(id);
+    this.cancelReconnect(id);
+    
+    this.stopRecording(id).catch((error) => {
+      logger.error(`Failed to stop recording connection: ${id}`, error);
+    });
+    
+    try {
+      const connection = this.connectionManager.getConnection(id);
+      
+      logger.info(`Connection closed: ${connection.config.name || id} (${id})`);
+      
+      this.connectionManager.updateConnectionStatus(id, ConnectionStatus.DISCONNECTED);
+      this.connectionManager.updateNextReconnectTime(id, undefined);
+      this.connectionManager.updateConnectionTransport(id, undefined);
+      
+      // Losing a remote server may mean it is no longer reachable
+      if (side === "server") {
+        this.updateRemoteServerReachability(connection.config.serverId).catch((error) => {
+          logger.error(`Failed to check server reachability: ${connection.config.serverId}`, error);
+        });
+      }
+    } catch (error) {
+      // The connection may already have been removed
+      logger.debug(`Closed bridge has no connection: ${id}`);
+    }
+  }
+  
   /**
    * Handle an SSE POST message
    */
@@ -457,21 +1572,261 @@ export class BridgeManager {
     res: ServerResponse,
     parsedBody?: unknown
   ): Promise<void> {
-    const bridge = this.bridges.get(connectionId);
+    const connection = this.connectionManager.getConnection(connectionId);
     
-    if (!bridge) {
+    if (!(connection.transport instanceof SSEServerAdapter)) {
+      throw new ConnectionError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Connection ${connectionId} does not use the SSE transport`,
+        connectionId
+      );
+    }
+    
+    // The SSE transport validates the message, dispatches it to the bridge and answers the POST
+    await handleSSEPostMessage(connection.transport, req, res, parsedBody);
+  }
+  
+  /**
+   * Handle a streamable HTTP request for a connection
+   */
+  async handleStreamableHTTPRequest(
+    connectionId: string,
+    req: IncomingMessage,
+    res: ServerResponse,
+    parsedBody?: unknown
+  ): Promise<void> {
+    const connection = this.connectionManager.getConnection(connectionId);
+    
+    if (!(connection.transport instanceof StreamableHTTPServerAdapter)) {
       throw new ConnectionError(
-        ErrorCode.CONNECTION_NOT_FOUND,
-        `Bridge for connection ${connectionId} not found`,
+        ErrorCode.INVALID_CONFIGURATION,
+        `Connection ${connectionId} does not use the streamable HTTP transport`,
         connectionId
       );
     }
     
-    // Forward the message to the bridge
-    await bridge.handleClientMessage(parsedBody as any);
+    await handleStreamableHTTPRequest(connection.transport, req, res, parsedBody);
+  }
+  
+  /**
+   * Create the adapter that accepts a client's connection
+   */
+  private createClientSideAdapter(
+    connectionId: string,
+    connectionConfig: ConnectionConfig,
+    server: ServerInstance,
+    options?: {
+      endpoint?: string;
+      res?: ServerResponse;
+      socket?: WebSocket;
+      memoryTransport?: InMemoryTransport;
+    }
+  ): TransportAdapter {
+    const transport = connectionConfig.transport;
+    
+    switch (transport) {
+      case "stdio":
+        // The client launched the bridge itself and talks to it over its stdio
+        return createServerAdapter("stdio", {
+          config: server.config,
+          processStdio: true
+        });
+        
+      case "sse":
+        if (!options?.endpoint || !options?.res) {
+          throw new ConnectionError(
+            ErrorCode.INVALID_CONFIGURATION,
+            "Endpoint and response object are required for SSE client",
+            connectionId
+          );
+        }
+        
+        return createServerAdapter("sse", {
+          config: server.config,
+          endpoint: options.endpoint,
+          res: options.res
+        });
+        
+      case "streamable-http":
+        // The connection ID doubles as the session ID, so requests can be routed back to it
+        return createServerAdapter("streamable-http", {
+          config: server.config,
+          sessionId: connectionId
+        });
+        
+      case "websocket":
+        if (!options?.socket) {
+          throw new ConnectionError(
+            ErrorCode.INVALID_CONFIGURATION,
+            "Socket is required for WebSocket client",
+            connectionId
+          );
+        }
+        
+        return createServerAdapter("websocket", {
+          config: server.config,
+          socket: options.socket,
+          sessionId: connectionId
+        });
+        
+      case "memory":
+        if (!options?.memoryTransport) {
+          throw new ConnectionError(
+            ErrorCode.INVALID_CONFIGURATION,
+            "In-memory transport is required for memory client",
+            connectionId
+          );
+        }
+        
+        return createServerAdapter("memory", {
+          config: server.config,
+          otherTransport: options.memoryTransport,
+          sessionId: connectionId
+        });
+        
+      default:
+        // Transports added at runtime with registerTransport
+        if (isTransportRegistered(transport)) {
+          return createServerAdapter(transport, {
+            config: server.config,
+            sessionId: connectionId,
+            transportOptions: connectionConfig.transportOptions
+          });
+        }
+        
+        throw new ConnectionError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Client transport ${transport} cannot accept bridged connections`,
+          connectionId
+        );
+    }
+  }
+  
+  /**
+   * Create the adapter that talks to a running server
+   */
+  private createServerSideAdapter(server: ServerInstance): TransportAdapter {
+    // Virtual servers answer in-process, over a linked in-memory pair
+    if (server.config.backends) {
+      const [bridgeEnd, virtualEnd] = InMemoryTransport.createLinkedPair();
+      
+      createVirtualServerSession(virtualEnd, {
+        config: server.config,
+        createBackendAdapter: (id) => this.createServerSideAdapter(this.serverRegistry.getServer(id)),
+        getBackendName: (id) => this.serverRegistry.getServer(id).config.name
+      });
+      
+      return createClientAdapter("memory", { otherTransport: bridgeEnd });
+    }
+    
+    // Mock servers answer from their recording, loaded when they started
+    if (server.config.mock) {
+      const recording = this.mockRecordings.get(server.id);
+      
+      if (!recording) {
+        throw new ServerError(
+          ErrorCode.SERVER_NOT_FOUND,
+          `Server ${server.id} recording not loaded`,
+          server.id
+        );
+      }
+      
+      const [bridgeEnd, mockEnd] = InMemoryTransport.createLinkedPair();
+      
+      createMockServerSession(mockEnd, { config: server.config, recording });
+      
+      return createClientAdapter("memory", { otherTransport: bridgeEnd });
+    }
+    
+    switch (server.config.transport) {
+      case "stdio":
+        if (!server.process) {
+          throw new ServerError(
+            ErrorCode.SERVER_NOT_FOUND,
+            `Server ${server.id} process not found`,
+            server.id
+          );
+        }
+        
+        return createClientAdapter("stdio", {
+          serverProcess: server.process
+        });
+        
+      case "sse":
+        return createClientAdapter("sse", {
+          url: this.getSSEServerUrl(server),
+          headers: server.config.headers
+        });
+        
+      case "streamable-http":
+        return createClientAdapter("streamable-http", {
+          url: this.getServerUrl(server, "http"),
+          headers: server.config.headers
+        });
+        
+      case "websocket":
+        return createClientAdapter("websocket", {
+          url: this.getServerUrl(server, "ws"),
+          headers: server.config.headers
+        });
+        
+      default:
+        // Transports added at runtime with registerTransport
+        if (server.config.transport !== "memory" && isTransportRegistered(server.config.transport)) {
+          return createClientAdapter(server.config.transport, {
+            config: server.config,
+            transportOptions: server.config.transportOptions
+          });
+        }
+        
+        throw new ServerError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Server transport ${server.config.transport} cannot be reached by the bridge`,
+          server.id
+        );
+    }
+  }
+  
+  /**
+   * Get the URL of a server that listens on HTTP
+   */
+  private getServerUrl(server: ServerInstance, protocol: "http" | "ws"): URL {
+    if (server.config.url) {
+      return new URL(server.config.url);
+    }
+    
+    const { port, host, path } = server.config.httpOptions ?? {};
+    
+    if (!port) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Server ${server.id} has no HTTP port configured`,
+        server.id
+      );
+    }
+    
+    return new URL(path ?? "/mcp", `${protocol}://${host ?? "localhost"}:${port}`);
+  }
+  
+  /**
+   * Get the URL of the SSE endpoint of a server
+   */
+  private getSSEServerUrl(server: ServerInstance): URL {
+    if (server.config.url) {
+      return new URL(server.config.url);
+    }
+    
+    const { port, host } = server.config.sseOptions ?? {};
+    
+    if (!port) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Server ${server.id} has no SSE port configured`,
+        server.id
+      );
+    }
     
-    // Send a success response
-    res.writeHead(202).end("Accepted");
+    return new URL("/sse", `http://${host ?? "localhost"}:${port}`);
   }
 }
 
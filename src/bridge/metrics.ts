@@ -0,0 +1,170 @@
+/**
+ * Metrics of what the bridge is doing, for GET /metrics
+ */
+import { createMetricsRegistry } from "../utils/metrics.js";
+import { getProcessUsage } from "../utils/process.js";
+import { ConnectionStatus } from "./types.js";
+import { ServerRegistry } from "./registry.js";
+import { ConnectionManager } from "./connection.js";
+
+/**
+ * Registry holding every bridge metric
+ */
+export const metricsRegistry = createMetricsRegistry();
+
+/**
+ * Methods defined by MCP, the only ones metrics are labelled with
+ * Others are counted as "other", so clients and servers making up method
+ * names cannot create any number of series
+ */
+const KNOWN_METHODS = new Set([
+  "initialize",
+  "ping",
+  "tools/list",
+  "tools/call",
+  "resources/list",
+  "resources/templates/list",
+  "resources/read",
+  "resources/subscribe",
+  "resources/unsubscribe",
+  "prompts/list",
+  "prompts/get",
+  "logging/setLevel",
+  "completion/complete",
+  "sampling/createMessage",
+  "elicitation/create",
+  "roots/list",
+  "notifications/initialized",
+  "notifications/cancelled",
+  "notifications/progress",
+  "notifications/message",
+  "notifications/resources/updated",
+  "notifications/resources/list_changed",
+  "notifications/tools/list_changed",
+  "notifications/prompts/list_changed",
+  "notifications/roots/list_changed"
+]);
+
+/**
+ * CPU time each server's process had used at the last scrape
+ */
+const lastCpuUsage = new Map<string, { pid: number; cpuSeconds: number }>();
+
+/**
+ * Messages passed between clients and servers
+ * Responses are counted under the method of the request they answer
+ */
+export const messagesForwarded = metricsRegistry.counter({
+  name: "mcp_bridge_messages_forwarded_total",
+  help: "JSON-RPC messages forwarded between clients and servers",
+  labelNames: ["direction", "method", "server"] as const
+});
+
+/**
+ * Time from forwarding a request to the server until its response arrives
+ */
+export const requestDuration = metricsRegistry.histogram({
+  name: "mcp_bridge_request_duration_seconds",
+  help: "Time servers took to answer requests forwarded by the bridge",
+  labelNames: ["method", "server"] as const
+});
+
+/**
+ * Error responses sent to clients, whether from the server or the bridge
+ */
+export const errorResponses = metricsRegistry.counter({
+  name: "mcp_bridge_error_responses_total",
+  help: "JSON-RPC error responses sent to clients",
+  labelNames: ["code", "server"] as const
+});
+
+/**
+ * Servers restarted by the bridge on its own
+ */
+export const serverRestarts = metricsRegistry.counter({
+  name: "mcp_bridge_server_restarts_total",
+  help: "Servers restarted by the bridge after crashing or turning unhealthy",
+  labelNames: ["server", "reason"] as const
+});
+
+/**
+ * Connections by status, updated when scraped
+ */
+export const connectionsByStatus = metricsRegistry.gauge({
+  name: "mcp_bridge_connections",
+  help: "Connections by status",
+  labelNames: ["status"] as const
+});
+
+/**
+ * Resident memory of server processes, updated when scraped
+ */
+export const serverProcessMemory = metricsRegistry.gauge({
+  name: "mcp_bridge_server_process_resident_memory_bytes",
+  help: "Resident memory of server processes",
+  labelNames: ["server"] as const
+});
+
+/**
+ * CPU time used by server processes, updated when scraped
+ * Counts on across restarts, adding each new process's time to the last's
+ */
+export const serverProcessCpu = metricsRegistry.counter({
+  name: "mcp_bridge_server_process_cpu_seconds_total",
+  help: "User and system CPU time used by server processes",
+  labelNames: ["server"] as const
+});
+
+/**
+ * Requests to the bridge's HTTP endpoints
+ */
+export const apiRequests = metricsRegistry.counter({
+  name: "mcp_bridge_http_requests_total",
+  help: "HTTP requests to the bridge by route",
+  labelNames: ["method", "route", "status"] as const
+});
+
+/**
+ * Get the label for a method, which is "other" for methods MCP does not define
+ */
+export function getMethodLabel(method: string): string {
+  return KNOWN_METHODS.has(method) ? method : "other";
+}
+
+/**
+ * Update the metrics describing current state, before they are scraped
+ */
+export async function updateStateMetrics(
+  serverRegistry: ServerRegistry,
+  connectionManager: ConnectionManager
+): Promise<void> {
+  const connections = connectionManager.getAllConnections();
+  
+  for (const status of Object.values(ConnectionStatus)) {
+    connectionsByStatus.set(
+      { status },
+      connections.filter(connection => connection.status === status).length
+    );
+  }
+  
+  // Servers that stopped since the last scrape are left out
+  serverProcessMemory.reset();
+  
+  for (const server of serverRegistry.getAllServers()) {
+    const process = server.process;
+    const running = process?.pid !== undefined && process.exitCode === null && process.signalCode === null;
+    const usage = running ? await getProcessUsage(process.pid!) : undefined;
+    
+    if (usage) {
+      const pid = process!.pid!;
+      const last = lastCpuUsage.get(server.id);
+      
+      // A new process has used nothing yet as far as the counter knows
+      const counted = last && last.pid === pid ? last.cpuSeconds : 0;
+      
+      serverProcessMemory.set({ server: server.id }, usage.rss);
+      serverProcessCpu.inc({ server: server.id }, Math.max(usage.cpuSeconds - counted, 0));
+      lastCpuUsage.set(server.id, { pid, cpuSeconds: usage.cpuSeconds });
+    }
+  }
+}
@@ -0,0 +1,330 @@
+/**
+ * Mock server that answers from a recorded session
+ */
+import { isDeepStrictEqual } from "node:util";
+import {
+  InitializeRequestSchema,
+  InitializeResult,
+  JSONRPCError,
+  JSONRPCMessage,
+  JSONRPCRequest,
+  JSONRPCResponse,
+  LATEST_PROTOCOL_VERSION,
+  ServerCapabilities,
+  SUPPORTED_PROTOCOL_VERSIONS
+} from "@modelcontextprotocol/sdk/types.js";
+import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { createLogger } from "../utils/logging.js";
+import { ErrorCode } from "../utils/errors.js";
+import { matchesAnyGlob } from "../utils/glob.js";
+import { isInitializeRequest, isNotification, isRequest, isResponse } from "../utils/jsonrpc.js";
+import { ServerConfig, TrafficEvent } from "./types.js";
+import { getRecordedExchanges, Recording } from "./recording.js";
+
+const logger = createLogger({ prefix: "MockServer" });
+
+/**
+ * The param naming what a request is about, which must always be equal for
+ * a recorded request to match
+ */
+const SUBJECT_PARAMS: Record<string, string> = {
+  "tools/call": "name",
+  "prompts/get": "name",
+  "resources/read": "uri"
+};
+
+/**
+ * Mock server session options
+ */
+export interface MockServerSessionOptions {
+  config: ServerConfig;        // The mock server's configuration
+  recording: Recording;        // The recording to answer from
+}
+
+/**
+ * A recorded request and response, reduced to what is compared when matching
+ */
+interface RecordedCall {
+  subject?: unknown;           // Tool or prompt name or resource URI
+  values: Record<string, unknown>; // Arguments, or the other params
+  response: TrafficEvent;
+  uses: number;                // Times it has answered in this session
+}
+
+/**
+ * A mock server's session with one client
+ *
+ * Answers initialize with the recorded server's result, and every other
+ * request with the response to a matching recorded request of the same
+ * method. Requests to the same tool, prompt or resource are matched by
+ * their arguments as the mock configuration says; when several recorded
+ * requests match equally well, the one used least often in the session
+ * answers, so repeated requests go through the recorded responses in turn.
+ * Notifications from the client are ignored and the recorded server's
+ * notifications and requests are not sent.
+ */
+export class MockServerSession {
+  private calls = new Map<string, RecordedCall[]>();
+  private closed = false;
+  
+  /**
+   * Constructor
+   */
+  constructor(
+    private readonly transport: Transport,
+    private readonly options: MockServerSessionOptions
+  ) {
+    for (const exchange of getRecordedExchanges(options.recording.events)) {
+      // The recording may have ended before the server answered
+      if (!exchange.response) {
+        continue;
+      }
+      
+      const request = exchange.request.message as JSONRPCRequest;
+      const calls = this.calls.get(request.method) ?? [];
+      
+      calls.push({ ...this.describeRequest(request), response: exchange.response, uses: 0 });
+      this.calls.set(request.method, calls);
+    }
+    
+    // Linked in-memory transports deliver straight to onmessage once it is set
+    transport.onmessage = (message) => {
+      this.handleMessage(message).catch((error) => {
+        logger.error(`Failed to handle message for mock server ${this.name}`, error);
+      });
+    };
+    
+    transport.onclose = () => {
+      this.close();
+    };
+  }
+  
+  /**
+   * Stop answering the client
+   */
+  close(): void {
+    if (!this.closed) {
+      this.closed = true;
+      logger.debug(`Closing mock server session: ${this.name}`);
+    }
+  }
+  
+  /**
+   * Get the name of the mock server
+   */
+  private get name(): string {
+    return this.options.config.name;
+  }
+  
+  /**
+   * Handle a message from the client
+   */
+  private async handleMessage(message: JSONRPCMessage): Promise<void> {
+    if (isNotification(message)) {
+      logger.debug(`Ignoring notification from client (${this.name}): ${message.method}`);
+      return;
+    }
+    
+    if (!isRequest(message)) {
+      return;
+    }
+    
+    let response: JSONRPCResponse | JSONRPCError;
+    
+    try {
+      response = await this.handleRequest(message);
+    } catch (error) {
+      logger.error(`Mock server ${this.name} failed to handle ${message.method}`, error);
+      response = errorResponse(message, ErrorCode.InternalError, (error as Error).message);
+    }
+    
+    if (!this.closed) {
+      await this.transport.send(response);
+    }
+  }
+  
+  /**
+   * Answer a request from the client
+   */
+  private async handleRequest(request: JSONRPCRequest): Promise<JSONRPCResponse | JSONRPCError> {
+    switch (request.method) {
+      case "initialize":
+        return resultResponse(request, this.initialize(request));
+        
+      case "ping":
+        return resultResponse(request, {});
+        
+      default:
+        return this.answerFromRecording(request);
+    }
+  }
+  
+  /**
+   * Answer initialize as the recorded server did, or with the capabilities
+   * its recorded responses show if the handshake was not recorded
+   */
+  private initialize(request: JSONRPCRequest): InitializeResult {
+    const { params } = InitializeRequestSchema.parse(request);
+    const recorded = this.getRecordedInitializeResult();
+    
+    if (recorded) {
+      return recorded;
+    }
+    
+    const methods = [...this.calls.keys()];
+    const capabilities: ServerCapabilities = {};
+    
+    if (methods.some(method => method.startsWith("tools/"))) {
+      capabilities.tools = {};
+    }
+    
+    if (methods.some(method => method.startsWith("resources/"))) {
+      capabilities.resources = {};
+    }
+    
+    if (methods.some(method => method.startsWith("prompts/"))) {
+      capabilities.prompts = {};
+    }
+    
+    if (methods.some(method => method.startsWith("logging/"))) {
+      capabilities.logging = {};
+    }
+    
+    return {
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+        ? params.protocolVersion
+        : LATEST_PROTOCOL_VERSION,
+      capabilities,
+      serverInfo: {
+        name: this.options.config.name,
+        version: this.options.config.version
+      }
+    };
+  }
+  
+  /**
+   * Get the recorded server's initialize result, from the recording's header
+   * or the initialize exchange in it
+   */
+  private getRecordedInitializeResult(): InitializeResult | undefined {
+    const { header, events } = this.options.recording;
+    
+    if (header.handshake?.result) {
+      return header.handshake.result;
+    }
+    
+    const request = events.find(event =>
+      event.direction === "client-to-server" && isInitializeRequest(event.message)
+    )?.message as JSONRPCRequest | undefined;
+    const response = request && events.find(event =>
+      event.direction === "server-to-client" && isResponse(event.message) && event.message.id === request.id
+    )?.message;
+    
+    return response && isResponse(response) ? response.result as InitializeResult : undefined;
+  }
+  
+  /**
+   * Answer a request with the recorded response to a matching request
+   */
+  private async answerFromRecording(request: JSONRPCRequest): Promise<JSONRPCResponse | JSONRPCError> {
+    const calls = this.calls.get(request.method);
+    
+    if (!calls) {
+      return errorResponse(request, ErrorCode.MethodNotFound, `Method not found: ${request.method}`);
+    }
+    
+    const call = this.findCall(request, calls);
+    
+    if (!call) {
+      return errorResponse(request, ErrorCode.InvalidParams, `No recorded ${request.method} request matches`);
+    }
+    
+    call.uses++;
+    
+    if (this.options.config.mock?.replayLatency && call.response.latency) {
+      await new Promise(resolve => setTimeout(resolve, call.response.latency));
+    }
+    
+    const message = call.response.message;
+    
+    return isResponse(message)
+      ? resultResponse(request, message.result)
+      : { jsonrpc: "2.0", id: request.id, error: (message as JSONRPCError).error };
+  }
+  
+  /**
+   * Find the recorded request that best matches a request
+   */
+  private findCall(request: JSONRPCRequest, calls: RecordedCall[]): RecordedCall | undefined {
+    const { subject, values } = this.describeRequest(request);
+    const candidates = calls.filter(call => isDeepStrictEqual(call.subject, subject));
+    const matching = this.options.config.mock?.matching ?? "exact";
+    
+    let best = matching === "name"
+      ? candidates
+      : candidates.filter(call => isDeepStrictEqual(call.values, values));
+      
+    if (best.length === 0 && matching === "fuzzy") {
+      const scores = candidates.map(call => countEqualValues(call.values, values));
+      const top = Math.max(...scores);
+      
+      best = candidates.filter((_, index) => scores[index] === top);
+    }
+    
+    return best.reduce<RecordedCall | undefined>(
+      (least, call) => (!least || call.uses < least.uses ? call : least),
+      undefined
+    );
+  }
+  
+  /**
+   * Get what a request is about and the values compared when matching it,
+   * leaving out ignored arguments
+   */
+  private describeRequest(request: JSONRPCRequest): Pick<RecordedCall, "subject" | "values"> {
+    const params: Record<string, unknown> = request.params ?? {};
+    const key = SUBJECT_PARAMS[request.method];
+    const ignored = this.options.config.mock?.ignoreArguments ?? [];
+    
+    // Tools and prompts are matched by their arguments, other requests by their other params
+    const values = key === "name"
+      ? (params.arguments ?? {}) as Record<string, unknown>
+      : Object.fromEntries(Object.entries(params).filter(([name]) => name !== key && name !== "_meta"));
+      
+    return {
+      subject: key ? params[key] : undefined,
+      values: Object.fromEntries(Object.entries(values).filter(([name]) => !matchesAnyGlob(name, ignored)))
+    };
+  }
+}
+
+/**
+ * Count the values two sets of arguments have in common
+ */
+function countEqualValues(recorded: Record<string, unknown>, actual: Record<string, unknown>): number {
+  return Object.keys(actual).filter(name => isDeepStrictEqual(recorded[name], actual[name])).length;
+}
+
+/**
+ * Create a successful response to a request
+ */
+function resultResponse(request: JSONRPCRequest, result: Record<string, unknown>): JSONRPCResponse {
+  return { jsonrpc: "2.0", id: request.id, result };
+}
+
+/**
+ * Create an error response to a request
+ */
+function errorResponse(request: JSONRPCRequest, code: number, message: string): JSONRPCError {
+  return { jsonrpc: "2.0", id: request.id, error: { code, message } };
+}
+
+/**
+ * Create a mock server session over the mock server's end of a transport
+ */
+export function createMockServerSession(
+  transport: Transport,
+  options: MockServerSessionOptions
+): MockServerSession {
+  return new MockServerSession(transport, options);
+}
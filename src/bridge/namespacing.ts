@@ -0,0 +1,242 @@
+/**
+ * Namespacing of the names a virtual server's backends offer
+ */
+import { BackendAliases, NamespacingConfig } from "./types.js";
+
+/**
+ * Default separator between a backend prefix and a tool or prompt name
+ */
+const DEFAULT_SEPARATOR = "__";
+
+/**
+ * Pattern of the scheme at the start of a URI or URI template
+ */
+const URI_SCHEME = /^([a-zA-Z][a-zA-Z0-9+.-]*):/;
+
+/**
+ * Kinds of names a backend can alias
+ */
+export const ALIAS_KINDS = ["tools", "prompts", "schemes"] as const;
+
+/**
+ * How one backend's names are exposed
+ */
+export interface BackendNaming {
+  id: string;                  // Server ID of the backend
+  name: string;                // Server name of the backend, used as its prefix
+}
+
+/**
+ * Where an exposed name leads
+ */
+export interface NameRoute {
+  backend: string;             // Server ID of the backend offering it
+  original: string;            // The backend's own name or URI for it
+}
+
+/**
+ * Items merged from several backends
+ */
+export interface MergedItems<T> {
+  items: T[];                  // Items as exposed to the client
+  routes: Map<string, NameRoute>; // Exposed name or URI to the backend offering it
+  conflicts: string[];         // Exposed names or URIs offered by more than one backend
+}
+
+/**
+ * How items of one kind are named
+ */
+export interface ItemNaming<T> {
+  key(item: T): string;        // The item's name or URI
+  withKey(item: T, key: string): T; // The item under another name or URI
+  expose(key: string, backend: BackendNaming, prefixed: boolean): string; // Apply aliases and prefixes
+}
+
+/**
+ * Merge the items of several backends into one list, applying aliases and
+ * prefixes and then the collision policy
+ * Names that still clash go to the first backend and are reported as
+ * conflicts, so that under the error policy the caller can refuse them
+ */
+export function mergeBackendItems<T>(
+  lists: { backend: BackendNaming; items: T[] }[],
+  naming: ItemNaming<T>,
+  config?: NamespacingConfig
+): MergedItems<T> {
+  const exposedLists = lists.map(({ backend, items }) => ({
+    backend,
+    items: items.map(item => ({ item, original: naming.key(item), exposed: naming.expose(naming.key(item), backend, false) }))
+  }));
+  
+  const offeredBy = new Map<string, Set<string>>();
+  
+  for (const { backend, items } of exposedLists) {
+    for (const { exposed } of items) {
+      offeredBy.set(exposed, (offeredBy.get(exposed) ?? new Set()).add(backend.id));
+    }
+  }
+  
+  // Every backend offering a conflicting name gets its prefix, not just the later ones
+  if (config?.collisions === "prefix-on-conflict") {
+    for (const { backend, items } of exposedLists) {
+      for (const entry of items) {
+        if (offeredBy.get(entry.exposed)!.size > 1) {
+          entry.exposed = naming.expose(entry.original, backend, true);
+        }
+      }
+    }
+  }
+  
+  const items: T[] = [];
+  const routes = new Map<string, NameRoute>();
+  const conflicts = new Set<string>();
+  
+  for (const { backend, items: backendItems } of exposedLists) {
+    for (const { item, original, exposed } of backendItems) {
+      const route = routes.get(exposed);
+      
+      // First wins, including between backends whose prefixes are the same
+      if (route) {
+        if (route.backend !== backend.id) {
+          conflicts.add(exposed);
+        }
+        
+        continue;
+      }
+      
+      routes.set(exposed, { backend: backend.id, original });
+      items.push(exposed === original ? item : naming.withKey(item, exposed));
+    }
+  }
+  
+  return { items, routes, conflicts: [...conflicts] };
+}
+
+/**
+ * Find aliases given to more than one name of the same kind, across all backends
+ * Returns a message for each
+ */
+export function findDuplicateAliases(aliases: Record<string, BackendAliases>): string[] {
+  const duplicates: string[] = [];
+  
+  for (const kind of ALIAS_KINDS) {
+    const seen = new Set<string>();
+    
+    for (const backendAliases of Object.values(aliases)) {
+      for (const alias of Object.values(backendAliases[kind] ?? {})) {
+        if (seen.has(alias)) {
+          duplicates.push(`More than one ${kind} entry is aliased to ${alias}`);
+        }
+        
+        seen.add(alias);
+      }
+    }
+  }
+  
+  return duplicates;
+}
+
+/**
+ * Expose a tool or prompt name of a backend
+ */
+export function exposeName(
+  name: string,
+  kind: "tools" | "prompts",
+  backend: BackendNaming,
+  prefixed: boolean,
+  config?: NamespacingConfig
+): string {
+  const alias = config?.aliases?.[backend.id]?.[kind]?.[name];
+  
+  if (alias) {
+    return alias;
+  }
+  
+  if (config?.prefix || prefixed) {
+    return `${namePrefix(backend)}${config?.separator ?? DEFAULT_SEPARATOR}${name}`;
+  }
+  
+  return name;
+}
+
+/**
+ * Expose a resource URI or URI template of a backend by renaming its scheme
+ */
+export function exposeUri(
+  uri: string,
+  backend: BackendNaming,
+  prefixed: boolean,
+  config?: NamespacingConfig
+): string {
+  const scheme = URI_SCHEME.exec(uri)?.[1];
+  
+  if (!scheme) {
+    return uri;
+  }
+  
+  const alias = config?.aliases?.[backend.id]?.schemes?.[scheme];
+  
+  if (alias) {
+    return alias + uri.slice(scheme.length);
+  }
+  
+  if (config?.prefix || prefixed) {
+    return `${schemePrefix(backend)}+${uri}`;
+  }
+  
+  return uri;
+}
+
+/**
+ * Find the backends a URI that was not listed could belong to, from its scheme
+ * Returns the backends whose aliases or prefixes produce the scheme, each with
+ * the URI as that backend knows it, or every backend if none do
+ */
+export function resolveUri(
+  uri: string,
+  backends: BackendNaming[],
+  config?: NamespacingConfig
+): NameRoute[] {
+  const scheme = URI_SCHEME.exec(uri)?.[1];
+  
+  if (!scheme) {
+    return backends.map(backend => ({ backend: backend.id, original: uri }));
+  }
+  
+  const rest = uri.slice(scheme.length);
+  const matches: NameRoute[] = [];
+  
+  for (const backend of backends) {
+    const aliases = Object.entries(config?.aliases?.[backend.id]?.schemes ?? {});
+    const aliased = aliases.find(([, alias]) => alias === scheme);
+    const prefix = `${schemePrefix(backend)}+`;
+    
+    if (aliased) {
+      matches.push({ backend: backend.id, original: aliased[0] + rest });
+    } else if (scheme.startsWith(prefix)) {
+      matches.push({ backend: backend.id, original: uri.slice(prefix.length) });
+    }
+  }
+  
+  if (matches.length > 0) {
+    return matches;
+  }
+  
+  // With every backend prefixed, an unprefixed scheme belongs to none of them
+  return config?.prefix ? [] : backends.map(backend => ({ backend: backend.id, original: uri }));
+}
+
+/**
+ * Get the prefix of a backend's tool and prompt names
+ */
+function namePrefix(backend: BackendNaming): string {
+  return backend.name.replace(/[^a-zA-Z0-9_-]+/g, "_");
+}
+
+/**
+ * Get the prefix of a backend's URI schemes, which allow fewer characters
+ */
+function schemePrefix(backend: BackendNaming): string {
+  const prefix = backend.name.toLowerCase().replace(/[^a-z0-9.-]+/g, "-");
+  return /^[a-z]/.test(prefix) ? prefix : `s${prefix}`;
+}
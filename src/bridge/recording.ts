@@ -0,0 +1,160 @@
+/**
+ * Recording connection traffic to JSONL files
+ */
+import { createWriteStream, WriteStream } from "node:fs";
+import { mkdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { createLogger } from "../utils/logging.js";
+import { BridgeError, ErrorCode } from "../utils/errors.js";
+import { isErrorResponse, isRequest, isResponse } from "../utils/jsonrpc.js";
+import { ConnectionRecording, RecordingHeader, TrafficEvent } from "./types.js";
+
+const logger = createLogger({ prefix: "SessionRecorder" });
+
+/**
+ * A recording read back from its file
+ */
+export interface Recording {
+  header: RecordingHeader;
+  events: TrafficEvent[];
+}
+
+/**
+ * A recorded client request and the response the client got, if recorded
+ */
+export interface RecordedExchange {
+  request: TrafficEvent;
+  response?: TrafficEvent;
+}
+
+/**
+ * Writes a connection's traffic to a JSONL file, a header line first and
+ * then one TrafficEvent per line
+ */
+export class SessionRecorder {
+  private stream: WriteStream;
+  
+  /**
+   * The recording, kept up to date as messages are written
+   */
+  readonly recording: ConnectionRecording;
+  
+  /**
+   * Called if the file cannot be written, after which nothing more is recorded
+   */
+  onerror?: (error: Error) => void;
+  
+  /**
+   * Constructor
+   */
+  constructor(file: string, header: RecordingHeader) {
+    this.recording = { file, startTime: header.startTime, messages: 0 };
+    
+    // Never write over an earlier recording
+    this.stream = createWriteStream(file, { flags: "wx" });
+    this.stream.on("error", (error) => {
+      logger.error(`Failed to write recording: ${file}`, error);
+      this.onerror?.(error);
+    });
+    
+    this.writeLine(header);
+  }
+  
+  /**
+   * Record a message
+   */
+  record(event: TrafficEvent): void {
+    this.recording.messages++;
+    this.writeLine(event);
+  }
+  
+  /**
+   * Finish writing the file
+   */
+  async close(): Promise<void> {
+    if (this.stream.destroyed) {
+      return;
+    }
+    
+    await new Promise<void>(resolve => this.stream.end(resolve));
+  }
+  
+  /**
+   * Write a value as one line of JSON
+   */
+  private writeLine(value: RecordingHeader | TrafficEvent): void {
+    if (!this.stream.destroyed) {
+      this.stream.write(`${JSON.stringify(value)}\n`);
+    }
+  }
+}
+
+/**
+ * Start recording a session to a new file in a directory, creating the directory if needed
+ */
+export async function createSessionRecorder(directory: string, header: RecordingHeader): Promise<SessionRecorder> {
+  await mkdir(directory, { recursive: true });
+  
+  const timestamp = header.startTime.toISOString().replace(/[:.]/g, "-");
+  
+  return new SessionRecorder(path.join(directory, `${header.connectionId}-${timestamp}.jsonl`), header);
+}
+
+/**
+ * Read a recording back from its file
+ */
+export async function readRecording(file: string): Promise<Recording> {
+  const lines = (await readFile(file, "utf8"))
+    .split("\n")
+    .filter(line => line.trim().length > 0);
+    
+  let values: Record<string, unknown>[];
+  
+  try {
+    values = lines.map(line => JSON.parse(line));
+  } catch (error) {
+    throw new BridgeError(ErrorCode.INVALID_CONFIGURATION, `Recording is not valid JSONL: ${file}`, error);
+  }
+  
+  const [header, ...events] = values;
+  
+  if (header?.version !== 1) {
+    throw new BridgeError(ErrorCode.INVALID_CONFIGURATION, `Not a recording, or from an unknown version: ${file}`);
+  }
+  
+  return {
+    header: { ...header, startTime: new Date(header.startTime as string) } as RecordingHeader,
+    events: events.map(event => ({ ...event, time: new Date(event.time as string) }) as TrafficEvent)
+  };
+}
+
+/**
+ * Pair the client's requests in a recording with the responses it got,
+ * leaving out the initialize request
+ */
+export function getRecordedExchanges(events: TrafficEvent[]): RecordedExchange[] {
+  const exchanges: RecordedExchange[] = [];
+  const pending = new Map<string | number, RecordedExchange>();
+  
+  for (const event of events) {
+    const message = event.message;
+    
+    if (event.direction === "client-to-server") {
+      if (isRequest(message) && message.method !== "initialize") {
+        const exchange = { request: event };
+        
+        exchanges.push(exchange);
+        pending.set(message.id, exchange);
+      }
+    } else if (isResponse(message) || isErrorResponse(message)) {
+      const exchange = pending.get(message.id);
+      
+      if (exchange) {
+        exchange.response = event;
+        pending.delete(message.id);
+      }
+    }
+  }
+  
+  return exchanges;
+}
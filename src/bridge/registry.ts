@@ -3,13 +3,36 @@
  */
 import { randomUUID } from "node:crypto";
 import { ChildProcess } from "node:child_process";
+import path from "node:path";
 import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
 import { createLogger } from "../utils/logging.js";
 import { ErrorCode, ServerError } from "../utils/errors.js";
-import { ServerConfig, ServerInstance, ServerStatus } from "./types.js";
+import {
+  HealthProbeResult,
+  ServerChanges,
+  ServerConfig,
+  ServerInstance,
+  ServerStatus
+} from "./types.js";
+import { findDuplicateAliases } from "./namespacing.js";
 
 const logger = createLogger({ prefix: "Registry" });
 
+/**
+ * Default delay before the first automatic restart (ms)
+ */
+const DEFAULT_RESTART_DELAY = 1000;
+
+/**
+ * Default longest delay between automatic restarts (ms)
+ */
+const MAX_RESTART_DELAY = 30000;
+
+/**
+ * Default time a restarted server must stay up to count as recovered (ms)
+ */
+const DEFAULT_STABLE_UPTIME = 10000;
+
 /**
  * Server registry for managing MCP servers
  */
@@ -30,6 +53,56 @@ export class ServerRegistry {
       );
     }
     
+    // Servers are spawned from a command, reached at a URL, made up of other
+    // servers or answer from a recording
+    if ([config.command, config.url, config.backends, config.mock].filter(Boolean).length !== 1) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Server ${config.name} must have exactly one of a command, a URL, backends or a mock recording`,
+        id
+      );
+    }
+    
+    if (config.backends) {
+      this.validateBackends(id, config);
+    } else if (config.namespacing) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Only virtual servers can have namespacing: ${config.name}`,
+        id
+      );
+    }
+    
+    if (config.mock) {
+      this.validateMock(id, config);
+    }
+    
+    // Only servers the bridge runs in its own process can be reached in memory
+    if (config.command && config.transport === "memory") {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Server ${config.name} is run from a command and cannot use the memory transport`,
+        id
+      );
+    }
+    
+    if (config.url && (config.transport === "stdio" || config.transport === "memory")) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Remote server ${config.name} cannot use the ${config.transport} transport`,
+        id
+      );
+    }
+    
+    // A replacement on any other transport would compete for the same port
+    if (config.swapMode === "blue-green" && config.transport !== "stdio") {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Server ${config.name} cannot use blue/green swaps with the ${config.transport} transport`,
+        id
+      );
+    }
+    
     logger.info(`Registering server: ${config.name} (${id})`);
     
     const server: ServerInstance = {
@@ -60,10 +133,105 @@ export class ServerRegistry {
       );
     }
     
+    const dependents = this.getVirtualServersUsing(id);
+    
+    if (dependents.length > 0) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Cannot unregister server ${id} because it is a backend of ${dependents.map(dependent => dependent.id).join(", ")}`,
+        id
+      );
+    }
+    
     logger.info(`Unregistering server: ${server.config.name} (${id})`);
     this.servers.delete(id);
   }
   
+  /**
+   * Get the virtual servers that merge a server
+   */
+  getVirtualServersUsing(id: string): ServerInstance[] {
+    return this.getAllServers().filter(server => server.config.backends?.includes(id));
+  }
+  
+  /**
+   * Check the backends of a virtual server
+   */
+  private validateBackends(id: string, config: ServerConfig): void {
+    const backends = config.backends ?? [];
+    
+    if (backends.length === 0) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Virtual server ${config.name} must have at least one backend`,
+        id
+      );
+    }
+    
+    if (config.transport !== "memory") {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Virtual server ${config.name} must use the memory transport`,
+        id
+      );
+    }
+    
+    for (const backend of backends) {
+      // Backends must already exist, which also rules out cycles
+      if (backend === id || !this.servers.has(backend)) {
+        throw new ServerError(
+          ErrorCode.SERVER_NOT_FOUND,
+          `Backend of virtual server ${config.name} not found: ${backend}`,
+          id
+        );
+      }
+    }
+    
+    for (const backend of Object.keys(config.namespacing?.aliases ?? {})) {
+      if (!backends.includes(backend)) {
+        throw new ServerError(
+          ErrorCode.INVALID_CONFIGURATION,
+          `Aliases of virtual server ${config.name} are for a server that is not a backend: ${backend}`,
+          id
+        );
+      }
+    }
+    
+    const duplicates = findDuplicateAliases(config.namespacing?.aliases ?? {});
+    
+    if (duplicates.length > 0) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Aliases of virtual server ${config.name} clash: ${duplicates.join("; ")}`,
+        id
+      );
+    }
+  }
+  
+  /**
+   * Check the recording a mock server answers from
+   */
+  private validateMock(id: string, config: ServerConfig): void {
+    if (config.transport !== "memory") {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Mock server ${config.name} must use the memory transport`,
+        id
+      );
+    }
+    
+    // Only files directly in the recordings directory can be served
+    const recording = config.mock?.recording ?? "";
+    
+    if (!recording || path.basename(recording) !== recording) {
+      throw new ServerError(
+        ErrorCode.INVALID_CONFIGURATION,
+        `Invalid recording for mock server ${config.name}: ${recording}`,
+        id
+      );
+    }
+  }
+  
   /**
    * Get a server by ID
    */
@@ -96,6 +264,11 @@ export class ServerRegistry {
     
     logger.debug(`Updating server status: ${server.config.name} (${id}) -> ${status}`);
     
+    // A server recovering from failed health probes kept running all along
+    if (status === ServerStatus.RUNNING && server.status !== ServerStatus.UNHEALTHY) {
+      server.startTime = new Date();
+    }
+    
     server.status = status;
     
     if (error) {
@@ -103,10 +276,6 @@ export class ServerRegistry {
     } else if (status !== ServerStatus.ERROR) {
       server.error = undefined;
     }
-    
-    if (status === ServerStatus.RUNNING) {
-      server.startTime = new Date();
-    }
   }
   
   /**
@@ -125,6 +294,50 @@ export class ServerRegistry {
     server.transport = transport;
   }
   
+  /**
+   * Update what changed in a server's last swap
+   */
+  updateServerChanges(id: string, changes?: ServerChanges): void {
+    const server = this.getServer(id);
+    server.changes = changes;
+  }
+  
+  /**
+   * Update when the server last completed an initialize handshake
+   */
+  updateServerInitializeTime(id: string, time?: Date): void {
+    const server = this.getServer(id);
+    server.initializeTime = time;
+  }
+  
+  /**
+   * Check if a server is running and has answered initialize since it started
+   */
+  isServerReady(id: string): boolean {
+    const server = this.getServer(id);
+    return server.status === ServerStatus.RUNNING && server.initializeTime !== undefined;
+  }
+  
+  /**
+   * Record the result of a health probe
+   * Returns the number of probes in a row that failed
+   */
+  recordHealthProbe(id: string, result: HealthProbeResult): number {
+    const server = this.getServer(id);
+    const failures = result.healthy ? 0 : (server.health?.consecutiveFailures ?? 0) + 1;
+    
+    server.health = { lastProbe: result, consecutiveFailures: failures };
+    return failures;
+  }
+  
+  /**
+   * Reset server health, e.g. when the server is started again
+   */
+  resetServerHealth(id: string): void {
+    const server = this.getServer(id);
+    server.health = undefined;
+  }
+  
   /**
    * Increment server restart count
    */
@@ -152,20 +365,38 @@ export class ServerRegistry {
       return false;
     }
     
-    if (server.config.maxRestarts !== undefined && 
-        server.restartCount >= server.config.maxRestarts) {
-      return false;
-    }
-    
-    return true;
+    // Without a limit the server is restarted for as long as it crashes, backing off
+    return server.config.maxRestarts === undefined || server.restartCount < server.config.maxRestarts;
   }
   
   /**
    * Get server restart delay
+   * The delay doubles with each restart in a row, up to the server's ceiling
    */
   getServerRestartDelay(id: string): number {
     const server = this.getServer(id);
-    return server.config.restartDelay ?? 1000;
+    const delay = server.config.restartDelay ?? DEFAULT_RESTART_DELAY;
+    
+    return Math.min(
+      delay * 2 ** Math.max(server.restartCount - 1, 0),
+      Math.max(delay, server.config.maxRestartDelay ?? MAX_RESTART_DELAY)
+    );
+  }
+  
+  /**
+   * Get how long a restarted server must stay up before its restart count resets
+   */
+  getServerStableUptime(id: string): number {
+    const server = this.getServer(id);
+    return server.config.stableUptime ?? DEFAULT_STABLE_UPTIME;
+  }
+  
+  /**
+   * Update when the next automatic restart is due
+   */
+  updateNextRestartTime(id: string, time?: Date): void {
+    const server = this.getServer(id);
+    server.nextRestartTime = time;
   }
   
   /**
@@ -184,7 +415,7 @@ export class ServerRegistry {
     logger.info(`Updated environment variables for server: ${server.config.name} (${id})`);
     
     // If server is running, it needs to be restarted with new environment
-    if (server.status === ServerStatus.RUNNING) {
+    if (server.status === ServerStatus.RUNNING || server.status === ServerStatus.UNHEALTHY) {
       return true; // Indicate that restart is needed
     }
     
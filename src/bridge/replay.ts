@@ -0,0 +1,160 @@
+/**
+ * Replaying recorded sessions against a server
+ */
+import { Implementation, JSONRPCMessage, JSONRPCRequest } from "@modelcontextprotocol/sdk/types.js";
+import { createLogger } from "../utils/logging.js";
+import { matchesAnyGlob } from "../utils/glob.js";
+import { isErrorResponse, isInitializeRequest, isResponse } from "../utils/jsonrpc.js";
+import { ReplayedRequest, ResponseDifference, TransportAdapter } from "./types.js";
+import { getRecordedExchanges, RecordedExchange, Recording } from "./recording.js";
+import { ServerSession, openServerSession } from "./session.js";
+
+const logger = createLogger({ prefix: "Replay" });
+
+/**
+ * Default time allowed for the server to answer each replayed request (ms)
+ */
+const DEFAULT_REPLAY_TIMEOUT = 30000;
+
+/**
+ * Replay options
+ */
+export interface ReplayOptions {
+  timeout?: number;            // Time allowed for each response (ms)
+  ignorePaths?: string[];      // Glob patterns of response paths not to compare, e.g. result._meta*
+}
+
+/**
+ * Send the client's requests in a recording to a server over a session of
+ * its own, one at a time and in order, and compare each response with the
+ * recorded one
+ * The session introduces itself as the recorded client did. Notifications
+ * and the client's answers to server requests are not replayed.
+ */
+export async function replayRecording(
+  adapter: TransportAdapter,
+  recording: Recording,
+  options: ReplayOptions = {}
+): Promise<ReplayedRequest[]> {
+  const initializeEvent = recording.events
+    .find(event => event.direction === "client-to-server" && isInitializeRequest(event.message));
+  const initialize = (recording.header.handshake?.request ?? initializeEvent?.message as JSONRPCRequest | undefined)?.params;
+  
+  const session = await openServerSession(adapter, {
+    timeout: options.timeout ?? DEFAULT_REPLAY_TIMEOUT,
+    protocolVersion: initialize?.protocolVersion as string | undefined,
+    clientInfo: initialize?.clientInfo as Implementation | undefined
+  });
+  
+  try {
+    const results: ReplayedRequest[] = [];
+    
+    // The initialize request is left out, as the session makes its own
+    for (const exchange of getRecordedExchanges(recording.events)) {
+      results.push(await replayExchange(session, exchange, options.ignorePaths ?? []));
+    }
+    
+    return results;
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Count replayed requests by outcome
+ */
+export function summarizeReplay(requests: ReplayedRequest[]): Record<ReplayedRequest["status"], number> {
+  const summary = { match: 0, mismatch: 0, unrecorded: 0, failed: 0 };
+  
+  for (const request of requests) {
+    summary[request.status]++;
+  }
+  
+  return summary;
+}
+
+/**
+ * Replay one request and compare the response with the recorded one
+ */
+async function replayExchange(
+  session: ServerSession,
+  exchange: RecordedExchange,
+  ignorePaths: string[]
+): Promise<ReplayedRequest> {
+  const request = exchange.request.message as JSONRPCRequest;
+  const replayed: ReplayedRequest = {
+    id: request.id,
+    method: request.method,
+    status: "unrecorded",
+    recordedLatency: exchange.response?.latency,
+    differences: []
+  };
+  
+  const started = Date.now();
+  
+  try {
+    const response = await session.call(request.method, request.params);
+    
+    replayed.latency = Date.now() - started;
+    
+    if (exchange.response) {
+      replayed.differences = diffJson(
+        getResponseBody(exchange.response.message),
+        getResponseBody(response),
+        "",
+        ignorePaths
+      );
+      replayed.status = replayed.differences.length > 0 ? "mismatch" : "match";
+    }
+  } catch (error) {
+    logger.debug(`Failed to replay ${request.method} (${request.id})`, error);
+    
+    replayed.status = "failed";
+    replayed.error = (error as Error).message;
+  }
+  
+  return replayed;
+}
+
+/**
+ * Get the part of a response worth comparing, its result or its error
+ */
+function getResponseBody(message: JSONRPCMessage): Record<string, unknown> {
+  if (isResponse(message)) {
+    return { result: message.result };
+  }
+  
+  return isErrorResponse(message) ? { error: message.error } : {};
+}
+
+/**
+ * List where two JSON values differ, skipping paths matching the ignored patterns
+ */
+function diffJson(expected: unknown, actual: unknown, path: string, ignorePaths: string[]): ResponseDifference[] {
+  if (path && matchesAnyGlob(path, ignorePaths)) {
+    return [];
+  }
+  
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    return Array.from({ length: Math.max(expected.length, actual.length) }, (_, index) =>
+      diffJson(expected[index], actual[index], `${path}[${index}]`, ignorePaths)
+    ).flat();
+  }
+  
+  if (isObject(expected) && isObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    
+    return [...keys].flatMap(key =>
+      diffJson(expected[key], actual[key], path ? `${path}.${key}` : key, ignorePaths)
+    );
+  }
+  
+  return expected === actual ? [] : [{ path, expected, actual }];
+}
+
+/**
+ * Check if a value is a JSON object
+ */
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
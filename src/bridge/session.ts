@@ -0,0 +1,241 @@
+/**
+ * Server sessions opened by the bridge itself
+ */
+import { randomUUID } from "node:crypto";
+import {
+  Implementation,
+  InitializeResult,
+  InitializeResultSchema,
+  JSONRPCError,
+  JSONRPCNotification,
+  JSONRPCResponse,
+  LATEST_PROTOCOL_VERSION
+} from "@modelcontextprotocol/sdk/types.js";
+import { createLogger } from "../utils/logging.js";
+import { ErrorCode, ProtocolError } from "../utils/errors.js";
+import { isErrorResponse, isNotification, isResponse } from "../utils/jsonrpc.js";
+import { TransportAdapter } from "./types.js";
+
+const logger = createLogger({ prefix: "ServerSession" });
+
+/**
+ * Server session options
+ */
+export interface ServerSessionOptions {
+  timeout: number;             // Time allowed for each response (ms)
+  protocolVersion?: string;    // Protocol version to request (default: latest)
+  clientInfo?: Implementation; // Client the bridge introduces itself as
+  initialize?: boolean;        // Complete the initialize handshake on open (default: true)
+}
+
+/**
+ * A short-lived MCP session the bridge opens to a server on its own behalf,
+ * e.g. to check that it answers or to see what it offers
+ */
+export class ServerSession {
+  private pending = new Map<string, {
+    resolve: (message: JSONRPCResponse | JSONRPCError) => void;
+    reject: (error: Error) => void;
+  }>();
+  private initializeResult?: InitializeResult;
+  private closed = false;
+  
+  /**
+   * Called with each notification the server sends
+   */
+  onnotification?: (notification: JSONRPCNotification) => void;
+  
+  /**
+   * Called when the server goes away before the session is closed
+   */
+  onclose?: () => void;
+  
+  /**
+   * Constructor
+   */
+  constructor(
+    private readonly adapter: TransportAdapter,
+    private readonly options: ServerSessionOptions
+  ) {
+    adapter.setMessageHandler(async (message) => {
+      if (isNotification(message)) {
+        this.onnotification?.(message);
+        return;
+      }
+      
+      if (!isResponse(message) && !isErrorResponse(message)) {
+        return;
+      }
+      
+      const pending = this.pending.get(String(message.id));
+      
+      if (pending) {
+        this.pending.delete(String(message.id));
+        pending.resolve(message);
+      }
+    });
+    
+    adapter.setErrorHandler((error) => this.rejectAll(error));
+    adapter.setCloseHandler(() => {
+      this.closed = true;
+      this.rejectAll(new Error("Connection closed before the server responded"));
+      this.onclose?.();
+    });
+  }
+  
+  /**
+   * Connect and complete the initialize handshake, unless disabled
+   * Without the handshake only ping may be sent, or requests within a
+   * session someone else initialized, such as a shared stdio process
+   */
+  async open(): Promise<InitializeResult | undefined> {
+    await this.adapter.start();
+    
+    if (this.options.initialize === false) {
+      return undefined;
+    }
+    
+    const result = InitializeResultSchema.parse(await this.request("initialize", {
+      protocolVersion: this.options.protocolVersion ?? LATEST_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: this.options.clientInfo ?? { name: "mcp-transport-bridge", version: "0.1.0" }
+    }));
+    
+    await this.adapter.send({ jsonrpc: "2.0", method: "notifications/initialized" });
+    
+    this.initializeResult = result;
+    return result;
+  }
+  
+  /**
+   * Get the server's answer to initialize
+   */
+  getInitializeResult(): InitializeResult | undefined {
+    return this.initializeResult;
+  }
+  
+  /**
+   * Check if the server went away or the session was closed
+   */
+  isClosed(): boolean {
+    return this.closed;
+  }
+  
+  /**
+   * Send a request and wait for its result
+   */
+  async request(method: string, params?: Record<string, unknown>): Promise<Record<string, unknown>> {
+    const message = await this.call(method, params);
+    
+    if (isErrorResponse(message)) {
+      throw new ProtocolError(
+        ErrorCode.PROTOCOL_ERROR,
+        `Server rejected ${method}: ${message.error.message}`
+      );
+    }
+    
+    return message.result;
+  }
+  
+  /**
+   * Send a request and wait for the response, whether a result or an error
+   * Aborting the signal cancels the request with the server and rejects
+   */
+  async call(
+    method: string,
+    params?: Record<string, unknown>,
+    options?: { signal?: AbortSignal }
+  ): Promise<JSONRPCResponse | JSONRPCError> {
+    const id = `bridge-${randomUUID()}`;
+    const signal = options?.signal;
+    let timeoutId: NodeJS.Timeout | undefined;
+    let onabort: (() => void) | undefined;
+    
+    signal?.throwIfAborted();
+    
+    const response = new Promise<JSONRPCResponse | JSONRPCError>((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      
+      timeoutId = setTimeout(
+        () => reject(new Error(`No ${method} response within ${this.options.timeout}ms`)),
+        this.options.timeout
+      );
+      
+      onabort = () => {
+        const reason = typeof signal?.reason === "string" ? signal.reason : undefined;
+        
+        reject(new Error(reason ? `${method} was cancelled: ${reason}` : `${method} was cancelled`));
+        
+        this.adapter.send({
+          jsonrpc: "2.0",
+          method: "notifications/cancelled",
+          params: { requestId: id, ...(reason ? { reason } : {}) }
+        }).catch((error) => {
+          logger.debug(`Failed to cancel ${method}`, error);
+        });
+      };
+      
+      signal?.addEventListener("abort", onabort, { once: true });
+    });
+    
+    // Errors raised while sending are reported by send() instead
+    response.catch(() => {});
+    
+    try {
+      await this.adapter.send({ jsonrpc: "2.0", id, method, params });
+      return await response;
+    } finally {
+      clearTimeout(timeoutId);
+      this.pending.delete(id);
+      
+      if (onabort) {
+        signal?.removeEventListener("abort", onabort);
+      }
+    }
+  }
+  
+  /**
+   * Hang up
+   */
+  async close(): Promise<void> {
+    this.closed = true;
+    this.adapter.setCloseHandler(() => {});
+    
+    await this.adapter.stop().catch((error) => {
+      logger.debug("Failed to close server session", error);
+    });
+    
+    this.rejectAll(new Error("Session closed"));
+  }
+  
+  /**
+   * Fail every request still waiting for a response
+   */
+  private rejectAll(error: Error): void {
+    for (const { reject } of this.pending.values()) {
+      reject(error);
+    }
+    
+    this.pending.clear();
+  }
+}
+
+/**
+ * Open a server session over an adapter that has not been started yet
+ * The adapter is stopped again if the handshake fails
+ */
+export async function openServerSession(
+  adapter: TransportAdapter,
+  options: ServerSessionOptions
+): Promise<ServerSession> {
+  const session = new ServerSession(adapter, options);
+  
+  try {
+    await session.open();
+  } catch (error) {
+    await session.close();
+    throw error;
+  }
+  
+  return session;
+}
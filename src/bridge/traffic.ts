@@ -0,0 +1,215 @@
+/**
+ * Live traffic inspection for connections
+ */
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { createLogger } from "../utils/logging.js";
+import { matchesAnyGlob } from "../utils/glob.js";
+import { isErrorResponse, isRequest, isResponse } from "../utils/jsonrpc.js";
+import {
+  MessageDirection,
+  MessageMiddleware,
+  MiddlewareContext,
+  TrafficEvent,
+  TrafficFilter
+} from "./types.js";
+
+const logger = createLogger({ prefix: "TrafficInspector" });
+
+/**
+ * Most requests remembered for pairing with their responses
+ * Requests never answered, e.g. dropped by middleware, are forgotten oldest first
+ */
+const MAX_PENDING_REQUESTS = 1000;
+
+/**
+ * A watcher of the traffic through the bridge
+ */
+interface TrafficWatch {
+  filter: TrafficFilter;
+  onevent: (event: TrafficEvent) => void;
+  onend?: () => void;
+}
+
+/**
+ * Reports the messages passing through bridges to whoever is watching
+ *
+ * The inspector is a middleware, and sees messages where it sits in a
+ * connection's chain: first in the chain, it sees what the client sent and
+ * what the client finally receives. Requests are remembered while their
+ * connection is watched, so responses can be reported with the method of the
+ * request they answer and how long the answer took.
+ */
+export class TrafficInspector {
+  private watches = new Set<TrafficWatch>();
+  private pendingRequests = new Map<string, { method: string; time: number }>();
+  
+  /**
+   * Watch the traffic matching a filter until the returned function is called
+   */
+  watch(
+    filter: TrafficFilter,
+    onevent: (event: TrafficEvent) => void,
+    onend?: () => void
+  ): () => void {
+    const watch: TrafficWatch = { filter, onevent, onend };
+    
+    this.watches.add(watch);
+    
+    return () => {
+      this.watches.delete(watch);
+      
+      if (this.watches.size === 0) {
+        this.pendingRequests.clear();
+      }
+    };
+  }
+  
+  /**
+   * End every watch, telling each watcher
+   */
+  close(): void {
+    const watches = [...this.watches];
+    
+    this.watches.clear();
+    this.pendingRequests.clear();
+    
+    for (const watch of watches) {
+      watch.onend?.();
+    }
+  }
+  
+  /**
+   * Get the inspector as a middleware, passing every message on unchanged
+   */
+  asMiddleware(): MessageMiddleware {
+    return (message, direction, context) => {
+      this.inspect(message, direction, context);
+    };
+  }
+  
+  /**
+   * Report a message to the watchers it matches
+   */
+  private inspect(message: JSONRPCMessage, direction: MessageDirection, context: MiddlewareContext): void {
+    const watches = [...this.watches].filter(watch => matchesScope(watch.filter, context));
+    
+    if (watches.length === 0) {
+      return;
+    }
+    
+    const event: TrafficEvent = {
+      time: new Date(),
+      connectionId: context.connectionId,
+      serverId: context.serverId,
+      direction,
+      type: getMessageType(message),
+      message
+    };
+    
+    if ("id" in message) {
+      event.id = message.id;
+    }
+    
+    if ("method" in message) {
+      event.method = message.method;
+    }
+    
+    if (isRequest(message)) {
+      this.rememberRequest(pendingKey(context, direction, message.id), message.method);
+    } else if (isResponse(message) || isErrorResponse(message)) {
+      // Responses travel the other way from the request they answer
+      const requestDirection = direction === "client-to-server" ? "server-to-client" : "client-to-server";
+      const key = pendingKey(context, requestDirection, message.id);
+      const request = this.pendingRequests.get(key);
+      
+      if (request) {
+        this.pendingRequests.delete(key);
+        event.method = request.method;
+        event.latency = event.time.getTime() - request.time;
+      }
+    }
+    
+    for (const watch of watches) {
+      if (!matchesFilter(watch.filter, event)) {
+        continue;
+      }
+      
+      try {
+        watch.onevent(event);
+      } catch (error) {
+        logger.error("Traffic watcher failed", error);
+      }
+    }
+  }
+  
+  /**
+   * Remember when a request was seen, forgetting the oldest if there are too many
+   */
+  private rememberRequest(key: string, method: string): void {
+    if (this.pendingRequests.size >= MAX_PENDING_REQUESTS) {
+      const oldest = this.pendingRequests.keys().next().value;
+      
+      if (oldest !== undefined) {
+        this.pendingRequests.delete(oldest);
+      }
+    }
+    
+    this.pendingRequests.set(key, { method, time: Date.now() });
+  }
+}
+
+/**
+ * Create a traffic inspector
+ */
+export function createTrafficInspector(): TrafficInspector {
+  return new TrafficInspector();
+}
+
+/**
+ * Check if a filter covers the connection a message is passing through
+ */
+function matchesScope(filter: TrafficFilter, context: MiddlewareContext): boolean {
+  return (!filter.connectionId || filter.connectionId === context.connectionId)
+    && (!filter.serverId || filter.serverId === context.serverId);
+}
+
+/**
+ * Check if a filter lets an event through
+ */
+function matchesFilter(filter: TrafficFilter, event: TrafficEvent): boolean {
+  if (filter.direction && filter.direction !== event.direction) {
+    return false;
+  }
+  
+  if (filter.methods && filter.methods.length > 0) {
+    return event.method !== undefined && matchesAnyGlob(event.method, filter.methods);
+  }
+  
+  return true;
+}
+
+/**
+ * Get what kind of JSON-RPC message a message is
+ */
+function getMessageType(message: JSONRPCMessage): TrafficEvent["type"] {
+  if (isRequest(message)) {
+    return "request";
+  }
+  
+  if (isResponse(message)) {
+    return "response";
+  }
+  
+  if (isErrorResponse(message)) {
+    return "error";
+  }
+  
+  return "notification";
+}
+
+/**
+ * Key of a request awaiting its response
+ */
+function pendingKey(context: MiddlewareContext, direction: MessageDirection, id: unknown): string {
+  return JSON.stringify([context.connectionId ?? context.handler, direction, id]);
+}
@@ -14,6 +14,10 @@ export interface EnvironmentUpdate {
 // Import core SDK types
 import { 
   JSONRPCMessage,
+  JSONRPCRequest,
+  RequestId,
+  InitializeResult,
+  ServerCapabilities,
   ClientRequest,
   ServerRequest,
   ClientNotification,
@@ -67,10 +71,85 @@ import {
   RequestOptions 
 } from "@modelcontextprotocol/sdk/shared/protocol.js";
 
+/**
+ * Built-in transport types
+ */
+export const BUILTIN_TRANSPORTS = ["stdio", "sse", "memory", "streamable-http", "websocket"] as const;
+
+/**
+ * Built-in transport type
+ */
+export type BuiltinTransportType = typeof BUILTIN_TRANSPORTS[number];
+
 /**
  * Supported transport types
+ * Any other name must be added at runtime with registerTransport
+ */
+export type TransportType = BuiltinTransportType | (string & {});
+
+/**
+ * How a running server is replaced when its configuration changes
+ * - restart: stop the server and start it again, holding client messages meanwhile
+ * - blue-green: start the replacement alongside the running server and switch
+ *   over once it answers, keeping the running server if it does not
+ */
+export type SwapMode = "restart" | "blue-green";
+
+/**
+ * Health probe configuration
+ */
+export interface HealthCheckConfig {
+  interval?: number;           // Time between probes (ms, default: 30000)
+  timeout?: number;            // Time allowed for the server to answer a probe (ms, default: 5000)
+  failureThreshold?: number;   // Failed probes in a row before the server is unhealthy (default: 3)
+  restart?: boolean;           // Restart the server once it is unhealthy
+}
+
+/**
+ * What a virtual server does when backends offer the same name
+ * - error: fail the list request and any use of the name
+ * - first-wins: expose the first backend's item and hide the others
+ * - prefix-on-conflict: expose each backend's item under its prefixed name
+ */
+export type CollisionPolicy = "error" | "first-wins" | "prefix-on-conflict";
+
+/**
+ * Names one backend of a virtual server exposes under another name, by kind
+ */
+export interface BackendAliases {
+  tools?: Record<string, string>; // Tool names
+  prompts?: Record<string, string>; // Prompt names
+  schemes?: Record<string, string>; // Resource URI schemes
+}
+
+/**
+ * How a virtual server keeps the names of its backends apart
+ * Applies to tool and prompt names and to resource URI schemes
+ */
+export interface NamespacingConfig {
+  prefix?: boolean;            // Prefix every name with its backend's server name
+  separator?: string;          // Between the prefix and a tool or prompt name (default: "__")
+  aliases?: Record<string, BackendAliases>; // By backend ID, names and URI schemes to expose under another name
+  collisions?: CollisionPolicy; // What to do when names still clash (default: first-wins)
+}
+
+/**
+ * How a mock server matches a request with a recorded one
+ * - exact: the arguments must be equal
+ * - fuzzy: equal arguments if recorded, else the recorded request sharing the most
+ * - name: only the tool or prompt name or resource URI must be equal
+ */
+export type MockMatching = "exact" | "fuzzy" | "name";
+
+/**
+ * Mock server configuration
  */
-export type TransportType = "stdio" | "sse" | "memory";
+export interface MockServerConfig {
+  recording: string;           // Name of the recording in the recordings directory
+  matching?: MockMatching;     // How requests are matched with recorded ones (default: exact)
+  ignoreArguments?: string[];  // Glob patterns of argument names not to compare
+  replayLatency?: boolean;     // Answer after the time the recorded server took
+}
 
 /**
  * Server configuration
@@ -81,13 +160,25 @@ export interface ServerConfig extends Implementation {
   id?: string;                 // Auto-generated if not provided
   
   // Server process
-  command: string;             // Command to run
+  command?: string;            // Command to run (omitted for remote, virtual and mock servers)
   args?: string[];             // Command arguments
   cwd?: string;                // Working directory
   env?: Record<string, string>; // Environment variables
   
   // Transport
   transport: TransportType;    // Native transport protocol
+  transportOptions?: Record<string, unknown>; // Options for a registered transport
+  
+  // Remote server
+  url?: string;                // URL of an already running server, used instead of a command
+  headers?: Record<string, string>; // Headers sent with every request to the server
+  
+  // Virtual server
+  backends?: string[];         // IDs of the servers merged into one, used instead of a command or URL
+  namespacing?: NamespacingConfig; // How the backends' names are kept apart
+  
+  // Mock server
+  mock?: MockServerConfig;     // Recording to answer from, used instead of a command, URL or backends
   
   // SSE-specific options
   sseOptions?: {
@@ -95,10 +186,23 @@ export interface ServerConfig extends Implementation {
     host?: string;             // Host for SSE server
   };
   
+  // Streamable HTTP and WebSocket options
+  httpOptions?: {
+    port?: number;             // Port the server listens on
+    host?: string;             // Host the server listens on
+    path?: string;             // Path of the MCP endpoint (default: /mcp)
+  };
+  
   // Lifecycle
   autoRestart?: boolean;       // Auto-restart on crash
-  maxRestarts?: number;        // Maximum restart attempts
-  restartDelay?: number;       // Delay between restarts (ms)
+  maxRestarts?: number;        // Restarts in a row before the server is considered crash looping (default: unlimited)
+  restartDelay?: number;       // Delay before the first restart, doubling for each after it (ms)
+  maxRestartDelay?: number;    // Longest delay between restarts (ms, default: 30000)
+  stableUptime?: number;       // Time a restarted server must stay up before its restarts stop counting (ms, default: 10000)
+  swapMode?: SwapMode;         // How to apply environment changes (default: restart)
+  healthCheck?: HealthCheckConfig; // Probe the running server with pings
+  required?: boolean;          // The bridge is not ready until this server runs and answers initialize
+  retryIdempotentRequests?: boolean; // Resend unanswered read-only requests to a swapped-in or restarted server instead of failing them
 }
 
 /**
@@ -114,14 +218,37 @@ export interface ConnectionConfig extends Implementation {
   
   // Transport
   transport: TransportType;    // Client transport protocol
+  transportOptions?: Record<string, unknown>; // Options for a registered transport
   
   // Connection options
-  timeout?: number;            // Connection timeout (ms)
-  reconnect?: boolean;         // Auto-reconnect on disconnect
-  maxReconnects?: number;      // Maximum reconnection attempts
-  reconnectDelay?: number;     // Delay between reconnects (ms)
+  timeout?: number;            // Time allowed for the server to answer each request (ms), reset by progress
+  methodTimeouts?: Record<string, number>; // Per-method overrides of the timeout, e.g. longer for tools/call
+  reconnect?: boolean;         // Reconnect to the server when it goes away, keeping the client connected
+  maxReconnects?: number;      // Maximum reconnection attempts in a row
+  reconnectDelay?: number;     // Delay before the first reconnection attempt, doubling for each after it (ms)
+  
+  // Access control, as glob patterns matched against tool and prompt names and resource URIs
+  allowTools?: string[];       // Tools the client may see and call (default: all)
+  denyTools?: string[];        // Tools hidden from the client, even if allowed
+  allowResources?: string[];   // Resources the client may see and read (default: all)
+  denyResources?: string[];    // Resources hidden from the client, even if allowed
+  allowPrompts?: string[];     // Prompts the client may see and get (default: all)
+  denyPrompts?: string[];      // Prompts hidden from the client, even if allowed
 }
 
+/**
+ * How long a connection's requests may wait for the server
+ */
+export type RequestTimeouts = Pick<ConnectionConfig, "timeout" | "methodTimeouts">;
+
+/**
+ * What a connection's client may see and use
+ */
+export type AccessRules = Pick<
+  ConnectionConfig,
+  "allowTools" | "denyTools" | "allowResources" | "denyResources" | "allowPrompts" | "denyPrompts"
+>;
+
 /**
  * Server status
  */
@@ -130,7 +257,10 @@ export enum ServerStatus {
   RUNNING = "running",
   STOPPING = "stopping",
   STOPPED = "stopped",
-  ERROR = "error"
+  ERROR = "error",
+  UNREACHABLE = "unreachable",
+  CRASH_LOOP = "crash_loop",
+  UNHEALTHY = "unhealthy"
 }
 
 /**
@@ -141,6 +271,7 @@ export enum ConnectionStatus {
   CONNECTED = "connected",
   DISCONNECTING = "disconnecting",
   DISCONNECTED = "disconnected",
+  RECONNECTING = "reconnecting",
   ERROR = "error"
 }
 
@@ -156,6 +287,69 @@ export interface ServerInstance {
   error?: Error;
   startTime?: Date;
   restartCount: number;
+  nextRestartTime?: Date;      // When the next automatic restart is due
+  initializeTime?: Date;       // When the server last completed an initialize handshake since it started
+  changes?: ServerChanges;     // What changed in the last swap
+  health?: ServerHealth;       // Results of the health probes since the server started
+}
+
+/**
+ * Outcome of one health probe
+ */
+export interface HealthProbeResult {
+  time: Date;
+  healthy: boolean;
+  latency?: number;            // Time the server took to answer the ping (ms)
+  error?: string;              // Why the probe failed
+}
+
+/**
+ * Health of a running server, as seen by its probes
+ */
+export interface ServerHealth {
+  lastProbe?: HealthProbeResult;
+  consecutiveFailures: number;
+}
+
+/**
+ * What a server offers, as listed by the bridge
+ */
+export interface ServerInventory {
+  capabilities: ServerCapabilities;
+  tools: Tool[];
+  resources: Resource[];
+  prompts: Prompt[];
+}
+
+/**
+ * Names of the items added, removed or changed in one of a server's lists
+ */
+export interface ListChanges {
+  added: string[];
+  removed: string[];
+  changed: string[];
+}
+
+/**
+ * Differences between what a server offered before and after a swap
+ */
+export interface ServerChanges {
+  swappedAt: Date;
+  capabilities: {
+    added: string[];
+    removed: string[];
+  };
+  tools: ListChanges;
+  resources: ListChanges;          // Keyed by URI
+  prompts: ListChanges;
+}
+
+/**
+ * Initialize handshake captured for a connection
+ */
+export interface InitializeHandshake {
+  request: JSONRPCRequest;     // The client's initialize request
+  result?: InitializeResult;   // The server's response, with the negotiated capabilities
 }
 
 /**
@@ -166,9 +360,12 @@ export interface ConnectionInstance {
   config: ConnectionConfig;
   status: ConnectionStatus;
   transport?: Transport;
+  handshake?: InitializeHandshake;
   error?: Error;
   connectTime?: Date;
   reconnectCount: number;
+  nextReconnectTime?: Date;    // When the next reconnection attempt is due
+  recording?: ConnectionRecording; // Recording of the connection's traffic, while it lasts
 }
 
 /**
@@ -230,3 +427,114 @@ export interface BridgeHandler {
    */
   handleServerMessage(message: JSONRPCMessage): Promise<void>;
 }
+
+/**
+ * Which way a message is travelling through a bridge
+ */
+export type MessageDirection = "client-to-server" | "server-to-client";
+
+/**
+ * What a middleware knows about the bridge a message is passing through
+ */
+export interface MiddlewareContext {
+  handler: string;             // Name of the protocol handler
+  connectionId?: string;       // Connection the bridge serves, if known
+  serverId?: string;           // Server the bridge reaches, if known
+  
+  /**
+   * Send a message back to where the current message came from, e.g. to
+   * answer a request in place of the other side
+   */
+  reply(message: JSONRPCMessage): Promise<void>;
+}
+
+/**
+ * Message middleware
+ * Returns the message to pass on, rewritten or not, or null to drop it;
+ * returning nothing passes the message on unchanged
+ */
+export type MessageMiddleware = (
+  message: JSONRPCMessage,
+  direction: MessageDirection,
+  context: MiddlewareContext
+) => JSONRPCMessage | null | void | Promise<JSONRPCMessage | null | void>;
+
+/**
+ * A message seen passing through a bridge, as reported to traffic watchers
+ */
+export interface TrafficEvent {
+  time: Date;
+  connectionId?: string;
+  serverId?: string;
+  direction: MessageDirection;
+  type: "request" | "notification" | "response" | "error";
+  id?: RequestId;              // Request ID, for requests and the responses to them
+  method?: string;             // For responses, the method of the request answered, if it was seen
+  latency?: number;            // For responses, time since the request was seen (ms)
+  message: JSONRPCMessage;
+}
+
+/**
+ * Which traffic a watcher is shown
+ */
+export interface TrafficFilter {
+  connectionId?: string;
+  serverId?: string;
+  methods?: string[];          // Glob patterns, matched against responses by the method of their request
+  direction?: MessageDirection;
+}
+
+/**
+ * A connection's traffic being recorded to a JSONL file
+ */
+export interface ConnectionRecording {
+  file: string;                // Path of the recording
+  startTime: Date;
+  messages: number;            // Messages recorded so far
+}
+
+/**
+ * First line of a recording, describing the session recorded
+ * Each line after it is a TrafficEvent
+ */
+export interface RecordingHeader {
+  version: 1;
+  connectionId: string;
+  serverId: string;
+  startTime: Date;
+  handshake?: InitializeHandshake; // The client's handshake, if it came before recording started
+}
+
+/**
+ * A difference between a recorded response and the response to its replay
+ */
+export interface ResponseDifference {
+  path: string;                // Where in the response, e.g. result.content[0].text
+  expected?: unknown;          // Recorded value, absent if only the replay has it
+  actual?: unknown;            // Replayed value, absent if only the recording has it
+}
+
+/**
+ * Outcome of replaying one recorded request
+ */
+export interface ReplayedRequest {
+  id: RequestId;               // ID of the request in the recording
+  method: string;
+  status: "match" | "mismatch" | "unrecorded" | "failed"; // unrecorded: the recording has no response to compare
+  latency?: number;            // Time the server took to answer the replay (ms)
+  recordedLatency?: number;    // Time the recorded response took (ms)
+  differences: ResponseDifference[];
+  error?: string;              // Why the request could not be replayed
+}
+
+/**
+ * Report of replaying a recording against a server
+ */
+export interface ReplayReport {
+  recording: string;           // Name of the recording
+  serverId: string;
+  startTime: Date;
+  duration: number;            // ms
+  summary: Record<ReplayedRequest["status"], number>;
+  requests: ReplayedRequest[];
+}
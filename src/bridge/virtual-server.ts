@@ -0,0 +1,685 @@
+/**
+ * Virtual server that merges several backends into one
+ */
+import {
+  InitializeRequestSchema,
+  InitializeResult,
+  JSONRPCError,
+  JSONRPCMessage,
+  JSONRPCNotification,
+  JSONRPCRequest,
+  JSONRPCResponse,
+  LATEST_PROTOCOL_VERSION,
+  ListPromptsResultSchema,
+  ListResourcesResultSchema,
+  ListResourceTemplatesResultSchema,
+  ListToolsResultSchema,
+  Prompt,
+  Resource,
+  ResourceTemplate,
+  ServerCapabilities,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  Tool
+} from "@modelcontextprotocol/sdk/types.js";
+import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { createLogger } from "../utils/logging.js";
+import { ErrorCode } from "../utils/errors.js";
+import { isNotification, isRequest } from "../utils/jsonrpc.js";
+import { ServerConfig, TransportAdapter } from "./types.js";
+import { openServerSession, ServerSession } from "./session.js";
+import { fetchAllPages } from "./inventory.js";
+import {
+  BackendNaming,
+  exposeName,
+  exposeUri,
+  ItemNaming,
+  MergedItems,
+  mergeBackendItems,
+  NameRoute,
+  resolveUri
+} from "./namespacing.js";
+
+const logger = createLogger({ prefix: "VirtualServer" });
+
+/**
+ * Time allowed for a backend to answer a request (ms), matching the SDK's default
+ */
+const BACKEND_REQUEST_TIMEOUT = 60000;
+
+/**
+ * Virtual server session options
+ */
+export interface VirtualServerSessionOptions {
+  config: ServerConfig;        // The virtual server's configuration
+  createBackendAdapter: (serverId: string) => TransportAdapter; // Reaches a running backend
+  getBackendName?: (serverId: string) => string; // Name a backend's prefix is made from (default: its ID)
+}
+
+/**
+ * Lists whose names are routed back to the backend offering them
+ */
+type RoutedList = "tools" | "resources" | "prompts";
+
+/**
+ * A virtual server's session with one client
+ *
+ * Answers the client's initialize itself, with the union of the backends'
+ * capabilities, and initializes a session of its own with each backend.
+ * List requests are fanned out to every backend offering the list and the
+ * results merged; tools/call, resources/read and prompts/get are routed to
+ * the backend that listed the tool, resource or prompt. Names and URI schemes
+ * are renamed as the namespacing configuration says, and renamed back on the
+ * way to the backend; names that still clash are handled by its collision
+ * policy. Backend notifications are passed on to the client, and a client
+ * cancelling a request cancels what was forwarded to a backend for it.
+ */
+export class VirtualServerSession {
+  private sessions = new Map<string, ServerSession>();
+  private opening = new Map<string, Promise<ServerSession>>();
+  private inFlight = new Map<string, AbortController>();
+  private protocolVersion = LATEST_PROTOCOL_VERSION;
+  private clientInfo?: { name: string; version: string };
+  private closed = false;
+  private routes = {
+    tools: new Map<string, NameRoute>(),
+    resources: new Map<string, NameRoute>(),
+    prompts: new Map<string, NameRoute>()
+  };
+  private conflicts = {
+    tools: new Set<string>(),
+    resources: new Set<string>(),
+    prompts: new Set<string>()
+  };
+  
+  /**
+   * Constructor
+   */
+  constructor(
+    private readonly transport: Transport,
+    private readonly options: VirtualServerSessionOptions
+  ) {
+    // Linked in-memory transports deliver straight to onmessage once it is set
+    transport.onmessage = (message) => {
+      this.handleMessage(message).catch((error) => {
+        logger.error(`Failed to handle message for virtual server ${this.name}`, error);
+      });
+    };
+    
+    transport.onclose = () => {
+      this.close().catch((error) => {
+        logger.error(`Failed to close virtual server ${this.name}`, error);
+      });
+    };
+  }
+  
+  /**
+   * Close the sessions with every backend
+   */
+  async close(): Promise<void> {
+    if (this.closed) {
+      return;
+    }
+    
+    this.closed = true;
+    
+    logger.debug(`Closing virtual server session: ${this.name}`);
+    
+    for (const controller of this.inFlight.values()) {
+      controller.abort("Virtual server session closed");
+    }
+    
+    this.inFlight.clear();
+    
+    for (const session of this.sessions.values()) {
+      await session.close();
+    }
+    
+    this.sessions.clear();
+  }
+  
+  /**
+   * Get the name of the virtual server
+   */
+  private get name(): string {
+    return this.options.config.name;
+  }
+  
+  /**
+   * Get the IDs of the backends, in order of precedence
+   */
+  private get backendIds(): string[] {
+    return this.options.config.backends ?? [];
+  }
+  
+  /**
+   * Get a backend's ID and the name its prefix is made from
+   */
+  private getBackendNaming(id: string): BackendNaming {
+    return { id, name: this.options.getBackendName?.(id) ?? id };
+  }
+  
+  /**
+   * Handle a message from the client
+   */
+  private async handleMessage(message: JSONRPCMessage): Promise<void> {
+    if (isNotification(message)) {
+      if (message.method === "notifications/cancelled") {
+        this.cancelRequest(message);
+        return;
+      }
+      
+      // The backends were sent their own initialized notification
+      logger.debug(`Ignoring notification from client (${this.name}): ${message.method}`);
+      return;
+    }
+    
+    if (!isRequest(message)) {
+      return;
+    }
+    
+    const controller = new AbortController();
+    this.inFlight.set(String(message.id), controller);
+    
+    let response: JSONRPCResponse | JSONRPCError;
+    
+    try {
+      response = await this.handleRequest(message, controller.signal);
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        logger.error(`Virtual server ${this.name} failed to handle ${message.method}`, error);
+      }
+      
+      response = errorResponse(message, ErrorCode.InternalError, (error as Error).message);
+    } finally {
+      this.inFlight.delete(String(message.id));
+    }
+    
+    // A cancelled request is not answered
+    if (!this.closed && !controller.signal.aborted) {
+      await this.transport.send(response);
+    }
+  }
+  
+  /**
+   * Cancel a client request, along with what was forwarded to a backend for it
+   */
+  private cancelRequest(notification: JSONRPCNotification): void {
+    const requestId = String(notification.params?.requestId);
+    const reason = notification.params?.reason;
+    
+    logger.debug(`Client cancelled request ${requestId} (${this.name})`);
+    
+    this.inFlight.get(requestId)?.abort(typeof reason === "string" ? reason : "Cancelled by the client");
+  }
+  
+  /**
+   * Answer a request from the client
+   */
+  private async handleRequest(
+    request: JSONRPCRequest,
+    signal: AbortSignal
+  ): Promise<JSONRPCResponse | JSONRPCError> {
+    switch (request.method) {
+      case "initialize":
+        return resultResponse(request, await this.initialize(request));
+        
+      case "ping":
+        return resultResponse(request, {});
+        
+      case "tools/list":
+        return this.listResponse(request, "tools", await this.listTools());
+        
+      case "resources/list":
+        return this.listResponse(request, "resources", await this.listResources());
+        
+      case "resources/templates/list":
+        return this.listResponse(request, "resourceTemplates", await this.listResourceTemplates());
+        
+      case "prompts/list":
+        return this.listResponse(request, "prompts", await this.listPrompts());
+        
+      case "tools/call":
+        return this.forwardToOwner(request, "tools", "tool", () => this.listTools(), signal);
+        
+      case "prompts/get":
+        return this.forwardToOwner(request, "prompts", "prompt", () => this.listPrompts(), signal);
+        
+      case "resources/read":
+        return this.readResource(request, signal);
+        
+      case "logging/setLevel":
+        await this.broadcast("logging", request, signal);
+        return resultResponse(request, {});
+        
+      default:
+        return errorResponse(request, ErrorCode.MethodNotFound, `Method not found: ${request.method}`);
+    }
+  }
+  
+  /**
+   * Initialize a session with every backend and merge what they offer
+   */
+  private async initialize(request: JSONRPCRequest): Promise<InitializeResult> {
+    const { params } = InitializeRequestSchema.parse(request);
+    
+    this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : LATEST_PROTOCOL_VERSION;
+    this.clientInfo = params.clientInfo;
+    
+    const results = await Promise.all(this.backendIds.map(id =>
+      this.getSession(id)
+        .then(session => session.getInitializeResult())
+        .catch((error) => {
+          logger.warn(`Backend ${id} of virtual server ${this.name} is unavailable`, error);
+          return undefined;
+        })
+    ));
+    
+    const initialized = results.filter((result): result is InitializeResult => result !== undefined);
+    
+    if (initialized.length === 0) {
+      throw new Error(`None of the backends of virtual server ${this.name} could be reached`);
+    }
+    
+    // Changes to any backend's lists are passed on, so listChanged always holds
+    const capabilities: ServerCapabilities = {};
+    
+    for (const result of initialized) {
+      if (result.capabilities.tools) {
+        capabilities.tools = { listChanged: true };
+      }
+      
+      if (result.capabilities.resources) {
+        capabilities.resources = { listChanged: true };
+      }
+      
+      if (result.capabilities.prompts) {
+        capabilities.prompts = { listChanged: true };
+      }
+      
+      if (result.capabilities.logging) {
+        capabilities.logging = {};
+      }
+    }
+    
+    const instructions = initialized
+      .map(result => result.instructions)
+      .filter((text): text is string => Boolean(text));
+      
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities,
+      serverInfo: {
+        name: this.options.config.name,
+        version: this.options.config.version
+      },
+      ...(instructions.length > 0 ? { instructions: instructions.join("\n\n") } : {})
+    };
+  }
+  
+  /**
+   * Get the session with a backend, opening it if needed
+   */
+  private async getSession(id: string): Promise<ServerSession> {
+    const existing = this.sessions.get(id);
+    
+    if (existing && !existing.isClosed()) {
+      return existing;
+    }
+    
+    const opening = this.opening.get(id) ?? this.openSession(id);
+    this.opening.set(id, opening);
+    
+    try {
+      return await opening;
+    } finally {
+      this.opening.delete(id);
+    }
+  }
+  
+  /**
+   * Initialize a session with a backend
+   */
+  private async openSession(id: string): Promise<ServerSession> {
+    const session = await openServerSession(this.options.createBackendAdapter(id), {
+      timeout: BACKEND_REQUEST_TIMEOUT,
+      protocolVersion: this.protocolVersion,
+      clientInfo: this.clientInfo
+    });
+    
+    session.onnotification = (notification) => this.handleBackendNotification(id, notification);
+    
+    session.onclose = () => {
+      logger.warn(`Backend ${id} of virtual server ${this.name} went away`);
+      
+      this.sessions.delete(id);
+      
+      // Whatever the backend offered is gone until it is back
+      this.handleBackendNotification(id, { jsonrpc: "2.0", method: "notifications/tools/list_changed" });
+      this.handleBackendNotification(id, { jsonrpc: "2.0", method: "notifications/resources/list_changed" });
+      this.handleBackendNotification(id, { jsonrpc: "2.0", method: "notifications/prompts/list_changed" });
+    };
+    
+    if (this.closed) {
+      await session.close();
+      throw new Error(`Virtual server session closed: ${this.name}`);
+    }
+    
+    this.sessions.set(id, session);
+    
+    logger.debug(`Opened session with backend ${id} of virtual server ${this.name}`);
+    
+    return session;
+  }
+  
+  /**
+   * Get the sessions with the backends offering a capability, skipping unavailable ones
+   */
+  private async getSessionsOffering(
+    capability: keyof ServerCapabilities
+  ): Promise<{ id: string; session: ServerSession }[]> {
+    const sessions = await Promise.all(this.backendIds.map(id =>
+      this.getSession(id)
+        .then(session => ({ id, session }))
+        .catch((error) => {
+          logger.warn(`Backend ${id} of virtual server ${this.name} is unavailable`, error);
+          return undefined;
+        })
+    ));
+    
+    return sessions.filter((entry): entry is { id: string; session: ServerSession } =>
+      entry !== undefined && entry.session.getInitializeResult()?.capabilities[capability] !== undefined
+    );
+  }
+  
+  /**
+   * List the tools of every backend
+   */
+  private async listTools(): Promise<MergedItems<Tool>> {
+    return this.listAll("tools", "tools/list", page => {
+      const result = ListToolsResultSchema.parse(page);
+      return { items: result.tools, nextCursor: result.nextCursor };
+    }, this.nameNaming<Tool>("tools"), "tools");
+  }
+  
+  /**
+   * List the resources of every backend
+   */
+  private async listResources(): Promise<MergedItems<Resource>> {
+    return this.listAll("resources", "resources/list", page => {
+      const result = ListResourcesResultSchema.parse(page);
+      return { items: result.resources, nextCursor: result.nextCursor };
+    }, {
+      key: resource => resource.uri,
+      withKey: (resource, uri) => ({ ...resource, uri }),
+      expose: (uri, backend, prefixed) => exposeUri(uri, backend, prefixed, this.options.config.namespacing)
+    }, "resources");
+  }
+  
+  /**
+   * List the resource templates of every backend
+   */
+  private async listResourceTemplates(): Promise<MergedItems<ResourceTemplate>> {
+    return this.listAll("resources", "resources/templates/list", page => {
+      const result = ListResourceTemplatesResultSchema.parse(page);
+      return { items: result.resourceTemplates, nextCursor: result.nextCursor };
+    }, {
+      key: template => template.uriTemplate,
+      withKey: (template, uriTemplate) => ({ ...template, uriTemplate }),
+      expose: (uriTemplate, backend, prefixed) => exposeUri(uriTemplate, backend, prefixed, this.options.config.namespacing)
+    });
+  }
+  
+  /**
+   * List the prompts of every backend
+   */
+  private async listPrompts(): Promise<MergedItems<Prompt>> {
+    return this.listAll("prompts", "prompts/list", page => {
+      const result = ListPromptsResultSchema.parse(page);
+      return { items: result.prompts, nextCursor: result.nextCursor };
+    }, this.nameNaming<Prompt>("prompts"), "prompts");
+  }
+  
+  /**
+   * Get the naming of items known by name, i.e. tools and prompts
+   */
+  private nameNaming<T extends { name: string }>(kind: "tools" | "prompts"): ItemNaming<T> {
+    return {
+      key: item => item.name,
+      withKey: (item, name) => ({ ...item, name }),
+      expose: (name, backend, prefixed) => exposeName(name, kind, backend, prefixed, this.options.config.namespacing)
+    };
+  }
+  
+  /**
+   * Merge a list from every backend offering it, recording which backend offers each item
+   */
+  private async listAll<T>(
+    capability: keyof ServerCapabilities,
+    method: string,
+    parse: (result: unknown) => { items: T[]; nextCursor?: string },
+    naming: ItemNaming<T>,
+    list?: RoutedList
+  ): Promise<MergedItems<T>> {
+    const sessions = await this.getSessionsOffering(capability);
+    
+    const lists = await Promise.all(sessions.map(({ id, session }) =>
+      fetchAllPages(session, method, parse).catch((error) => {
+        logger.warn(`Failed to get ${method} from backend ${id} of virtual server ${this.name}`, error);
+        return [] as T[];
+      })
+    ));
+    
+    const merged = mergeBackendItems(
+      sessions.map(({ id }, index) => ({ backend: this.getBackendNaming(id), items: lists[index] })),
+      naming,
+      this.options.config.namespacing
+    );
+    
+    for (const name of merged.conflicts) {
+      logger.warn(`${method}: ${name} is offered by more than one backend (${this.name})`);
+    }
+    
+    if (list) {
+      this.routes[list] = merged.routes;
+      this.conflicts[list] = new Set(this.isStrict ? merged.conflicts : []);
+      
+      // Under the error policy no backend gets a conflicting name
+      for (const name of this.conflicts[list]) {
+        merged.routes.delete(name);
+      }
+    }
+    
+    return merged;
+  }
+  
+  /**
+   * Check if clashing names are an error
+   */
+  private get isStrict(): boolean {
+    return this.options.config.namespacing?.collisions === "error";
+  }
+  
+  /**
+   * Answer a list request with merged items, or an error if names clash under the error policy
+   */
+  private listResponse<T>(
+    request: JSONRPCRequest,
+    key: string,
+    merged: MergedItems<T>
+  ): JSONRPCResponse | JSONRPCError {
+    if (this.isStrict && merged.conflicts.length > 0) {
+      return errorResponse(
+        request,
+        ErrorCode.InternalError,
+        `Backends of virtual server ${this.name} offer the same names: ${merged.conflicts.join(", ")}`
+      );
+    }
+    
+    return resultResponse(request, { [key]: merged.items });
+  }
+  
+  /**
+   * Forward a request to the backend that listed the named item, under the backend's own name
+   */
+  private async forwardToOwner(
+    request: JSONRPCRequest,
+    list: RoutedList,
+    kind: string,
+    refresh: () => Promise<unknown>,
+    signal: AbortSignal
+  ): Promise<JSONRPCResponse | JSONRPCError> {
+    const name = String(request.params?.name);
+    
+    // The client may call something it has not listed through this session
+    if (!this.routes[list].has(name)) {
+      await refresh();
+    }
+    
+    if (this.conflicts[list].has(name)) {
+      return errorResponse(
+        request,
+        ErrorCode.InvalidParams,
+        `More than one backend of virtual server ${this.name} offers ${kind} ${name}`
+      );
+    }
+    
+    const route = this.routes[list].get(name);
+    
+    if (!route) {
+      return errorResponse(request, ErrorCode.InvalidParams, `Unknown ${kind}: ${name}`);
+    }
+    
+    return this.forward(route.backend, { ...request, params: { ...request.params, name: route.original } }, signal);
+  }
+  
+  /**
+   * Read a resource from the backend that listed it, or else the first backend that has it
+   */
+  private async readResource(request: JSONRPCRequest, signal: AbortSignal): Promise<JSONRPCResponse | JSONRPCError> {
+    const uri = String(request.params?.uri);
+    
+    if (this.conflicts.resources.has(uri)) {
+      return errorResponse(
+        request,
+        ErrorCode.InvalidParams,
+        `More than one backend of virtual server ${this.name} offers resource ${uri}`
+      );
+    }
+    
+    const route = this.routes.resources.get(uri);
+    
+    // Resources from templates are not listed, so ask each backend the scheme may belong to
+    const offering = new Set((await this.getSessionsOffering("resources")).map(({ id }) => id));
+    const candidates = route
+      ? [route]
+      : resolveUri(uri, this.backendIds.map(id => this.getBackendNaming(id)), this.options.config.namespacing)
+        .filter(candidate => offering.has(candidate.backend));
+        
+    let response: JSONRPCResponse | JSONRPCError = errorResponse(
+      request,
+      ErrorCode.InvalidParams,
+      `Unknown resource: ${uri}`
+    );
+    
+    for (const { backend, original } of candidates) {
+      response = await this.forward(backend, { ...request, params: { ...request.params, uri: original } }, signal);
+      
+      if ("result" in response) {
+        return original === uri ? response : renameContents(response, original, uri);
+      }
+    }
+    
+    return response;
+  }
+  
+  /**
+   * Send a request to every backend offering a capability
+   */
+  private async broadcast(
+    capability: keyof ServerCapabilities,
+    request: JSONRPCRequest,
+    signal: AbortSignal
+  ): Promise<void> {
+    for (const { id } of await this.getSessionsOffering(capability)) {
+      const response = await this.forward(id, request, signal);
+      
+      if ("error" in response) {
+        logger.warn(`Backend ${id} of virtual server ${this.name} rejected ${request.method}: ${response.error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Forward a request to a backend and answer with its response
+   * The backend knows the request by the session's own ID, which the session
+   * also cancels it by when the signal is aborted
+   */
+  private async forward(
+    id: string,
+    request: JSONRPCRequest,
+    signal: AbortSignal
+  ): Promise<JSONRPCResponse | JSONRPCError> {
+    const session = await this.getSession(id);
+    const response = await session.call(request.method, request.params, { signal });
+    
+    return { ...response, id: request.id };
+  }
+  
+  /**
+   * Pass a backend notification on to the client
+   */
+  private handleBackendNotification(id: string, notification: JSONRPCNotification): void {
+    if (this.closed) {
+      return;
+    }
+    
+    logger.debug(`Notification from backend ${id} of virtual server ${this.name}: ${notification.method}`);
+    
+    this.transport.send(notification).catch((error) => {
+      logger.warn(`Failed to pass on ${notification.method} from backend ${id} (${this.name})`, error);
+    });
+  }
+}
+
+/**
+ * Create a successful response to a request
+ */
+function resultResponse(request: JSONRPCRequest, result: Record<string, unknown>): JSONRPCResponse {
+  return { jsonrpc: "2.0", id: request.id, result };
+}
+
+/**
+ * Create an error response to a request
+ */
+function errorResponse(request: JSONRPCRequest, code: number, message: string): JSONRPCError {
+  return { jsonrpc: "2.0", id: request.id, error: { code, message } };
+}
+
+/**
+ * Put a resource's contents back under the URI the client asked for
+ */
+function renameContents(response: JSONRPCResponse, original: string, uri: string): JSONRPCResponse {
+  const contents = Array.isArray(response.result.contents) ? response.result.contents : [];
+  
+  return {
+    ...response,
+    result: {
+      ...response.result,
+      contents: contents.map((content: { uri?: string }) =>
+        content.uri === original ? { ...content, uri } : content
+      )
+    }
+  };
+}
+
+/**
+ * Create a virtual server session over the virtual server's end of a transport
+ */
+export function createVirtualServerSession(
+  transport: Transport,
+  options: VirtualServerSessionOptions
+): VirtualServerSession {
+  return new VirtualServerSession(transport, options);
+}
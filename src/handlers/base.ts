@@ -1,18 +1,34 @@
 /**
  * Base protocol handler
  */
-import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { JSONRPCMessage, RequestId } from "@modelcontextprotocol/sdk/types.js";
 import { createLogger } from "../utils/logging.js";
-import { BridgeHandler, MessageHandler, TransportAdapter } from "../bridge/types.js";
+import { ErrorCode } from "../utils/errors.js";
+import { isErrorResponse, isRequest, isResponse } from "../utils/jsonrpc.js";
+import {
+  BridgeHandler,
+  MessageDirection,
+  MessageMiddleware,
+  MiddlewareContext,
+  TransportAdapter
+} from "../bridge/types.js";
+import { MiddlewareChain } from "./middleware.js";
 
 const logger = createLogger({ prefix: "BaseHandler" });
 
 /**
  * Base protocol handler implementation
+ *
+ * Messages from the client pass through the middleware as soon as they
+ * arrive, and messages to the client just before they are sent, so the
+ * middleware sees what the client sent and what it receives, including
+ * anything the handler sends the client on its own.
  */
 export abstract class BaseProtocolHandler implements BridgeHandler {
   protected clientAdapter?: TransportAdapter;
   protected serverAdapter?: TransportAdapter;
+  private middleware = new MiddlewareChain();
+  protected middlewareContext: Pick<MiddlewareContext, "connectionId" | "serverId"> = {};
   
   /**
    * Constructor
@@ -26,7 +42,7 @@ export abstract class BaseProtocolHandler implements BridgeHandler {
     this.clientAdapter = adapter;
     
     // Set up message handler
-    adapter.setMessageHandler(this.handleClientMessage.bind(this));
+    adapter.setMessageHandler(this.receiveClientMessage.bind(this));
     
     // Set up error handler
     adapter.setErrorHandler((error) => {
@@ -59,6 +75,21 @@ export abstract class BaseProtocolHandler implements BridgeHandler {
     });
   }
   
+  /**
+   * Add a middleware to the end of the handler's chain
+   */
+  use(middleware: MessageMiddleware): this {
+    this.middleware.use(middleware);
+    return this;
+  }
+  
+  /**
+   * Set the connection and server IDs middleware is told about
+   */
+  setMiddlewareContext(context: Pick<MiddlewareContext, "connectionId" | "serverId">): void {
+    this.middlewareContext = context;
+  }
+  
   /**
    * Start the bridge
    */
@@ -119,6 +150,95 @@ export abstract class BaseProtocolHandler implements BridgeHandler {
     logger.debug(`Forwarding message from server to client (${this.name}):`, message);
     
     // Forward the message to the client
-    await this.clientAdapter.send(message);
+    await this.sendToClient(message);
+  }
+  
+  /**
+   * Send a message to the client through the middleware
+   */
+  protected async sendToClient(message: JSONRPCMessage): Promise<void> {
+    if (!this.clientAdapter) {
+      throw new Error("Client adapter not set");
+    }
+    
+    let result: JSONRPCMessage | null;
+    
+    try {
+      result = await this.runMiddleware(message, "server-to-client");
+    } catch (error) {
+      logger.error(`Middleware failed on message to client (${this.name}):`, error);
+      
+      // The client is still owed an answer to its request
+      if (isResponse(message) || isErrorResponse(message)) {
+        await this.clientAdapter.send(middlewareError(message.id, error));
+      }
+      
+      return;
+    }
+    
+    if (result) {
+      await this.clientAdapter.send(result);
+    }
   }
+  
+  /**
+   * Pass a message from the client through the middleware before handling it
+   */
+  private async receiveClientMessage(message: JSONRPCMessage): Promise<void> {
+    let result: JSONRPCMessage | null;
+    
+    try {
+      result = await this.runMiddleware(message, "client-to-server");
+    } catch (error) {
+      logger.error(`Middleware failed on message from client (${this.name}):`, error);
+      
+      if (isRequest(message)) {
+        await this.sendToClient(middlewareError(message.id, error));
+      }
+      
+      return;
+    }
+    
+    if (result) {
+      await this.handleClientMessage(result);
+    }
+  }
+  
+  /**
+   * Pass a message through the middleware, answering replies the other way
+   */
+  private async runMiddleware(
+    message: JSONRPCMessage,
+    direction: MessageDirection
+  ): Promise<JSONRPCMessage | null> {
+    if (this.middleware.isEmpty()) {
+      return message;
+    }
+    
+    return this.middleware.run(message, direction, {
+      handler: this.name,
+      ...this.middlewareContext,
+      reply: async (reply) => {
+        if (direction === "client-to-server") {
+          await this.sendToClient(reply);
+        } else if (this.serverAdapter) {
+          await this.serverAdapter.send(reply);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Create the error response to a request a middleware failed on
+ */
+function middlewareError(id: RequestId, error: unknown): JSONRPCMessage {
+  return {
+    jsonrpc: "2.0",
+    id,
+    error: {
+      code: ErrorCode.InternalError,
+      message: `Bridge middleware failed: ${(error as Error).message}`
+    }
+  };
 }
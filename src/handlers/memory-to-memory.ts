@@ -2,7 +2,7 @@
  * Memory-to-memory protocol handler
  */
 import { createLogger } from "../utils/logging.js";
-import { BaseProtocolHandler } from "./base.js";
+import { PipeHandler } from "./pipe.js";
 import { TransportAdapter } from "../bridge/types.js";
 import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
 
@@ -13,7 +13,7 @@ const logger = createLogger({ prefix: "MemoryToMemory" });
  * 
  * This handler bridges between two in-memory transports.
  */
-export class MemoryToMemoryHandler extends BaseProtocolHandler {
+export class MemoryToMemoryHandler extends PipeHandler {
   /**
    * Constructor
    */
@@ -21,12 +21,9 @@ export class MemoryToMemoryHandler extends BaseProtocolHandler {
     clientAdapter: TransportAdapter,
     serverAdapter: TransportAdapter
   ) {
-    super("MemoryToMemory");
+    super(clientAdapter, serverAdapter, "MemoryToMemory");
     
     logger.debug("Creating memory-to-memory handler");
-    
-    this.setClientAdapter(clientAdapter);
-    this.setServerAdapter(serverAdapter);
   }
 }
 
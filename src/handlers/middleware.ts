@@ -0,0 +1,82 @@
+/**
+ * Message middleware chain
+ */
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import {
+  MessageDirection,
+  MessageMiddleware,
+  MiddlewareContext
+} from "../bridge/types.js";
+
+/**
+ * An ordered chain of message middleware
+ *
+ * Messages to the server pass through the middleware in the order it was
+ * added, and messages to the client in reverse, so the first middleware
+ * added sees what the client sent and what the client finally receives.
+ * A middleware dropping a message stops it going any further down the chain.
+ * A chain is itself a middleware, so chains can be nested and middleware
+ * added to a nested chain later still runs in its place.
+ */
+export class MiddlewareChain {
+  private middleware: MessageMiddleware[] = [];
+  
+  /**
+   * Add a middleware to the end of the chain
+   */
+  use(middleware: MessageMiddleware): this {
+    this.middleware.push(middleware);
+    return this;
+  }
+  
+  /**
+   * Check if the chain has no middleware
+   */
+  isEmpty(): boolean {
+    return this.middleware.length === 0;
+  }
+  
+  /**
+   * Pass a message through the chain
+   * Returns the message to pass on, or null if it was dropped
+   */
+  async run(
+    message: JSONRPCMessage,
+    direction: MessageDirection,
+    context: MiddlewareContext
+  ): Promise<JSONRPCMessage | null> {
+    const middleware = direction === "client-to-server"
+      ? this.middleware
+      : [...this.middleware].reverse();
+      
+    let current = message;
+    
+    for (const handle of middleware) {
+      const result = await handle(current, direction, context);
+      
+      if (result === null) {
+        return null;
+      }
+      
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+    
+    return current;
+  }
+  
+  /**
+   * Get the chain as a single middleware
+   */
+  asMiddleware(): MessageMiddleware {
+    return (message, direction, context) => this.run(message, direction, context);
+  }
+}
+
+/**
+ * Create a middleware chain
+ */
+export function createMiddlewareChain(): MiddlewareChain {
+  return new MiddlewareChain();
+}
@@ -0,0 +1,701 @@
+/**
+ * Generic pipe protocol handler
+ */
+import { randomUUID } from "node:crypto";
+import {
+  InitializeResultSchema,
+  JSONRPCMessage,
+  JSONRPCNotification,
+  JSONRPCRequest
+} from "@modelcontextprotocol/sdk/types.js";
+import { createLogger } from "../utils/logging.js";
+import { ErrorCode, ProtocolError } from "../utils/errors.js";
+import {
+  isCancelledNotification,
+  isErrorResponse,
+  isIdempotentRequest,
+  isInitializeRequest,
+  isProgressNotification,
+  isRequest,
+  isResponse
+} from "../utils/jsonrpc.js";
+import { getHandshakeIncompatibilities } from "../utils/handshake.js";
+import { BaseProtocolHandler } from "./base.js";
+import {
+  AccessRules,
+  InitializeHandshake,
+  MessageDirection,
+  RequestTimeouts,
+  TransportAdapter
+} from "../bridge/types.js";
+import { filterListResult, getAccessDenial } from "../bridge/access.js";
+import { errorResponses, getMethodLabel, messagesForwarded, requestDuration } from "../bridge/metrics.js";
+
+const logger = createLogger({ prefix: "Pipe" });
+
+/**
+ * Time allowed for a replacement server to answer the replayed initialize request (ms)
+ */
+const HANDSHAKE_REPLAY_TIMEOUT = 10000;
+
+/**
+ * Generic pipe protocol handler
+ *
+ * This handler joins any client-facing adapter to any server-facing adapter.
+ * Messages are forwarded unchanged in both directions, so the transports on
+ * either side may be the same (e.g. stdio to stdio when proxying for observability).
+ * When either side closes, the other side is closed as well.
+ *
+ * The server side can be swapped while the client stays connected: pause()
+ * detaches from the server and holds client messages, and resume() attaches a
+ * replacement server adapter and flushes them in order. Since the client will
+ * not initialize again, its captured handshake is replayed to the replacement
+ * first, and the replacement's response is kept from the client. Requests
+ * still awaiting a response can be drained before detaching, so the old
+ * server answers them before it goes away. Any left unanswered are either
+ * sent again to the replacement, if idempotent and retries are enabled, or
+ * answered with an error so the client does not wait forever. If the server
+ * goes away on its own and onserverclosed is set, the pipe holds the client
+ * messages the same way until a new server is attached.
+ *
+ * With request timeouts set, a request the server does not answer in time
+ * is answered with a RequestTimeout error and cancelled at the server.
+ * Progress notifications for the request restart its timer.
+ *
+ * Access rules, if set, hide tools, resources and prompts from the client's
+ * list results, and requests using them are answered with an error instead
+ * of reaching the server.
+ */
+export class PipeHandler extends BaseProtocolHandler {
+  private closed = false;
+  private paused = false;
+  private heldMessages: JSONRPCMessage[] = [];
+  private inFlightRequests = new Map<string | number, JSONRPCRequest>();
+  private requestTimers = new Map<string | number, NodeJS.Timeout>();
+  private requestSentTimes = new Map<string | number, number>();
+  private requestTimeouts: RequestTimeouts = {};
+  private ondrained?: () => void;
+  private initializeRequest?: JSONRPCRequest;
+  private accessRules: AccessRules = {};
+  private retryIdempotent = false;
+  private pendingReplay?: {
+    id: string;
+    resolve: (message: JSONRPCMessage) => void;
+    reject: (error: Error) => void;
+  };
+  
+  /**
+   * Called with the side that went away when the pipe closes on its own
+   */
+  onclose?: (side: "client" | "server") => void;
+  
+  /**
+   * Called when the server side closes on its own, instead of closing the pipe
+   * The client side is kept open and its messages held until resume() is
+   * given a new server, or the pipe is stopped
+   */
+  onserverclosed?: () => void;
+  
+  /**
+   * Called when the client's initialize request and the server's response have been seen
+   */
+  onhandshake?: (handshake: InitializeHandshake) => void;
+  
+  /**
+   * Constructor
+   */
+  constructor(
+    clientAdapter: TransportAdapter,
+    serverAdapter: TransportAdapter,
+    name = "Pipe"
+  ) {
+    super(name);
+    
+    logger.debug(`Creating pipe handler: ${name}`);
+    
+    this.setClientAdapter(clientAdapter);
+    this.setServerAdapter(serverAdapter);
+    
+    // Propagate a close on either side to the other
+    clientAdapter.setCloseHandler(() => this.handleSideClosed("client"));
+    serverAdapter.setCloseHandler(() => this.handleSideClosed("server"));
+  }
+  
+  /**
+   * Check if the pipe is holding client messages for a server swap
+   */
+  isPaused(): boolean {
+    return this.paused;
+  }
+  
+  /**
+   * Detach from the server and hold client messages until resume is called
+   * With a drain timeout, requests already sent to the server are given that
+   * long to be answered before detaching. Idempotent requests left unanswered
+   * are retried as set with setRetryIdempotent(), unless the options say otherwise
+   */
+  async pause(options?: { drainTimeout?: number; retryIdempotent?: boolean }): Promise<void> {
+    if (this.paused || this.closed) {
+      return;
+    }
+    
+    this.paused = true;
+    
+    logger.info(`Pausing ${this.name}, holding client messages`);
+    
+    if (options?.drainTimeout) {
+      await this.drain(options.drainTimeout);
+    }
+    
+    // Responses to anything still in flight can no longer arrive
+    const retries = await this.settleInFlightRequests(options?.retryIdempotent ?? this.retryIdempotent);
+    
+    // Retried requests go ahead of anything the client sent since
+    this.heldMessages.unshift(...retries);
+    
+    if (this.serverAdapter) {
+      // The old server going away must not close the client side
+      this.serverAdapter.setCloseHandler(() => {});
+      
+      try {
+        await this.serverAdapter.stop();
+      } catch (error) {
+        logger.warn(`Error detaching from server (${this.name}):`, error);
+      }
+    }
+  }
+  
+  /**
+   * Attach a replacement server adapter and flush the held client messages
+   * The handshake, if given, is replayed to the replacement first. If the
+   * replacement cannot be attached, the pipe is left paused and detached,
+   * holding its messages for another server.
+   */
+  async resume(serverAdapter: TransportAdapter, handshake?: InitializeHandshake): Promise<void> {
+    if (!this.paused) {
+      throw new Error(`Pipe is not paused: ${this.name}`);
+    }
+    
+    this.setServerAdapter(serverAdapter);
+    serverAdapter.setCloseHandler(() => this.handleSideClosed("server"));
+    
+    try {
+      await serverAdapter.start();
+      
+      if (handshake?.result) {
+        await this.replayHandshake(serverAdapter, handshake);
+      }
+    } catch (error) {
+      serverAdapter.setCloseHandler(() => {});
+      
+      await serverAdapter.stop().catch((stopError) => {
+        logger.warn(`Error detaching from server (${this.name}):`, stopError);
+      });
+      
+      throw error;
+    }
+    
+    logger.info(`Resuming ${this.name}, flushing ${this.heldMessages.length} held message(s)`);
+    
+    // Messages arriving during the flush are queued behind the held ones
+    let message = this.heldMessages.shift();
+    
+    while (message) {
+      this.trackRequest(message);
+      this.countForwarded("client-to-server", message);
+      await serverAdapter.send(message);
+      message = this.heldMessages.shift();
+    }
+    
+    this.paused = false;
+  }
+  
+  /**
+   * Set what the client may see and use, applying to requests from now on
+   */
+  setAccessRules(rules: AccessRules): void {
+    this.accessRules = rules;
+  }
+  
+  /**
+   * Set whether idempotent requests the server went away without answering
+   * are sent again to the next server, instead of being failed
+   */
+  setRetryIdempotent(retry: boolean): void {
+    this.retryIdempotent = retry;
+  }
+  
+  /**
+   * Set how long requests may wait for the server, applying to requests from now on
+   */
+  setRequestTimeouts(timeouts: RequestTimeouts): void {
+    this.requestTimeouts = timeouts;
+  }
+  
+  /**
+   * Send a notification of the bridge's own to the client
+   */
+  async notifyClient(notification: JSONRPCNotification): Promise<void> {
+    if (this.closed || !this.clientAdapter) {
+      return;
+    }
+    
+    await this.sendToClient(notification);
+  }
+  
+  /**
+   * Handle a message from the client, holding it while the pipe is paused
+   */
+  async handleClientMessage(message: JSONRPCMessage): Promise<void> {
+    if (isInitializeRequest(message)) {
+      this.initializeRequest = message;
+    }
+    
+    // Requests using what the client may not use never reach the server
+    const denial = isRequest(message) ? getAccessDenial(message, this.accessRules) : undefined;
+    
+    if (denial) {
+      await this.failRequest(message as JSONRPCRequest, denial, ErrorCode.InvalidParams);
+      return;
+    }
+    
+    // A request the client gave up on no longer needs timing out
+    if (isCancelledNotification(message) && !this.paused) {
+      const requestId = message.params?.requestId;
+      
+      if (typeof requestId === "string" || typeof requestId === "number") {
+        this.untrackRequest(requestId);
+      }
+    }
+    
+    if (this.paused) {
+      logger.debug(`Holding message from client (${this.name}):`, message);
+      this.heldMessages.push(message);
+      return;
+    }
+    
+    this.trackRequest(message);
+    this.countForwarded("client-to-server", message);
+    
+    try {
+      await super.handleClientMessage(message);
+    } catch (error) {
+      if (!isRequest(message)) {
+        throw error;
+      }
+      
+      // The server could not be reached, so no response will come
+      this.untrackRequest(message.id);
+      await this.failRequest(message, `Failed to forward ${message.method} to the server`);
+    }
+  }
+  
+  /**
+   * Stop the pipe
+   */
+  async stop(): Promise<void> {
+    // A deliberate stop is not reported through onclose
+    this.closed = true;
+    this.clearRequestTimers();
+    await super.stop();
+  }
+  
+  /**
+   * Handle a message from the server, keeping replayed handshake responses from the client
+   */
+  async handleServerMessage(message: JSONRPCMessage): Promise<void> {
+    if (!isResponse(message) && !isErrorResponse(message)) {
+      if (isProgressNotification(message)) {
+        this.restartProgressTimer(message.params?.progressToken);
+      }
+      
+      this.countForwarded("server-to-client", message);
+      await super.handleServerMessage(message);
+      return;
+    }
+    
+    if (this.pendingReplay && message.id === this.pendingReplay.id) {
+      this.pendingReplay.resolve(message);
+      this.pendingReplay = undefined;
+      return;
+    }
+    
+    const request = this.inFlightRequests.get(message.id);
+    
+    // Responses to requests already failed or timed out are not passed on
+    if (!request) {
+      logger.debug(`Dropping response to unknown request ${message.id} (${this.name})`);
+      return;
+    }
+    
+    this.observeDuration(request);
+    this.untrackRequest(message.id);
+    
+    // Capture the handshake the first time the client initializes
+    if (this.initializeRequest && message.id === this.initializeRequest.id && isResponse(message)) {
+      const result = InitializeResultSchema.safeParse(message.result);
+      
+      if (result.success) {
+        this.onhandshake?.({ request: this.initializeRequest, result: result.data });
+      }
+      
+      this.initializeRequest = undefined;
+    }
+    
+    this.countForwarded("server-to-client", message, request.method);
+    
+    await super.handleServerMessage(isResponse(message)
+      ? { ...message, result: filterListResult(request.method, message.result, this.accessRules) }
+      : message
+    );
+  }
+  
+  /**
+   * Send a message to the client, counting error responses whoever sent them
+   */
+  protected async sendToClient(message: JSONRPCMessage): Promise<void> {
+    if (isErrorResponse(message)) {
+      errorResponses.inc({ code: String(message.error.code), server: this.middlewareContext.serverId ?? "" });
+    }
+    
+    await super.sendToClient(message);
+  }
+  
+  /**
+   * Count a message forwarded to the other side
+   * Responses are counted under the method of the request they answer
+   */
+  private countForwarded(direction: MessageDirection, message: JSONRPCMessage, requestMethod?: string): void {
+    messagesForwarded.inc({
+      direction,
+      method: getMethodLabel("method" in message ? message.method : requestMethod ?? ""),
+      server: this.middlewareContext.serverId ?? ""
+    });
+  }
+  
+  /**
+   * Record how long the server took to answer a request
+   */
+  private observeDuration(request: JSONRPCRequest): void {
+    const sentTime = this.requestSentTimes.get(request.id);
+    
+    if (sentTime !== undefined) {
+      requestDuration.observe(
+        { method: getMethodLabel(request.method), server: this.middlewareContext.serverId ?? "" },
+        (Date.now() - sentTime) / 1000
+      );
+    }
+  }
+  
+  /**
+   * Remember a request sent to the server until its response arrives
+   */
+  private trackRequest(message: JSONRPCMessage): void {
+    if (isRequest(message)) {
+      this.inFlightRequests.set(message.id, message);
+      this.requestSentTimes.set(message.id, Date.now());
+      this.startRequestTimer(message);
+    }
+  }
+  
+  /**
+   * Forget a request, whether answered or given up on
+   */
+  private untrackRequest(id: string | number): void {
+    this.inFlightRequests.delete(id);
+    this.requestSentTimes.delete(id);
+    clearTimeout(this.requestTimers.get(id));
+    this.requestTimers.delete(id);
+    
+    if (this.inFlightRequests.size === 0) {
+      this.ondrained?.();
+    }
+  }
+  
+  /**
+   * Start or restart the timer of a request, if it has a timeout
+   */
+  private startRequestTimer(request: JSONRPCRequest): void {
+    const timeout = this.requestTimeouts.methodTimeouts?.[request.method] ?? this.requestTimeouts.timeout;
+    
+    if (!timeout) {
+      return;
+    }
+    
+    clearTimeout(this.requestTimers.get(request.id));
+    
+    this.requestTimers.set(request.id, setTimeout(() => {
+      this.handleRequestTimeout(request, timeout).catch((error) => {
+        logger.error(`Failed to time out request ${request.id} (${this.name}):`, error);
+      });
+    }, timeout));
+  }
+  
+  /**
+   * Restart the timer of the request a progress notification is about
+   */
+  private restartProgressTimer(progressToken: unknown): void {
+    for (const request of this.inFlightRequests.values()) {
+      if (request.params?._meta?.progressToken === progressToken) {
+        this.startRequestTimer(request);
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Give up on a request the server did not answer in time, telling both sides
+   */
+  private async handleRequestTimeout(request: JSONRPCRequest, timeout: number): Promise<void> {
+    if (!this.inFlightRequests.has(request.id)) {
+      return;
+    }
+    
+    this.untrackRequest(request.id);
+    
+    const reason = `Server did not respond to ${request.method} within ${timeout}ms`;
+    
+    await this.failRequest(request, reason, ErrorCode.RequestTimeout);
+    
+    try {
+      await this.serverAdapter?.send({
+        jsonrpc: "2.0",
+        method: "notifications/cancelled",
+        params: { requestId: request.id, reason }
+      });
+    } catch (error) {
+      logger.warn(`Failed to cancel request ${request.id} at the server (${this.name}):`, error);
+    }
+  }
+  
+  /**
+   * Stop the timers of every request
+   */
+  private clearRequestTimers(): void {
+    for (const timer of this.requestTimers.values()) {
+      clearTimeout(timer);
+    }
+    
+    this.requestTimers.clear();
+  }
+  
+  /**
+   * Deal with the requests the server will no longer answer
+   * Idempotent ones are returned for retrying if enabled, the rest are failed
+   */
+  private async settleInFlightRequests(retryIdempotent: boolean): Promise<JSONRPCRequest[]> {
+    const requests = [...this.inFlightRequests.values()];
+    const retries = retryIdempotent ? requests.filter(request => isIdempotentRequest(request)) : [];
+    
+    this.inFlightRequests.clear();
+    this.requestSentTimes.clear();
+    this.clearRequestTimers();
+    
+    for (const request of requests) {
+      if (!retries.includes(request)) {
+        await this.failRequest(request, `Server went away before responding to ${request.method}`);
+      }
+    }
+    
+    if (retries.length > 0) {
+      logger.info(`Retrying ${retries.length} idempotent request(s) on the next server (${this.name})`);
+    }
+    
+    return retries;
+  }
+  
+  /**
+   * Answer a client request with an error, by default that the connection closed
+   */
+  private async failRequest(
+    request: JSONRPCRequest,
+    message: string,
+    code: number = ErrorCode.ConnectionClosed
+  ): Promise<void> {
+    logger.debug(`${message} (${this.name}), request ${request.id}`);
+    
+    try {
+      await this.sendToClient({
+        jsonrpc: "2.0",
+        id: request.id,
+        error: {
+          code,
+          message
+        }
+      });
+    } catch (error) {
+      logger.warn(`Failed to send error for request ${request.id} to client (${this.name}):`, error);
+    }
+  }
+  
+  /**
+   * Wait for the server to answer the requests in flight, up to a timeout
+   */
+  private async drain(timeout: number): Promise<void> {
+    if (this.inFlightRequests.size === 0) {
+      return;
+    }
+    
+    logger.info(`Draining ${this.inFlightRequests.size} in-flight request(s) from ${this.name}`);
+    
+    let timeoutId: NodeJS.Timeout | undefined;
+    
+    await new Promise<void>((resolve) => {
+      this.ondrained = resolve;
+      
+      timeoutId = setTimeout(() => {
+        logger.warn(`${this.inFlightRequests.size} request(s) still in flight after ${timeout}ms (${this.name})`);
+        resolve();
+      }, timeout);
+    });
+    
+    clearTimeout(timeoutId);
+    this.ondrained = undefined;
+  }
+  
+  /**
+   * Replay a captured handshake to a replacement server and check it is compatible
+   */
+  private async replayHandshake(
+    serverAdapter: TransportAdapter,
+    handshake: InitializeHandshake
+  ): Promise<void> {
+    const id = `bridge-replay-${randomUUID()}`;
+    let timeoutId: NodeJS.Timeout | undefined;
+    
+    const response = new Promise<JSONRPCMessage>((resolve, reject) => {
+      this.pendingReplay = { id, resolve, reject };
+      
+      timeoutId = setTimeout(
+        () => reject(new Error(`No initialize response within ${HANDSHAKE_REPLAY_TIMEOUT}ms`)),
+        HANDSHAKE_REPLAY_TIMEOUT
+      );
+    });
+    
+    logger.debug(`Replaying initialize handshake (${this.name})`);
+    
+    let message: JSONRPCMessage;
+    
+    try {
+      await serverAdapter.send({ ...handshake.request, id });
+      message = await response;
+    } finally {
+      clearTimeout(timeoutId);
+      this.pendingReplay = undefined;
+    }
+    
+    if (isErrorResponse(message)) {
+      throw new ProtocolError(
+        ErrorCode.PROTOCOL_ERROR,
+        `Replacement server rejected initialize (${this.name}): ${message.error.message}`
+      );
+    }
+    
+    const result = InitializeResultSchema.safeParse(isResponse(message) ? message.result : undefined);
+    
+    if (!result.success) {
+      throw new ProtocolError(
+        ErrorCode.PROTOCOL_ERROR,
+        `Replacement server sent an invalid initialize result (${this.name})`
+      );
+    }
+    
+    const problems = handshake.result
+      ? getHandshakeIncompatibilities(handshake.result, result.data)
+      : [];
+      
+    if (problems.length > 0) {
+      throw new ProtocolError(
+        ErrorCode.PROTOCOL_ERROR,
+        `Replacement server is incompatible with the negotiated session (${this.name}): ${problems.join("; ")}`
+      );
+    }
+    
+    await serverAdapter.send({ jsonrpc: "2.0", method: "notifications/initialized" });
+    
+    logger.info(`Replayed initialize handshake (${this.name})`);
+  }
+  
+  /**
+   * Handle one side of the pipe closing
+   */
+  private handleSideClosed(side: "client" | "server"): void {
+    if (this.closed) {
+      return;
+    }
+    
+    if (side === "server" && this.paused) {
+      // Already held, and whoever paused the pipe finds out when resuming fails
+      logger.debug(`The server side of ${this.name} closed while paused`);
+      this.pendingReplay?.reject(new Error(`Server closed before answering initialize (${this.name})`));
+      this.ondrained?.();
+      return;
+    }
+    
+    if (side === "server" && this.onserverclosed) {
+      this.holdForServer();
+      return;
+    }
+    
+    this.closed = true;
+    
+    // Nothing left in flight will be answered
+    this.ondrained?.();
+    
+    logger.info(`The ${side} side of ${this.name} closed, closing the pipe`);
+    
+    this.closeAfterSide(side)
+      .catch((error) => {
+        logger.error(`Error closing pipe (${this.name}):`, error);
+      })
+      .finally(() => {
+        this.onclose?.(side);
+      });
+  }
+  
+  /**
+   * Keep the client side open after the server side closed, holding client
+   * messages until a new server is attached with resume()
+   */
+  private holdForServer(): void {
+    logger.info(`The server side of ${this.name} closed, holding client messages`);
+    
+    this.paused = true;
+    
+    // A crashed server answers nothing still in flight, so idempotent requests
+    // go ahead of anything the client sends since, if retries are enabled
+    this.settleInFlightRequests(this.retryIdempotent)
+      .then((retries) => {
+        this.heldMessages.unshift(...retries);
+      })
+      .catch((error) => {
+        logger.error(`Error failing in-flight requests (${this.name}):`, error);
+      })
+      .finally(() => {
+        this.onserverclosed?.();
+      });
+  }
+  
+  /**
+   * Close the remaining side of the pipe
+   */
+  private async closeAfterSide(side: "client" | "server"): Promise<void> {
+    // Answer what the server never will before the client side goes too
+    if (side === "server") {
+      await this.settleInFlightRequests(false);
+    }
+    
+    await super.stop();
+  }
+}
+
+/**
+ * Create a pipe handler
+ */
+export function createPipeHandler(
+  clientAdapter: TransportAdapter,
+  serverAdapter: TransportAdapter,
+  name?: string
+): PipeHandler {
+  return new PipeHandler(clientAdapter, serverAdapter, name);
+}
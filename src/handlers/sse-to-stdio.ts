@@ -2,7 +2,7 @@
  * SSE to Stdio protocol handler
  */
 import { createLogger } from "../utils/logging.js";
-import { BaseProtocolHandler } from "./base.js";
+import { PipeHandler } from "./pipe.js";
 import { TransportAdapter } from "../bridge/types.js";
 
 const logger = createLogger({ prefix: "SSEToStdio" });
@@ -13,7 +13,7 @@ const logger = createLogger({ prefix: "SSEToStdio" });
  * This handler bridges between an SSE client and a stdio server.
  * It allows clients that only support SSE to connect to servers that use stdio.
  */
-export class SSEToStdioHandler extends BaseProtocolHandler {
+export class SSEToStdioHandler extends PipeHandler {
   /**
    * Constructor
    */
@@ -21,12 +21,9 @@ export class SSEToStdioHandler extends BaseProtocolHandler {
     clientAdapter: TransportAdapter,
     serverAdapter: TransportAdapter
   ) {
-    super("SSEToStdio");
+    super(clientAdapter, serverAdapter, "SSEToStdio");
     
     logger.debug("Creating sse-to-stdio handler");
-    
-    this.setClientAdapter(clientAdapter);
-    this.setServerAdapter(serverAdapter);
   }
 }
 
@@ -2,7 +2,7 @@
  * Stdio to SSE protocol handler
  */
 import { createLogger } from "../utils/logging.js";
-import { BaseProtocolHandler } from "./base.js";
+import { PipeHandler } from "./pipe.js";
 import { TransportAdapter } from "../bridge/types.js";
 
 const logger = createLogger({ prefix: "StdioToSSE" });
@@ -13,7 +13,7 @@ const logger = createLogger({ prefix: "StdioToSSE" });
  * This handler bridges between a stdio client and an SSE server.
  * It allows clients that only support stdio to connect to servers that use SSE.
  */
-export class StdioToSSEHandler extends BaseProtocolHandler {
+export class StdioToSSEHandler extends PipeHandler {
   /**
    * Constructor
    */
@@ -21,12 +21,9 @@ export class StdioToSSEHandler extends BaseProtocolHandler {
     clientAdapter: TransportAdapter,
     serverAdapter: TransportAdapter
   ) {
-    super("StdioToSSE");
+    super(clientAdapter, serverAdapter, "StdioToSSE");
     
     logger.debug("Creating stdio-to-sse handler");
-    
-    this.setClientAdapter(clientAdapter);
-    this.setServerAdapter(serverAdapter);
   }
 }
 
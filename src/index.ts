@@ -8,6 +8,27 @@ import { createServerRegistry } from "./bridge/registry.js";
 import { createConnectionManager } from "./bridge/connection.js";
 import { createBridgeManager } from "./bridge/manager.js";
 import { createApiServer } from "./api/server.js";
+import { MessageMiddleware } from "./bridge/types.js";
+
+// Extension points for third-party transports
+export {
+  registerTransport,
+  unregisterTransport,
+  getRegisteredTransports,
+  TransportDefinition
+} from "./adapters/transport-registry.js";
+export { ClientAdapterOptions, ServerAdapterOptions } from "./adapters/factory.js";
+export { BaseTransportAdapter } from "./adapters/base.js";
+export {
+  MessageDirection,
+  MessageMiddleware,
+  MiddlewareContext,
+  TransportAdapter,
+  TransportType
+} from "./bridge/types.js";
+
+// Message middleware
+export { MiddlewareChain, createMiddlewareChain } from "./handlers/middleware.js";
 
 const logger = createLogger({ prefix: "Main" });
 
@@ -18,6 +39,8 @@ export interface AppOptions {
   port: number;
   host?: string;
   logLevel?: LogLevel;
+  recordingsDir?: string;      // Where connection recordings are written (default: ./recordings)
+  mcpRateLimit?: number;       // MCP requests and WebSocket upgrades per client per minute (default: 1000)
 }
 
 /**
@@ -28,10 +51,7 @@ export class App {
   private host?: string;
   private serverRegistry = createServerRegistry();
   private connectionManager = createConnectionManager();
-  private bridgeManager = createBridgeManager({
-    serverRegistry: this.serverRegistry,
-    connectionManager: this.connectionManager
-  });
+  private bridgeManager: ReturnType<typeof createBridgeManager>;
   private apiServer: ReturnType<typeof createApiServer>;
   
   /**
@@ -46,16 +66,33 @@ export class App {
       logger.setLevel(options.logLevel);
     }
     
+    // Create bridge manager
+    this.bridgeManager = createBridgeManager({
+      serverRegistry: this.serverRegistry,
+      connectionManager: this.connectionManager,
+      recordingsDir: options.recordingsDir
+    });
+    
     // Create API server
     this.apiServer = createApiServer({
       port: this.port,
       host: this.host,
       serverRegistry: this.serverRegistry,
       connectionManager: this.connectionManager,
-      bridgeManager: this.bridgeManager
+      bridgeManager: this.bridgeManager,
+      mcpRateLimit: options.mcpRateLimit
     });
   }
   
+  /**
+   * Add message middleware for every connection, or only for the connections
+   * to a server or a single connection
+   */
+  use(middleware: MessageMiddleware, scope?: { serverId?: string; connectionId?: string }): this {
+    this.bridgeManager.use(middleware, scope);
+    return this;
+  }
+  
   /**
    * Start the application
    */
@@ -95,11 +132,15 @@ if (process.argv[1] === import.meta.url) {
   const port = parseInt(process.env.PORT || "3000", 10);
   const host = process.env.HOST;
   const logLevel = (process.env.LOG_LEVEL as LogLevel) || LogLevel.INFO;
+  const recordingsDir = process.env.RECORDINGS_DIR;
+  const mcpRateLimit = process.env.MCP_RATE_LIMIT ? parseInt(process.env.MCP_RATE_LIMIT, 10) : undefined;
   
   const app = createApp({
     port,
     host,
-    logLevel
+    logLevel,
+    recordingsDir,
+    mcpRateLimit
   });
   
   app.start().catch((error) => {
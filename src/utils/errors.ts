@@ -28,6 +28,7 @@ export enum ErrorCode {
   SERVER_ALREADY_EXISTS = 1011,
   SERVER_START_FAILED = 1012,
   SERVER_STOP_FAILED = 1013,
+  SERVER_UNHEALTHY = 1014,
   
   // Connection errors
   CONNECTION_NOT_FOUND = 1020,
@@ -0,0 +1,33 @@
+/**
+ * Glob pattern utilities
+ */
+ 
+/**
+ * Convert a glob pattern to a regular expression matching the whole value
+ * `*` matches any run of characters, including none, and `?` any one character
+ */
+export function globToRegExp(pattern: string): RegExp {
+  const source = pattern
+    .split("")
+    .map(char => {
+      if (char === "*") {
+        return ".*";
+      }
+      
+      if (char === "?") {
+        return ".";
+      }
+      
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+    
+  return new RegExp(`^${source}$`, "s");
+}
+
+/**
+ * Check if a value matches any of the glob patterns
+ */
+export function matchesAnyGlob(value: string, patterns: string[]): boolean {
+  return patterns.some(pattern => globToRegExp(pattern).test(value));
+}
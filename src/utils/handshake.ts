@@ -0,0 +1,52 @@
+/**
+ * MCP initialize handshake utilities
+ */
+import { InitializeResult, ServerCapabilities } from "@modelcontextprotocol/sdk/types.js";
+
+/**
+ * Capability flags that a replacement server must keep if the original set them
+ */
+const CAPABILITY_FLAGS = ["listChanged", "subscribe"] as const;
+
+/**
+ * Find the ways in which a replacement server's initialize result is incompatible
+ * with the one a client already negotiated
+ * Returns a description of each incompatibility, or an empty array if there are none
+ */
+export function getHandshakeIncompatibilities(
+  negotiated: InitializeResult,
+  replacement: InitializeResult
+): string[] {
+  const problems: string[] = [];
+  
+  if (replacement.protocolVersion !== negotiated.protocolVersion) {
+    problems.push(
+      `protocol version ${replacement.protocolVersion} does not match negotiated ${negotiated.protocolVersion}`
+    );
+  }
+  
+  // The client may rely on every capability it was offered
+  for (const [name, capability] of Object.entries(negotiated.capabilities)) {
+    const replacementCapability = replacement.capabilities[name as keyof ServerCapabilities];
+    
+    if (replacementCapability === undefined) {
+      problems.push(`capability ${name} is no longer offered`);
+      continue;
+    }
+    
+    if (typeof capability !== "object" || capability === null) {
+      continue;
+    }
+    
+    for (const flag of CAPABILITY_FLAGS) {
+      const offered = (capability as Record<string, unknown>)[flag] === true;
+      const stillOffered = (replacementCapability as Record<string, unknown>)[flag] === true;
+      
+      if (offered && !stillOffered) {
+        problems.push(`capability ${name}.${flag} is no longer offered`);
+      }
+    }
+  }
+  
+  return problems;
+}
@@ -0,0 +1,79 @@
+/**
+ * JSON-RPC message utilities
+ */
+import {
+  JSONRPCMessage,
+  JSONRPCRequest,
+  JSONRPCNotification,
+  JSONRPCResponse,
+  JSONRPCError
+} from "@modelcontextprotocol/sdk/types.js";
+
+/**
+ * Check if a message is a request (has both a method and an id)
+ */
+export function isRequest(message: JSONRPCMessage): message is JSONRPCRequest {
+  return "method" in message && "id" in message;
+}
+
+/**
+ * Check if a message is a notification (has a method but no id)
+ */
+export function isNotification(message: JSONRPCMessage): message is JSONRPCNotification {
+  return "method" in message && !("id" in message);
+}
+
+/**
+ * Check if a message is a successful response
+ */
+export function isResponse(message: JSONRPCMessage): message is JSONRPCResponse {
+  return "result" in message && "id" in message;
+}
+
+/**
+ * Check if a message is an error response
+ */
+export function isErrorResponse(message: JSONRPCMessage): message is JSONRPCError {
+  return "error" in message && "id" in message;
+}
+
+/**
+ * Methods that only read state, so a request can safely be sent again
+ */
+const IDEMPOTENT_METHODS = new Set([
+  "ping",
+  "tools/list",
+  "resources/list",
+  "resources/templates/list",
+  "resources/read",
+  "prompts/list",
+  "prompts/get"
+]);
+
+/**
+ * Check if a message is a request that can safely be sent again
+ */
+export function isIdempotentRequest(message: JSONRPCMessage): message is JSONRPCRequest {
+  return isRequest(message) && IDEMPOTENT_METHODS.has(message.method);
+}
+
+/**
+ * Check if a message is an initialize request
+ */
+export function isInitializeRequest(message: JSONRPCMessage): message is JSONRPCRequest {
+  return isRequest(message) && message.method === "initialize";
+}
+
+/**
+ * Check if a message is a progress notification
+ */
+export function isProgressNotification(message: JSONRPCMessage): message is JSONRPCNotification {
+  return isNotification(message) && message.method === "notifications/progress";
+}
+
+/**
+ * Check if a message is a cancellation notification
+ */
+export function isCancelledNotification(message: JSONRPCMessage): message is JSONRPCNotification {
+  return isNotification(message) && message.method === "notifications/cancelled";
+}
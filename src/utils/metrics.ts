@@ -0,0 +1,272 @@
+/**
+ * Metrics in the Prometheus text exposition format
+ */
+
+/**
+ * Content type of the Prometheus text exposition format
+ */
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * Default histogram buckets, for durations in seconds
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Metric options
+ */
+export interface MetricOptions<L extends string> {
+  name: string;
+  help: string;
+  labelNames?: readonly L[];
+}
+
+/**
+ * Histogram options
+ */
+export interface HistogramOptions<L extends string> extends MetricOptions<L> {
+  buckets?: number[];          // Upper bounds, in increasing order (default: DEFAULT_BUCKETS)
+}
+
+/**
+ * Label values of one series, by label name
+ */
+export type MetricLabels<L extends string> = Record<L, string>;
+
+/**
+ * A named metric holding one series per combination of label values
+ */
+abstract class Metric<L extends string, V> {
+  protected series = new Map<string, { labels: MetricLabels<L>; value: V }>();
+  readonly name: string;
+  readonly help: string;
+  protected readonly labelNames: readonly L[];
+  
+  /**
+   * Constructor
+   */
+  constructor(options: MetricOptions<L>, readonly type: "counter" | "gauge" | "histogram") {
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames ?? [];
+  }
+  
+  /**
+   * Forget every series
+   */
+  reset(): void {
+    this.series.clear();
+  }
+  
+  /**
+   * Render the metric's samples, one line each
+   */
+  abstract renderSamples(): string[];
+  
+  /**
+   * Get the value of a series, creating it if needed
+   */
+  protected getSeries(labels: MetricLabels<L>, create: () => V): { labels: MetricLabels<L>; value: V } {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name]));
+    let series = this.series.get(key);
+    
+    if (!series) {
+      series = { labels, value: create() };
+      this.series.set(key, series);
+    }
+    
+    return series;
+  }
+  
+  /**
+   * Render a sample line
+   */
+  protected renderSample(name: string, labels: Record<string, string>, value: number): string {
+    const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`);
+    
+    return `${name}${pairs.length > 0 ? `{${pairs.join(",")}}` : ""} ${formatValue(value)}`;
+  }
+}
+
+/**
+ * A value that only goes up, e.g. messages forwarded
+ */
+export class Counter<L extends string = string> extends Metric<L, number> {
+  /**
+   * Constructor
+   */
+  constructor(options: MetricOptions<L>) {
+    super(options, "counter");
+  }
+  
+  /**
+   * Add to the series with the given label values
+   */
+  inc(labels: MetricLabels<L>, value = 1): void {
+    this.getSeries(labels, () => 0).value += value;
+  }
+  
+  /**
+   * Render the metric's samples, one line each
+   */
+  renderSamples(): string[] {
+    return [...this.series.values()].map(({ labels, value }) => this.renderSample(this.name, labels, value));
+  }
+}
+
+/**
+ * A value that goes up and down, e.g. open connections
+ */
+export class Gauge<L extends string = string> extends Metric<L, number> {
+  /**
+   * Constructor
+   */
+  constructor(options: MetricOptions<L>) {
+    super(options, "gauge");
+  }
+  
+  /**
+   * Set the series with the given label values
+   */
+  set(labels: MetricLabels<L>, value: number): void {
+    this.getSeries(labels, () => 0).value = value;
+  }
+  
+  /**
+   * Render the metric's samples, one line each
+   */
+  renderSamples(): string[] {
+    return [...this.series.values()].map(({ labels, value }) => this.renderSample(this.name, labels, value));
+  }
+}
+
+/**
+ * Observations counted into buckets, e.g. request durations
+ */
+export class Histogram<L extends string = string> extends Metric<L, { counts: number[]; sum: number; count: number }> {
+  private readonly buckets: number[];
+  
+  /**
+   * Constructor
+   */
+  constructor(options: HistogramOptions<L>) {
+    super(options, "histogram");
+    this.buckets = options.buckets ?? DEFAULT_BUCKETS;
+  }
+  
+  /**
+   * Record an observation in the series with the given label values
+   */
+  observe(labels: MetricLabels<L>, value: number): void {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    })).value;
+    
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    
+    series.sum += value;
+    series.count++;
+  }
+  
+  /**
+   * Render the metric's samples, one line each
+   */
+  renderSamples(): string[] {
+    return [...this.series.values()].flatMap(({ labels, value }) => [
+      ...this.buckets.map((bound, index) =>
+        this.renderSample(`${this.name}_bucket`, { ...labels, le: formatValue(bound) }, value.counts[index])
+      ),
+      this.renderSample(`${this.name}_bucket`, { ...labels, le: "+Inf" }, value.count),
+      this.renderSample(`${this.name}_sum`, labels, value.sum),
+      this.renderSample(`${this.name}_count`, labels, value.count)
+    ]);
+  }
+}
+
+/**
+ * A set of metrics rendered together
+ */
+export class MetricsRegistry {
+  private metrics = new Map<string, Counter<string> | Gauge<string> | Histogram<string>>();
+  
+  /**
+   * Create and register a counter
+   */
+  counter<L extends string>(options: MetricOptions<L>): Counter<L> {
+    return this.register(new Counter(options));
+  }
+  
+  /**
+   * Create and register a gauge
+   */
+  gauge<L extends string>(options: MetricOptions<L>): Gauge<L> {
+    return this.register(new Gauge(options));
+  }
+  
+  /**
+   * Create and register a histogram
+   */
+  histogram<L extends string>(options: HistogramOptions<L>): Histogram<L> {
+    return this.register(new Histogram(options));
+  }
+  
+  /**
+   * Render every metric in the Prometheus text exposition format
+   */
+  render(): string {
+    const lines = [...this.metrics.values()].flatMap(metric => [
+      `# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.renderSamples()
+    ]);
+    
+    return `${lines.join("\n")}\n`;
+  }
+  
+  /**
+   * Add a metric, refusing names already in use
+   */
+  private register<M extends Counter<string> | Gauge<string> | Histogram<string>>(metric: M): M {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+}
+
+/**
+ * Create a metrics registry
+ */
+export function createMetricsRegistry(): MetricsRegistry {
+  return new MetricsRegistry();
+}
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * Format a sample value for the text format
+ */
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) {
+    return "NaN";
+  }
+  
+  if (!Number.isFinite(value)) {
+    return value > 0 ? "+Inf" : "-Inf";
+  }
+  
+  return String(value);
+}
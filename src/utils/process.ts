@@ -1,7 +1,8 @@
 /**
  * Process management utilities
  */
-import { ChildProcess, spawn, SpawnOptions } from "node:child_process";
+import { ChildProcess, execFile, spawn, SpawnOptions } from "node:child_process";
+import { readFile } from "node:fs/promises";
 import { createLogger } from "./logging.js";
 import { ErrorCode, ServerError } from "./errors.js";
 
@@ -15,6 +16,19 @@ export interface ProcessSpawnOptions extends SpawnOptions {
   args?: string[];
 }
 
+/**
+ * Resource usage of a process
+ */
+export interface ProcessUsage {
+  rss: number;                 // Resident memory (bytes)
+  cpuSeconds: number;          // User and system CPU time used so far (s)
+}
+
+/**
+ * Clock ticks per second, the unit of CPU times in /proc/<pid>/stat, once asked for
+ */
+let clockTicksPerSecond: Promise<number | undefined> | undefined;
+
 /**
  * Spawn a child process
  */
@@ -81,6 +95,11 @@ export async function killProcess(process: ChildProcess, timeout = 5000): Promis
     return;
   }
   
+  // An exited process will not emit exit again
+  if (process.exitCode !== null || process.signalCode !== null) {
+    return;
+  }
+  
   logger.debug(`Killing process (PID: ${process.pid})`);
   
   return new Promise<void>((resolve, reject) => {
@@ -113,3 +132,85 @@ export async function killProcess(process: ChildProcess, timeout = 5000): Promis
 export function isProcessRunning(process: ChildProcess): boolean {
   return process.pid !== undefined && !process.killed;
 }
+
+/**
+ * Get the resource usage of a process by PID
+ * Read from /proc on Linux and from ps elsewhere; undefined if neither works,
+ * e.g. on Windows or once the process has exited
+ */
+export async function getProcessUsage(pid: number): Promise<ProcessUsage | undefined> {
+  try {
+    const clockTicks = globalThis.process.platform === "linux" ? await getClockTicksPerSecond() : undefined;
+    
+    if (clockTicks) {
+      const [stat, status] = await Promise.all([
+        readFile(`/proc/${pid}/stat`, "utf8"),
+        readFile(`/proc/${pid}/status`, "utf8")
+      ]);
+      
+      // Fields after the command name, which may contain spaces, start at the state (field 3)
+      const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+      const rss = status.match(/^VmRSS:\s+(\d+) kB$/m);
+      
+      if (!rss) {
+        throw new Error(`No VmRSS in /proc/${pid}/status`);
+      }
+      
+      return {
+        rss: Number(rss[1]) * 1024,
+        cpuSeconds: (Number(fields[11]) + Number(fields[12])) / clockTicks
+      };
+    }
+    
+    const output = await runCommand("ps", ["-o", "rss=", "-o", "time=", "-p", String(pid)]);
+    const [rss, time] = output.trim().split(/\s+/);
+    
+    return {
+      rss: Number(rss) * 1024,
+      cpuSeconds: parseCpuTime(time)
+    };
+  } catch (error) {
+    logger.debug(`Failed to get resource usage of process (PID: ${pid})`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Get the clock ticks per second CPU times in /proc are counted in
+ * Undefined if the system does not say, in which case ps is used instead
+ */
+function getClockTicksPerSecond(): Promise<number | undefined> {
+  clockTicksPerSecond ??= runCommand("getconf", ["CLK_TCK"])
+    .then(output => Number(output.trim()) || undefined)
+    .catch((error) => {
+      logger.debug("Failed to get clock ticks per second", error);
+      return undefined;
+    });
+    
+  return clockTicksPerSecond;
+}
+
+/**
+ * Run a command and get what it printed
+ */
+function runCommand(command: string, args: string[]): Promise<string> {
+  return new Promise<string>((resolve, reject) => {
+    execFile(command, args, (error, stdout) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Parse a CPU time as printed by ps, [[dd-]hh:]mm:ss[.ss]
+ */
+function parseCpuTime(time: string): number {
+  const [days, clock] = time.includes("-") ? time.split("-") : ["0", time];
+  
+  return clock.split(":")
+    .reduce((seconds, part) => seconds * 60 + Number(part), 0) + Number(days) * 86400;
+}